@@ -1,11 +1,12 @@
 import React from 'react'
 import SkinViewer from './components/SkinViewer'
 import BackgroundAudio from './components/BackgroundAudio'
+import { getConfig } from './config/runtimeConfig'
 import './App.css'
 
 function App() {
-  // YouTube video ID from https://www.youtube.com/watch?v=WpQM1jrBQX8
-  const youtubeVideoId = 'WpQM1jrBQX8'
+  // YouTube video ID - set youtubeVideoId in public/config.json to change it
+  const youtubeVideoId = getConfig().youtubeVideoId
   
   return (
     <div className="app">
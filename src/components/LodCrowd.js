@@ -0,0 +1,100 @@
+import { DynamicDrawUsage, Group, InstancedBufferAttribute, InstancedMesh, MeshStandardMaterial } from 'three'
+import { SKIN_PART_NAMES, getSkinGeometry } from './sharedSkinGeometry'
+
+const INITIAL_CAPACITY = 256 // Characters - grows when more are far away
+
+// Low-detail crowd - distant characters drawn as instanced boxes, one draw call per body part for
+// everyone together instead of a dozen per character. Skins come from the skin atlas; outer layers,
+// capes and nametags are left out, they're too small to make out at that distance anyway.
+// Characters keep their full model (hidden) and keep animating it - update() copies the posed
+// body parts across, so the crowd walks, waves and fights like everyone else.
+export class LodCrowd extends Group {
+  constructor(atlas) {
+    super()
+
+    this.atlas = atlas
+    this.capacity = 0
+    this.parts = [] // { partName, slim, mesh, offsets }
+
+    // Same lighting as the full model; each instance reads its own cell of the atlas
+    this.material = new MeshStandardMaterial({ map: atlas.texture })
+    this.material.onBeforeCompile = (shader) => {
+      shader.uniforms.atlasCellSize = { value: atlas.cellSize }
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute vec2 atlasOffset;\nuniform float atlasCellSize;')
+        .replace('#include <uv_vertex>', '#include <uv_vertex>\n#ifdef USE_UV\n\tvUv = atlasOffset + uv * atlasCellSize;\n#endif')
+    }
+
+    this.allocate(INITIAL_CAPACITY)
+  }
+
+  // (Re)build the instanced meshes with room for capacity characters
+  allocate(capacity) {
+    this.parts.forEach(({ mesh }) => {
+      this.remove(mesh)
+      mesh.geometry.dispose()
+      mesh.dispose()
+    })
+    this.parts = []
+    this.capacity = capacity
+
+    // Arms have a classic and a slim version, the rest is the same for both
+    for (const slim of [false, true]) {
+      const geometry = getSkinGeometry(slim)
+      SKIN_PART_NAMES.forEach(partName => {
+        if (slim && !partName.endsWith('Arm')) return
+        // Clone, so the atlas offsets don't end up on the geometry full-detail characters share
+        const partGeometry = geometry[partName].innerLayer.clone()
+        const offsets = new InstancedBufferAttribute(new Float32Array(capacity * 2), 2)
+        offsets.setUsage(DynamicDrawUsage)
+        partGeometry.setAttribute('atlasOffset', offsets)
+
+        const mesh = new InstancedMesh(partGeometry, this.material, capacity)
+        mesh.instanceMatrix.setUsage(DynamicDrawUsage)
+        mesh.count = 0
+        // Instances are spread over the whole scene - the geometry's own bounds say nothing
+        mesh.frustumCulled = false
+        this.add(mesh)
+        this.parts.push({ partName, slim, mesh, offsets })
+      })
+    }
+  }
+
+  // Draw these characters this frame: entries are { skin, cell } - the character's SkinObject
+  // (world matrices up to date) and its skin atlas cell
+  update(entries) {
+    if (entries.length > this.capacity) {
+      let capacity = this.capacity
+      while (capacity < entries.length) capacity *= 2
+      this.allocate(capacity)
+    }
+
+    this.parts.forEach(part => {
+      part.mesh.count = 0
+    })
+    entries.forEach(({ skin, cell }) => {
+      this.parts.forEach(part => {
+        if (part.partName.endsWith('Arm') && part.slim !== (skin.modelType === 'slim')) return
+        const index = part.mesh.count++
+        part.mesh.setMatrixAt(index, skin[part.partName].innerLayer.matrixWorld)
+        part.offsets.setXY(index, cell.offset[0], cell.offset[1])
+      })
+    })
+    this.parts.forEach(part => {
+      part.mesh.instanceMatrix.needsUpdate = true
+      part.offsets.needsUpdate = true
+    })
+  }
+
+  dispose() {
+    if (this.parent) {
+      this.parent.remove(this)
+    }
+    this.parts.forEach(({ mesh }) => {
+      mesh.geometry.dispose()
+      mesh.dispose()
+    })
+    this.parts = []
+    this.material.dispose()
+  }
+}
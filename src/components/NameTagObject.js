@@ -71,7 +71,10 @@ export class NameTagObject extends Sprite {
       this.margin[0] + metrics.actualBoundingBoxAscent
     );
 
-    // Apply texture
+    // Apply texture (free the previous one when repainting)
+    if (this.textMaterial.map) {
+      this.textMaterial.map.dispose();
+    }
     const texture = new CanvasTexture(canvas);
     texture.magFilter = NearestFilter;
     texture.minFilter = NearestFilter;
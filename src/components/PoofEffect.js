@@ -0,0 +1,69 @@
+import { BoxGeometry, Group, Mesh, MeshBasicMaterial } from 'three'
+
+const PARTICLE_COUNT = 14
+const DURATION = 0.7 // seconds
+
+// Shared by every poof - only the materials are per effect (each fades on its own)
+const particleGeometry = new BoxGeometry(1, 1, 1)
+
+// A Minecraft-style puff of smoke, like when a mob spawns or despawns
+// Add it to the scene and call update(deltaTime) every frame until it returns false
+export class PoofEffect extends Group {
+  constructor(options = {}) {
+    super()
+
+    this.elapsed = 0
+    this.duration = options.duration === undefined ? DURATION : options.duration
+    this.particles = []
+
+    const height = options.height === undefined ? 32 : options.height
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const shade = 0.75 + Math.random() * 0.25
+      const material = new MeshBasicMaterial({ transparent: true, opacity: 0.9 })
+      material.color.setRGB(shade, shade, shade)
+
+      const particle = new Mesh(particleGeometry, material)
+      const size = 2 + Math.random() * 2.5
+      particle.scale.set(size, size, size)
+      particle.position.set((Math.random() - 0.5) * 8, Math.random() * height, (Math.random() - 0.5) * 8)
+      particle.userData.velocity = {
+        x: (Math.random() - 0.5) * 24,
+        y: 6 + Math.random() * 14,
+        z: (Math.random() - 0.5) * 24
+      }
+      particle.userData.size = size
+      this.add(particle)
+      this.particles.push(particle)
+    }
+  }
+
+  // Advance the effect - returns false once it has finished and been removed from the scene
+  update(deltaTime) {
+    this.elapsed += deltaTime
+    const progress = Math.min(this.elapsed / this.duration, 1)
+
+    this.particles.forEach(particle => {
+      const { velocity, size } = particle.userData
+      particle.position.x += velocity.x * deltaTime
+      particle.position.y += velocity.y * deltaTime
+      particle.position.z += velocity.z * deltaTime
+      const scale = size * (1 - progress * 0.6)
+      particle.scale.set(scale, scale, scale)
+      particle.material.opacity = 0.9 * (1 - progress)
+    })
+
+    if (progress >= 1) {
+      this.dispose()
+      return false
+    }
+    return true
+  }
+
+  dispose() {
+    if (this.parent) {
+      this.parent.remove(this)
+    }
+    this.particles.forEach(particle => particle.material.dispose())
+    this.particles = []
+  }
+}
@@ -0,0 +1,75 @@
+import { BoxGeometry, DoubleSide, Group, Mesh, MeshBasicMaterial, MeshStandardMaterial, PlaneGeometry } from 'three'
+
+const BLOCK_SIZE = 12 // A bit smaller than a real block, so the portal doesn't dwarf the players
+const OPEN_TIME = 0.4 // seconds to open and to close
+
+// Shared by every portal - only the materials are per portal (each fades on its own)
+const blockGeometry = new BoxGeometry(1, 1, 1)
+const planeGeometry = new PlaneGeometry(1, 1)
+
+// A nether portal that opens, stays for a moment and closes again - players step out of it on login
+// Faces +z like a character, so copy the character's rotation to have them walk out of it
+// Add it to the scene and call update(deltaTime) every frame until it returns false
+export class PortalEffect extends Group {
+  constructor(options = {}) {
+    super()
+
+    this.elapsed = 0
+    this.duration = options.duration === undefined ? 2.2 : options.duration
+
+    this.frameMaterial = new MeshStandardMaterial({ color: 0x14101f })
+    this.portalMaterial = new MeshBasicMaterial({
+      color: 0x8a2be2,
+      transparent: true,
+      opacity: 0.75,
+      side: DoubleSide,
+      depthWrite: false
+    })
+
+    // Vanilla-sized frame: 4x5 obsidian blocks around a 2x3 opening
+    for (let x = 0; x < 4; x++) {
+      for (let y = 0; y < 5; y++) {
+        if (x > 0 && x < 3 && y > 0 && y < 4) continue
+        const block = new Mesh(blockGeometry, this.frameMaterial)
+        block.scale.set(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE)
+        block.position.set((x - 1.5) * BLOCK_SIZE, (y + 0.5) * BLOCK_SIZE, 0)
+        this.add(block)
+      }
+    }
+
+    this.portal = new Mesh(planeGeometry, this.portalMaterial)
+    this.portal.scale.set(BLOCK_SIZE * 2, BLOCK_SIZE * 3, 1)
+    this.portal.position.y = BLOCK_SIZE * 2.5
+    this.add(this.portal)
+
+    this.scale.set(1, 0, 1)
+  }
+
+  // Advance the effect - returns false once it has finished and been removed from the scene
+  update(deltaTime) {
+    this.elapsed += deltaTime
+
+    // Rise out of the ground, then sink back into it
+    const opening = Math.min(this.elapsed / OPEN_TIME, 1)
+    const closing = Math.min(Math.max((this.duration - this.elapsed) / OPEN_TIME, 0), 1)
+    this.scale.y = Math.min(opening, closing)
+
+    // Swirling shimmer
+    this.portalMaterial.opacity = 0.6 + Math.sin(this.elapsed * 9) * 0.15
+    this.portalMaterial.color.setHSL(0.77 + Math.sin(this.elapsed * 3) * 0.02, 0.8, 0.45)
+
+    if (this.elapsed >= this.duration) {
+      this.dispose()
+      return false
+    }
+    return true
+  }
+
+  dispose() {
+    if (this.parent) {
+      this.parent.remove(this)
+    }
+    this.frameMaterial.dispose()
+    this.portalMaterial.dispose()
+  }
+}
@@ -3,281 +3,132 @@ import * as skinview3d from 'skinview3d'
 import { PlayerObject } from 'skinview3d'
 import { Group, Texture, TextureLoader, CanvasTexture, Raycaster, Vector2, Vector3, Box3, Sphere, Plane } from 'three'
 import { NameTagObject } from './NameTagObject'
+import { PoofEffect } from './PoofEffect'
+import { PortalEffect } from './PortalEffect'
+import { LodCrowd } from './LodCrowd'
+import { isSharedGeometry, shareSkinGeometry } from './sharedSkinGeometry'
+import { ANIMATION_STATES } from '../simulation/animations'
+import { createSimulationClient } from '../simulation/simulationClient'
+import { TUNED_STEP_RATE } from '../simulation/stepTiming'
+import { PORTAL_OPEN_DELAY, PORTAL_WALK_TIME } from '../simulation/transitions'
 import Starfield from './Starfield'
-import { PLAYER_SOURCE_TYPE, CDU_API_URL, TEXT_FILE_PATH, fetchCustomPlayers } from '../config/playerSource'
+import { getPlayerSources } from '../config/playerSource'
+import { getConfig } from '../config/runtimeConfig'
+import { createPlayerFeed } from '../sources/playerFeed'
+import { createSyncScheduler } from '../sources/syncScheduler'
+import { createSessionRecorder, downloadRecording } from '../sources/sessionRecorder'
+import { clearSkinFallback, getSkinFallbacks, loadCape, loadSkin, subscribeSkinFallbacks } from '../skins/skinProviders'
+import { releaseSkinUrl } from '../skins/skinCache'
+import { resolveSkinModel } from '../skins/skinModel'
+import { decodeSkin } from '../skins/skinImage'
+import { createLoadQueue } from '../skins/loadQueue'
+import { createSkinAtlas } from '../skins/skinAtlas'
+import { getPlaceholderSkin } from '../skins/placeholderSkin'
+import { createVoxelLayer } from '../skins/voxelLayer'
+import { PLAYER_METADATA_FIELDS, normalizePlayer } from '../sources/playerSchema'
 import './SkinViewer.css'
 
 // UUID with dashes for API
 const UUID = '1418475b-1029-4a9a-af78-fbf5d59dfee0'
 const UUID_NO_DASHES = '1418475b10294a9aaf78fbf5d59dfee0'
 
-// Function to get skin URL from playcdu.co API (supports both UUID and username)
-const loadSkinImage = async (identifier) => {
-  try {
-    const skinUrl = `https://heads.playcdu.co/skin/${identifier}`
-    const response = await fetch(skinUrl, {
-      mode: 'cors',
-      cache: 'no-cache'
-    })
-    
-    if (!response.ok) {
-      throw new Error(`Skin fetch failed: ${response.status}`)
-    }
-    
-    const blob = await response.blob()
-    return URL.createObjectURL(blob)
-    
-  } catch (error) {
-    console.error('playcdu.co API failed:', error)
-    throw error
-  }
-}
+// Consecutive failures before the "connection lost" banner shows
+const CONNECTION_LOST_THRESHOLD = 2
 
-// Function to fetch online players based on configured source
-const fetchOnlinePlayers = async () => {
-  try {
-    if (PLAYER_SOURCE_TYPE === 'cdu_api') {
-      // Craft Down Under API
-      const response = await fetch(CDU_API_URL, {
-        mode: 'cors',
-        cache: 'no-cache'
-      })
-      
-      if (!response.ok) {
-        throw new Error(`API fetch failed: ${response.status}`)
-      }
-      
-      const data = await response.json()
-      
-      // Extract all players with their clusterId from all servers
-      const playersWithCluster = []
-      if (Array.isArray(data)) {
-        data.forEach(server => {
-          const clusterId = server.clusterId || 'UNKNOWN'
-          if (server.onlinePlayerList && Array.isArray(server.onlinePlayerList)) {
-            server.onlinePlayerList.forEach(player => {
-              if (player.name) {
-                playersWithCluster.push({
-                  username: player.name,
-                  clusterId: clusterId
-                })
-              }
-            })
-          }
-        })
-      }
-      
-      return playersWithCluster
-    } else if (PLAYER_SOURCE_TYPE === 'text_file') {
-      // Text file source
-      const response = await fetch(TEXT_FILE_PATH)
-      if (!response.ok) {
-        throw new Error(`Text file fetch failed: ${response.status}`)
-      }
-      const text = await response.text()
-      const lines = text.split('\n').filter(line => line.trim().length > 0)
-      return lines.map(username => ({
-        username: username.trim(),
-        clusterId: 'DEFAULT' // No cluster info from text file
-      }))
-    } else if (PLAYER_SOURCE_TYPE === 'custom') {
-      // Custom function
-      return await fetchCustomPlayers()
-    } else {
-      console.error(`Unknown player source type: ${PLAYER_SOURCE_TYPE}`)
-      return []
-    }
-  } catch (error) {
-    console.error('Error fetching online players:', error)
-    return []
-  }
-}
+// Guest characters (local skin previews) - ':' can't appear in a Minecraft username, so
+// guest names never clash with real players
+const GUEST_PREFIX = 'guest:'
+const GUEST_CLUSTER = 'LOCAL PREVIEW'
 
-// Animation states
-const ANIMATION_STATES = {
-  IDLE: 'idle',
-  WALK: 'walk',
-  HIT: 'hit',
-  WAVE: 'wave',
-  RUN: 'run'
-}
+// Voxel outer layers built per frame at most - building one reads the whole skin, so a burst
+// of logins is spread over a few frames instead of causing a hitch
+const VOXEL_BUILDS_PER_FRAME = 2
 
-// Idle animation - character stands still with subtle arm movement
-const IdleAnimation = (player, progress) => {
-  const skin = player.skin
-  // Multiply by animation's natural speed
-  const t = progress * 2
-  
-  // Arm swing - subtle movement
-  const basicArmRotationZ = Math.PI * 0.02
-  skin.leftArm.rotation.z = Math.cos(t) * 0.03 + basicArmRotationZ
-  skin.rightArm.rotation.z = Math.cos(t + Math.PI) * 0.03 - basicArmRotationZ
-  
-  // Reset other rotations to idle state
-  skin.leftLeg.rotation.x = 0
-  skin.rightLeg.rotation.x = 0
-  skin.leftArm.rotation.x = 0
-  skin.rightArm.rotation.x = 0
-  skin.head.rotation.y = 0
-  skin.head.rotation.x = 0
-  
-  // Cape rotation if cape exists
-  if (player.cape) {
-    const basicCapeRotationX = Math.PI * 0.06
-    player.cape.rotation.x = Math.sin(t) * 0.01 + basicCapeRotationX
-    player.cape.visible = false
-  }
-}
+// Longest frame the simulation catches up on - after a longer stall (a breakpoint, a frozen tab)
+// the rest is dropped instead of fast-forwarding through it
+const MAX_FRAME_TIME = 250
 
+const NAMETAG_OPACITY = 0.5
 
-// Hit animation - based on skinview3d HitAnimation class
-const HitAnimation = (player, progress) => {
-  const skin = player.skin
-  const t = progress * 18
-  
-  skin.rightArm.rotation.x = -0.4537860552 * 2 + 2 * Math.sin(t + Math.PI) * 0.3
-  const basicArmRotationZ = 0.01 * Math.PI + 0.06
-  skin.rightArm.rotation.z = -Math.cos(t) * 0.403 + basicArmRotationZ
-  skin.body.rotation.y = -Math.cos(t) * 0.06
-  skin.leftArm.rotation.x = Math.sin(t + Math.PI) * 0.077
-  skin.leftArm.rotation.z = -Math.cos(t) * 0.015 + 0.13 - 0.05
-  skin.leftArm.position.z = Math.cos(t) * 0.3
-  skin.leftArm.position.x = 5 - Math.cos(t) * 0.05
+// Colour of a character the simulation says was just hit
+const HIT_TINT = { r: 1.5, g: 0.5, b: 0.5 }
+
+// Function to get a skin URL for a username (or UUID) through the skin provider chain
+// (skinProviders in the runtime config, see src/skins/skinProviders.js)
+const loadSkinImage = async (identifier, sourceSkinUrl) => {
+  const skin = await loadSkin({ username: identifier, skinUrl: sourceSkinUrl })
+  return skin.url
 }
 
-// Running animation - based on skinview3d RunningAnimation class
-const RunningAnimation = (player, progress) => {
-  const skin = player.skin
-  // Multiply by animation's natural speed
-  const t = progress * 15 + Math.PI * 0.5
+// Copy player metadata from the source onto a character (on spawn and on every sync)
+const applyPlayerMetadata = (char, player) => {
+  char.clusterId = player.clusterId || 'UNKNOWN'
+  PLAYER_METADATA_FIELDS.forEach(field => {
+    char[field] = player[field]
+  })
+  char.uuid = player.uuid || char.username // Fall back to username as identifier
   
-  // Leg swing with larger amplitude
-  skin.leftLeg.rotation.x = Math.cos(t + Math.PI) * 1.3
-  skin.rightLeg.rotation.x = Math.cos(t) * 1.3
-  
-  // Arm swing
-  skin.leftArm.rotation.x = Math.cos(t) * 1.5
-  skin.rightArm.rotation.x = Math.cos(t + Math.PI) * 1.5
-  const basicArmRotationZ = Math.PI * 0.1
-  skin.leftArm.rotation.z = Math.cos(t) * 0.1 + basicArmRotationZ
-  skin.rightArm.rotation.z = Math.cos(t + Math.PI) * 0.1 - basicArmRotationZ
-  
-  // Jumping
-  player.position.y = Math.cos(t * 2)
-  
-  // Dodging when running
-  player.position.x = Math.cos(t) * 0.15
-  
-  // Slightly tilting when running
-  player.rotation.z = Math.cos(t + Math.PI) * 0.01
+  // The source can change the arm model later on (default skins keep their own model)
+  if (player.model && !char.usesDefaultSkin && char.skinModel !== player.model && char.player) {
+    char.skinModel = player.model
+    char.player.skin.modelType = player.model === 'slim' ? 'slim' : 'default'
+    shareSkinGeometry(char.player.skin)
+  }
   
-  // Apply higher swing frequency, lower amplitude,
-  // and greater basic rotation around x axis,
-  // to cape when running.
-  if (player.cape) {
-    const basicCapeRotationX = Math.PI * 0.3
-    player.cape.rotation.x = Math.sin(t * 2) * 0.1 + basicCapeRotationX
-    player.cape.visible = false
+  // Repaint the nametag if the display name changed
+  const nameTagText = player.displayName || char.username
+  if (char.nameTag && char.nameTag.text !== nameTagText) {
+    char.nameTag.text = nameTagText
+    char.nameTag.paint()
   }
 }
 
-// Custom walking animation without head bobbing - faster animation, slower movement
-const WalkingAnimationNoHeadBob = (player, progress) => {
-  const skin = player.skin
-  // Use progress directly, multiply by faster walking animation speed
-  const time = progress * 5.819 // 10% faster (5.29 * 1.1 = 5.819)
-  // Leg swing - slower and smoother
-  skin.leftLeg.rotation.x = Math.sin(time) * 0.5
-  skin.rightLeg.rotation.x = Math.sin(time + Math.PI) * 0.5
-  // Arm swing
-  skin.leftArm.rotation.x = Math.sin(time + Math.PI) * 0.5
-  skin.rightArm.rotation.x = Math.sin(time) * 0.5
-  const basicArmRotationZ = Math.PI * 0.02
-  skin.leftArm.rotation.z = Math.cos(time) * 0.03 + basicArmRotationZ
-  skin.rightArm.rotation.z = Math.cos(time + Math.PI) * 0.03 - basicArmRotationZ
-  // NO HEAD BOBBING - keep head still
-  skin.head.rotation.y = 0
-  skin.head.rotation.x = 0
-  // Disable cape rotation if cape exists
-  if (player.cape) {
-    const basicCapeRotationX = Math.PI * 0.06
-    player.cape.rotation.x = Math.sin(time / 1.5) * 0.06 + basicCapeRotationX
-    player.cape.visible = false
+// Show the right thing on a character's back: the elytra while flying (if they have one),
+// otherwise their cape - or nothing if capes are turned off
+const updateBackEquipment = (char, showCapes) => {
+  if (!char.player || !showCapes) {
+    if (char.player) char.player.backEquipment = null
+    return
+  }
+  if (char.isThrown && char.elytra && char.capeObjectUrl) {
+    char.player.backEquipment = 'elytra'
+  } else {
+    char.player.backEquipment = char.hasCape ? 'cape' : null
   }
 }
 
-// Wave animation - character waves at camera
-// Flying animation - for thrown characters
-const FlyingAnimation = (player, progress) => {
-  const skin = player.skin
-  
-  // Body rotation finishes in 0.5s
-  // Elytra expansion finishes in 3.3s
-  const t = progress > 0 ? progress * 20 : 0
-  const startProgress = Math.min(Math.max((t * t) / 100, 0), 1)
-  
-  // Rotate body forward (flying pose)
-  player.rotation.x = (startProgress * Math.PI) / 2
-  
-  // Head rotation
-  skin.head.rotation.x = startProgress > 0.5 ? Math.PI / 4 - player.rotation.x : 0
-  
-  // Arm rotation (spread out like wings)
-  const basicArmRotationZ = Math.PI * 0.25 * startProgress
-  skin.leftArm.rotation.z = basicArmRotationZ
-  skin.rightArm.rotation.z = -basicArmRotationZ
-  
-  // Elytra rotation (if elytra exists)
-  if (player.elytra) {
-    const elytraRotationX = 0.34906584
-    const elytraRotationZ = Math.PI / 2
-    const interpolation = Math.pow(0.9, t)
-    if (player.elytra.leftWing) {
-      player.elytra.leftWing.rotation.x = elytraRotationX + interpolation * (0.2617994 - elytraRotationX)
-      player.elytra.leftWing.rotation.z = elytraRotationZ + interpolation * (0.2617994 - elytraRotationZ)
-    }
-    if (player.elytra.updateRightWing) {
-      player.elytra.updateRightWing()
-    }
-  }
-  
-  // Keep legs still
-  skin.leftLeg.rotation.x = 0
-  skin.rightLeg.rotation.x = 0
-  
-  // Disable cape if exists
-  if (player.cape) {
-    player.cape.visible = false
-  }
+// A placeholder character's pulsing brightness while its real skin loads (time in seconds)
+const getShimmerBrightness = (char, time) => 0.8 + Math.sin(time * 4 + char.shimmerPhase) * 0.2
+
+// Colour a character's materials - brightness (0-1), red while it's tinted
+// Only repaints when the colour changed (set char.paintedColor to null to force it)
+const paintCharacter = (char, brightness) => {
+  const tint = char.tinted ? HIT_TINT : { r: 1, g: 1, b: 1 }
+  const key = `${brightness}:${char.tinted}`
+  if (char.paintedColor === key) return
+  char.paintedColor = key
+  char.player.traverse((obj) => {
+    if (!obj.material) return
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
+    materials.forEach(mat => {
+      if (mat.color) mat.color.setRGB(brightness * tint.r, brightness * tint.g, brightness * tint.b)
+    })
+  })
 }
 
-const WaveAnimation = (player, progress, whichArm = 'left') => {
-  const skin = player.skin
-  const t = progress * 2 * Math.PI * 0.5
-  
-  const targetArm = whichArm === 'left' ? skin.leftArm : skin.rightArm
-  
-  // Wave arm - raise it up and wave side to side
-  targetArm.rotation.x = Math.PI // 180 degrees (arm raised)
-  targetArm.rotation.z = Math.sin(t) * 0.5 // Wave side to side
-  
-  // Reset other arm to neutral position
-  const otherArm = whichArm === 'left' ? skin.rightArm : skin.leftArm
-  otherArm.rotation.x = 0
-  otherArm.rotation.z = 0
-  
-  // Keep legs still
-  skin.leftLeg.rotation.x = 0
-  skin.rightLeg.rotation.x = 0
-  
-  // Keep head still and facing forward
-  skin.head.rotation.y = 0
-  skin.head.rotation.x = 0
-  
-  // Disable cape if exists
-  if (player.cape) {
-    player.cape.visible = false
+// Give a character the 3D voxel outer layer, or put the flat one back
+// Rebuilds when the skin or arm model changed; returns true if it built a new layer
+const updateVoxelLayer = (char, enabled) => {
+  const layer = char.voxelLayer
+  const upToDate = layer && layer.image === char.skinImage && layer.model === char.player.skin.modelType
+  if (enabled && upToDate) return false
+  if (layer) {
+    layer.dispose()
+    char.voxelLayer = null
   }
+  if (!enabled || !char.skinImage) return false
+  char.voxelLayer = createVoxelLayer(char.player.skin, char.skinImage)
+  return true
 }
 
 function SkinViewerComponent() {
@@ -292,10 +143,16 @@ function SkinViewerComponent() {
   const randomActionTimerRef = useRef(null)
   const charactersRef = useRef([]) // Array to store multiple characters
   const cameraFollowRef = useRef(true)
-  const originalCharStateRef = useRef(null) // Store original character animation state
   const skinBlobUrlRef = useRef(null)
   const lastFrameTimeRef = useRef(0)
-  const syncIntervalRef = useRef(null) // Store sync interval for cleanup
+  const syncSchedulerRef = useRef(null) // Schedules polling, stopped on cleanup
+  const playerFeedRef = useRef(null) // Merged player feed from all configured sources
+  const onlinePlayersRef = useRef(new Map()) // Online players by username (as reported by the source)
+  const sessionRecorderRef = useRef(createSessionRecorder()) // Records applied player lists for replay
+  const effectsRef = useRef([]) // Running one-off effects (poofs), updated every frame
+  const simulationRef = useRef(null) // Character simulation client (see src/simulation/simulationClient.js)
+  const guestControlsRef = useRef(null) // { spawn(file), removeAll() } - set up with the scene
+  const skinFileInputRef = useRef(null) // Hidden file picker for local skin previews
   const raycasterRef = useRef(null) // Raycaster for click detection
   const handleClickRef = useRef(null) // Store click handler for cleanup
   const handleMouseMoveRef = useRef(null) // Store mousemove handler for cleanup
@@ -307,13 +164,9 @@ function SkinViewerComponent() {
   const draggedCharRef = useRef(null) // Currently dragged character
   const isDraggingRef = useRef(false) // Whether user is currently dragging
   const dragStartTimeRef = useRef(0) // Time when drag started
-  const lastDragPosRef = useRef({ x: 0, z: 0 }) // Last drag position for velocity calculation
-  const dragVelocityRef = useRef({ x: 0, z: 0 }) // Current drag velocity
-  const lastDragTimeRef = useRef(0) // Last drag time for velocity calculation
+  const dragPointRef = useRef(null) // Where the dragged character is on the ground, { x, z }
   const touchStartPosRef = useRef({ x: 0, y: 0 }) // Touch start position for tap detection
   const touchStartTimeRef = useRef(0) // Touch start time for tap detection
-  const targetFPS = 24
-  const frameInterval = 1000 / targetFPS // ~41.67ms per frame at 24fps
   
   const [animationKey, setAnimationKey] = useState(0)
   const [currentAnimation, setCurrentAnimation] = useState(ANIMATION_STATES.IDLE)
@@ -325,36 +178,59 @@ function SkinViewerComponent() {
   const [clusterMenuOpen, setClusterMenuOpen] = useState(false) // Whether cluster menu is open
   const [aggressiveness, setAggressiveness] = useState(0.5)
   const [showNameTags, setShowNameTags] = useState(true)
+  const [showCapes, setShowCapes] = useState(() => getConfig().showCapes) // Capes and elytras
+  const [voxelLayers, setVoxelLayers] = useState(() => getConfig().voxelOuterLayer) // 3D outer skin layer
+  const [connectionLost, setConnectionLost] = useState(false) // Player source keeps failing
+  const [isRecording, setIsRecording] = useState(false) // Session recorder running
+  const [recordedFrames, setRecordedFrames] = useState(0) // Frames in the current recording
+  const [guestCount, setGuestCount] = useState(0) // Local skin previews walking around
+  const [skinDropActive, setSkinDropActive] = useState(false) // A file is being dragged over the page
+  const [skinFallbacks, setSkinFallbacks] = useState([]) // [username, reason] for players on a default skin
 
   // Refs for animation loop access
   const aggressivenessRef = useRef(0.5)
   const showNameTagsRef = useRef(true)
+  const showCapesRef = useRef(showCapes)
+  const voxelLayersRef = useRef(voxelLayers)
   
   useEffect(() => {
     aggressivenessRef.current = aggressiveness
+    if (simulationRef.current) {
+      simulationRef.current.setOptions({ aggressiveness })
+    }
   }, [aggressiveness])
 
   useEffect(() => {
     showNameTagsRef.current = showNameTags
   }, [showNameTags])
-  
-  // Refs to access current state values in animation loop
-  const formationModeRef = useRef(false)
-  const selectedClusterRef = useRef(null)
-  const clustersRef = useRef([])
-  
-  // Update refs when state changes
+
   useEffect(() => {
-    formationModeRef.current = formationMode
-  }, [formationMode])
-  
+    showCapesRef.current = showCapes
+  }, [showCapes])
+
+  useEffect(() => {
+    voxelLayersRef.current = voxelLayers
+  }, [voxelLayers])
+
+  // Track which players are on a default skin for the settings menu
   useEffect(() => {
-    selectedClusterRef.current = selectedCluster
-  }, [selectedCluster])
+    const update = () => setSkinFallbacks(Array.from(getSkinFallbacks()))
+    update()
+    return subscribeSkinFallbacks(update)
+  }, [])
   
+  // Tell the simulation which cluster lines up - clusters are redetected as players come and go
   useEffect(() => {
-    clustersRef.current = clusters
-  }, [clusters])
+    if (!simulationRef.current) return
+    const active = formationMode && selectedCluster !== null && clusters.length > selectedCluster
+    if (!active) {
+      simulationRef.current.setFormation(null)
+      return
+    }
+    const usernames = clusters[selectedCluster]
+    const clusterChar = (charactersRef.current || []).find(char => usernames.includes(char.username))
+    simulationRef.current.setFormation({ usernames, clusterId: clusterChar ? clusterChar.clusterId : null })
+  }, [formationMode, selectedCluster, clusters])
   const isInitialLoadRef = useRef(true) // Track if this is the initial load
   const chatMessagesRef = useRef(null) // Ref for chat messages container
   
@@ -470,6 +346,38 @@ function SkinViewerComponent() {
     const raycaster = new Raycaster()
     raycasterRef.current = raycaster
     
+    // The character simulation (src/simulation/) - it moves and poses everyone, this component
+    // only draws what it sends back and plays what it says happened
+    const simulation = createSimulationClient({
+      onEvent: (event) => {
+        if (event.type === 'death') {
+          try {
+            const deathSound = new Audio('/oof.ogg')
+            deathSound.volume = 0.4 // Not too loud (40% volume)
+            deathSound.play().catch(err => {
+              // Ignore play errors (e.g., autoplay restrictions)
+              console.log('Could not play death sound:', err)
+            })
+          } catch (err) {
+            console.log('Could not create death sound:', err)
+          }
+        } else if (event.type === 'poof') {
+          const poof = new PoofEffect({ height: event.height })
+          poof.position.set(event.x, event.y, event.z)
+          skinViewer.scene.add(poof)
+          effectsRef.current.push(poof)
+        } else if (event.type === 'logoutFinished') {
+          // Unless they came back in the meantime
+          const char = (charactersRef.current || []).find(c => c.username === event.username)
+          if (char && char.leaving) {
+            removeCharacter(skinViewer, event.username)
+          }
+        }
+      }
+    })
+    simulation.setOptions({ aggressiveness: aggressivenessRef.current })
+    simulationRef.current = simulation
+    
     // Helper function to find character closest to mouse
     function findCharacterUnderMouse(event) {
       const rect = canvas.getBoundingClientRect()
@@ -550,6 +458,26 @@ function SkinViewerComponent() {
       hoveredCharRef.current = hoveredChar
     }
     
+    // Where the pointer is on the ground (y = 0), as { x, z } - or null if it points at the sky
+    function getGroundPoint(clientX, clientY) {
+      const rect = canvas.getBoundingClientRect()
+      const mouse = new Vector2()
+      mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1
+      mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1
+      raycaster.setFromCamera(mouse, skinViewer.camera)
+      const plane = new Plane(new Vector3(0, 1, 0), 0)
+      const intersectionPoint = raycaster.ray.intersectPlane(plane, new Vector3())
+      return intersectionPoint ? { x: intersectionPoint.x, z: intersectionPoint.z } : null
+    }
+    
+    // Which way the camera looks on the ground, as { x, z } - hit characters fly away from it
+    function getCameraDirection() {
+      const cameraDirection = new Vector3()
+      skinViewer.camera.getWorldDirection(cameraDirection)
+      cameraDirection.normalize()
+      return { x: cameraDirection.x, z: cameraDirection.z }
+    }
+    
     // Handle mouse down / touch start - start drag or prepare for click
     const handleMouseDown = (event) => {
       // Skip if multi-touch (pinch zoom gesture)
@@ -558,7 +486,6 @@ function SkinViewerComponent() {
       }
       
       // Store touch start position and time for tap detection
-      const rect = canvas.getBoundingClientRect()
       const clientX = event.clientX !== undefined ? event.clientX : event.touches?.[0]?.clientX
       const clientY = event.clientY !== undefined ? event.clientY : event.touches?.[0]?.clientY
       
@@ -575,42 +502,12 @@ function SkinViewerComponent() {
         draggedCharRef.current = hitChar
         isDraggingRef.current = false
         dragStartTimeRef.current = Date.now()
+        dragPointRef.current = null
         canvas.style.cursor = 'grabbing'
         
-        // Switch to idle animation and start floating
-        hitChar.animationState = ANIMATION_STATES.IDLE
-        hitChar.isFloating = true
-        hitChar.floatHeight = 3.0 // Float 3 units above ground
-        hitChar.dropVelocity = 0 // Reset drop velocity
-        hitChar.animProgress = 0 // Reset animation progress for idle
-        hitChar.throwVelocity = null // Initialize throw velocity
-        hitChar.isThrown = false // Track if character is being thrown
-        hitChar.throwRotation = { x: 0, z: 0 } // Tilt rotation during drag/throw
-        // Initialize drag tracking
-        if (clientX !== undefined && clientY !== undefined) {
-          const mouse = new Vector2()
-          mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1
-          mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1
-          raycaster.setFromCamera(mouse, skinViewer.camera)
-          const planeNormal = new Vector3(0, 1, 0)
-          const plane = new Plane(planeNormal, 0)
-          const intersectionPoint = new Vector3()
-          raycaster.ray.intersectPlane(plane, intersectionPoint)
-          if (intersectionPoint) {
-            lastDragPosRef.current = { x: intersectionPoint.x, z: intersectionPoint.z }
-          } else {
-            // Fallback to character's current position
-            lastDragPosRef.current = { x: hitChar.path.x, z: hitChar.path.z }
-          }
-        } else {
-          // Fallback to character's current position
-          lastDragPosRef.current = { x: hitChar.path.x, z: hitChar.path.z }
-        }
-        lastDragTimeRef.current = Date.now()
-        dragVelocityRef.current = { x: 0, z: 0 }
-        hitChar.throwVelocity = { x: 0, z: 0, y: 0 } // Initialize throw velocity
-        hitChar.isThrown = false // Track if character is being thrown
-        hitChar.throwRotation = { x: 0, z: 0 } // Tilt rotation during throw
+        // The simulation picks it up (see src/simulation/dragging.js)
+        const point = clientX !== undefined && clientY !== undefined ? getGroundPoint(clientX, clientY) : null
+        simulation.grab(hitChar.username, point, Date.now())
       }
     }
     
@@ -623,10 +520,11 @@ function SkinViewerComponent() {
         // Release drag when pinch starts
         draggedCharRef.current = null
         isDraggingRef.current = false
+        dragPointRef.current = null
+        simulation.cancelDrag()
         return // Let OrbitControls handle pinch zoom
       }
       
-      const rect = canvas.getBoundingClientRect()
       const clientX = event.clientX !== undefined ? event.clientX : event.touches?.[0]?.clientX
       const clientY = event.clientY !== undefined ? event.clientY : event.touches?.[0]?.clientY
       
@@ -642,80 +540,12 @@ function SkinViewerComponent() {
         isDraggingRef.current = true
       }
       
-      const mouse = new Vector2()
-      mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1
-      mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1
-      
-      // Project mouse to ground plane (y = 0)
-      raycaster.setFromCamera(mouse, skinViewer.camera)
-      
-      // Create a plane at y = 0 (ground level)
-      const planeNormal = new Vector3(0, 1, 0)
-      const plane = new Plane(planeNormal, 0)
-      
-      const intersectionPoint = new Vector3()
-      raycaster.ray.intersectPlane(plane, intersectionPoint)
-      
-      if (intersectionPoint) {
-        
-        // Move character to intersection point
-        const char = draggedCharRef.current
-        if (char && char.group && char.path) {
-          const currentTime = Date.now()
-          const deltaTime = Math.max(0.001, (currentTime - lastDragTimeRef.current) / 1000) // Convert to seconds
-          
-          // Calculate velocity based on movement
-          const dx = intersectionPoint.x - lastDragPosRef.current.x
-          const dz = intersectionPoint.z - lastDragPosRef.current.z
-          const velocityX = deltaTime > 0 ? dx / deltaTime : 0
-          const velocityZ = deltaTime > 0 ? dz / deltaTime : 0
-          
-          // Smooth velocity with exponential moving average
-          const smoothing = 0.3
-          dragVelocityRef.current.x = dragVelocityRef.current.x * (1 - smoothing) + velocityX * smoothing
-          dragVelocityRef.current.z = dragVelocityRef.current.z * (1 - smoothing) + velocityZ * smoothing
-          
-          // Calculate movement speed for tilt
-          const speed = Math.sqrt(dragVelocityRef.current.x ** 2 + dragVelocityRef.current.z ** 2)
-          const maxTilt = Math.min(speed * 0.15, 0.4) // Max tilt of 0.4 radians (~23 degrees)
-          
-          // Initialize throw properties if not set
-          if (!char.throwRotation) {
-            char.throwRotation = { x: 0, z: 0 }
-          }
-          
-          // Apply tilt based on movement direction
-          if (speed > 0.1) {
-            const tiltDirection = Math.atan2(dragVelocityRef.current.x, dragVelocityRef.current.z)
-            char.throwRotation.x = Math.sin(tiltDirection) * maxTilt // Tilt left/right
-            char.throwRotation.z = Math.cos(tiltDirection) * maxTilt * 0.5 // Slight forward tilt
-          } else {
-            // Gradually return to neutral when not moving
-            char.throwRotation.x *= 0.9
-            char.throwRotation.z *= 0.9
-          }
-          
-          // Update path position directly
-          char.path.x = intersectionPoint.x
-          char.path.z = intersectionPoint.z
-          
-          // Also update group position immediately (less lerp for dragging)
-          char.group.position.x = intersectionPoint.x
-          char.group.position.z = intersectionPoint.z
-          
-          // Apply tilt rotation
-          char.group.rotation.x = char.throwRotation.x
-          char.group.rotation.z = char.throwRotation.z
-          
-          // Keep character floating while dragging
-          if (char.isFloating) {
-            char.group.position.y = char.floatHeight || 3.0
-          }
-          
-          // Update tracking
-          lastDragPosRef.current = { x: intersectionPoint.x, z: intersectionPoint.z }
-          lastDragTimeRef.current = currentTime
-        }
+      // Move character to where the pointer meets the ground - drawn there straight away,
+      // while the simulation works out the tilt and throw speed
+      const point = getGroundPoint(clientX, clientY)
+      if (point) {
+        dragPointRef.current = point
+        simulation.drag(point, isDraggingRef.current, Date.now())
       }
     }
     
@@ -744,75 +574,23 @@ function SkinViewerComponent() {
         isTap = !wasDragging && dragDuration < 200
       }
       
-      // Store the character before cleaning up drag state
-      const draggedCharacter = char
-      
       // Clean up drag state first
       draggedCharRef.current = null
       isDraggingRef.current = false
+      dragPointRef.current = null
       
-      // If it was a tap, hit the character
+      // A tap hits the character, a drag throws it or lets it down (see src/simulation/dragging.js)
       if (isTap) {
-        // Quick tap/click - hit the character
-        removeHoverEffect(draggedCharacter)
-        hitCharacter(skinViewer, draggedCharacter)
-        // Reset floating state
-        draggedCharacter.isFloating = false
-        draggedCharacter.group.position.y = 0
-      } else if (wasDragging) {
-        // Was dragging - check if thrown with force
-        const throwSpeed = Math.sqrt(dragVelocityRef.current.x ** 2 + dragVelocityRef.current.z ** 2)
-        const throwThreshold = 2.0 // Lower threshold - minimum speed to trigger throw (units per second)
-        
-        // Always reset tilt immediately when released (tilt only during drag)
-        draggedCharacter.group.rotation.x = 0
-        draggedCharacter.group.rotation.z = 0
-        draggedCharacter.throwRotation = { x: 0, z: 0 }
-        
-        if (throwSpeed > throwThreshold) {
-          // Character was thrown - apply inertia
-          draggedCharacter.isThrown = true
-          draggedCharacter.isFloating = true
-          // Use the raw velocity, scale it appropriately for visible effect
-          draggedCharacter.throwVelocity = {
-            x: dragVelocityRef.current.x * 1.0, // Reduced from 1.5 to 1.0 for less intense inertia
-            z: dragVelocityRef.current.z * 1.0,
-            y: Math.min(throwSpeed * 0.15, 12) // Reduced upward velocity further (was 0.2, 15)
-          }
-          draggedCharacter.dropVelocity = draggedCharacter.throwVelocity.y
-          draggedCharacter.animationState = ANIMATION_STATES.IDLE // Idle while flying
-          
-          // Face the direction they're being thrown
-          const throwDirection = Math.atan2(draggedCharacter.throwVelocity.x, draggedCharacter.throwVelocity.z)
-          draggedCharacter.group.rotation.y = throwDirection
-          
-          console.log(`🚀 Thrown ${draggedCharacter.username} with speed ${throwSpeed.toFixed(2)}, velocity=(${draggedCharacter.throwVelocity.x.toFixed(2)}, ${draggedCharacter.throwVelocity.z.toFixed(2)}, ${draggedCharacter.throwVelocity.y.toFixed(2)})`)
-        } else {
-          // Gentle drop - no throw, just gently lower to ground
-          if (draggedCharacter.group.position.y > 0) {
-            // Character is floating, gently drop them
-            draggedCharacter.isFloating = true
-            draggedCharacter.dropVelocity = -2.0 // Gentle downward velocity (much slower than gravity)
-            draggedCharacter.animationState = ANIMATION_STATES.IDLE // Idle while gently dropping
-            console.log(`📦 Gently dropping ${draggedCharacter.username} (speed ${throwSpeed.toFixed(2)} was below threshold ${throwThreshold})`)
-          } else {
-            // Already on ground, just reset
-            draggedCharacter.isFloating = false
-            draggedCharacter.dropVelocity = undefined
-            draggedCharacter.animationState = ANIMATION_STATES.WALK // Return to walking
-            console.log(`📦 Dropped ${draggedCharacter.username} (already on ground)`)
-          }
-        }
-        
+        removeHoverEffect(char)
+      }
+      simulation.release(isTap, getCameraDirection())
+      
+      if (wasDragging) {
         // Mark that this was a drag release to prevent click handler from firing
-        draggedCharacter.wasJustDragged = true
+        char.wasJustDragged = true
         setTimeout(() => {
-          draggedCharacter.wasJustDragged = false
+          char.wasJustDragged = false
         }, 100) // Clear flag after 100ms
-        
-        // Reset drag tracking
-        dragVelocityRef.current = { x: 0, z: 0 }
-        lastDragPosRef.current = { x: 0, z: 0 }
       }
       
       hoveredCharRef.current = null
@@ -835,9 +613,9 @@ function SkinViewerComponent() {
         event.stopPropagation()
         
         if (hitChar) {
-          // Remove hover effect and apply hit effect
+          // Remove hover effect and hit it - the simulation turns it red and knocks it back
           removeHoverEffect(hitChar)
-          hitCharacter(skinViewer, hitChar)
+          simulation.hit(hitChar.username, getCameraDirection())
           hoveredCharRef.current = null
           canvas.style.cursor = 'default'
         }
@@ -895,56 +673,6 @@ function SkinViewerComponent() {
     // Store removeHoverEffect for cleanup
     removeHoverEffectRef.current = removeHoverEffect
     
-    // Function to hit a character (user-initiated click)
-    function hitCharacter(skinViewer, char) {
-      // Skip if already being hit
-      if (char.isHit) return
-      
-      char.isHit = true
-      char.hitTimer = 0.6 // Red overlay duration (0.6 seconds - increased)
-      char.wasHitByPlayer = false // Mark as user-initiated hit (not player-to-player)
-      
-      // Apply red overlay to all materials
-      const redTint = { r: 1.5, g: 0.5, b: 0.5 } // Red tint
-      char.player.traverse((obj) => {
-        if (obj.material) {
-          const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-          materials.forEach(mat => {
-            if (mat.color) {
-              // Store original color if not already stored
-              if (!mat.originalColor) {
-                mat.originalColor = mat.color.clone()
-              }
-              // Apply tint based on original color to prevent drift
-              mat.color.r = mat.originalColor.r * redTint.r
-              mat.color.g = mat.originalColor.g * redTint.g
-              mat.color.b = mat.originalColor.b * redTint.b
-              mat.needsUpdate = true
-            }
-          })
-        }
-      })
-      
-      // Apply knockback - upward and backward from camera direction
-      const cameraDirection = new Vector3()
-      skinViewer.camera.getWorldDirection(cameraDirection)
-      cameraDirection.normalize()
-      
-      // Knockback force: upward and away from camera (increased for more intensity)
-      const knockbackUp = 22 // Upward force (increased from 15)
-      const knockbackBack = 18 // Backward force (increased from 12)
-      
-      char.knockbackVelocity = {
-        x: -cameraDirection.x * knockbackBack,
-        y: knockbackUp,
-        z: -cameraDirection.z * knockbackBack
-      }
-      
-      char.gravity = 0.5 // Gravity strength
-      char.knockbackStartTime = Date.now() // Track when knockback started
-      char.knockbackMinDuration = 0.8 // Minimum knockback duration in seconds (ensures longer knockback)
-    }
-    
     handleClickRef.current = handleClick
     handleMouseMoveRef.current = handleMouseMove
     handleMouseDownRef.current = handleMouseDown
@@ -1016,125 +744,199 @@ function SkinViewerComponent() {
     )
     skinViewer.camera.lookAt(0, 0, 0) // Look at origin where characters are
     
-    // Function to add a single character
-    function addCharacter(skinViewer, username, clusterId) {
+    // Skins still loading: username -> promise from addCharacter (the in-flight registry - a player
+    // is only ever loaded once, however many syncs come in while they wait)
+    const pendingSkins = new Map()
+    const skinLoadQueue = createLoadQueue(() => getConfig().skinLoadConcurrency)
+    
+    // Low-detail crowd for distant characters, with every skin packed into one atlas
+    const skinAtlas = createSkinAtlas()
+    const lodCrowd = new LodCrowd(skinAtlas)
+    skinViewer.scene.add(lodCrowd)
+    
+    // Function to add a single character from a player object (see src/sources/playerSchema.js)
+    // The character appears straight away in a placeholder skin; the real skin and cape go through
+    // the load queue and are swapped in when they arrive. Resolves once they have.
+    // transition: play the login effect (not for players who were already online)
+    function addCharacter(skinViewer, player, { transition = false } = {}) {
+      const username = player.username
       const characters = charactersRef.current || []
       
-      // Check if character already exists
+      // Check if character already exists - or is still waiting for its skin
+      if (pendingSkins.has(username)) {
+        return pendingSkins.get(username)
+      }
       if (characters.some(char => char.username === username)) {
         return Promise.resolve() // Already exists
       }
       
-      return loadSkinImage(username)
-        .then(skinUrl => {
-          return new Promise((resolve, reject) => {
-            const textureLoader = new TextureLoader()
-            textureLoader.load(
-              skinUrl,
-              (texture) => {
-                texture.needsUpdate = true
-                
-                try {
-                  const newSkinTexture = texture.clone()
-                  newSkinTexture.needsUpdate = true
-                  const newCapeTexture = null
-                  
-                  const newPlayer = new skinview3d.PlayerObject(newSkinTexture, newCapeTexture)
-                  
-                  // Disable cape/elytra
-                  newPlayer.traverse((obj) => {
-                    if (obj.name && (obj.name.toLowerCase().includes('cape') || obj.name.toLowerCase().includes('elytra'))) {
-                      obj.visible = false
-                    }
-                    if (obj === newPlayer.cape || obj === newPlayer.elytra) {
-                      obj.visible = false
-                    }
-                  })
-                  
-                  if (newPlayer.cape) {
-                    newPlayer.cape.visible = false
-                  }
-                  if (newPlayer.elytra) {
-                    newPlayer.elytra.visible = false
-                  }
-                  
-                  const characterGroup = new Group()
-                  characterGroup.add(newPlayer)
-                  
-                  // Random spawn position
-                  const spacing = 120
-                  const angle = Math.random() * Math.PI * 2
-                  const radius = 50 + Math.random() * 150
-                  const startX = Math.cos(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
-                  const startZ = Math.sin(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
-                  
-                  characterGroup.position.set(startX, 0, startZ)
-                  characterGroup.rotation.y = Math.random() * Math.PI * 2
-                  characterGroup.visible = true
-                  
-                  // Create nametag
-                  const nameTag = new NameTagObject(username, {
-                    font: '56px Minecraft',
-                    height: 6.5,
-                    textStyle: 'white',
-                    backgroundStyle: 'rgba(0,0,0,.7)',
-                    opacity: 0.5
-                  })
-                  nameTag.position.set(0, 25, 0)
-                  nameTag.renderOrder = 999
-                  characterGroup.add(nameTag)
-                  
-                  skinViewer.scene.add(characterGroup)
-                  
-                  const characterData = {
-                    group: characterGroup,
-                    player: newPlayer,
-                    nameTag: nameTag,
-                    username: username,
-                    uuid: username, // Use username as identifier
-                    clusterId: clusterId || 'UNKNOWN', // Store clusterId from API
-                    animProgress: Math.random() * 2,
-                    animSpeed: 0.87285,
-                    animationState: ANIMATION_STATES.WAVE, // Start with wave animation on spawn
-                    animationStateTimer: Math.random() * 10 + 5,
-                    path: {
-                      x: startX,
-                      z: startZ,
-                      angle: Math.random() * Math.PI * 2,
-                      targetX: Math.cos(Math.random() * Math.PI * 2) * (50 + Math.random() * 150),
-                      targetZ: Math.sin(Math.random() * Math.PI * 2) * (50 + Math.random() * 150),
-                      changeTargetTime: Math.random() * 3 + 2
-                    },
-                    waveDuration: 4.0 + Math.random() * 2.0, // Wave for 4-6 seconds on spawn
-                    waveArm: Math.random() > 0.5 ? 'left' : 'right',
-                    // Pathfinding state
-                    lastPosition: { x: startX, z: startZ },
-                    stuckTimer: 0,
-                    stuckThreshold: 2.0, // Consider stuck if not progressing for 2 seconds
-                    pathBlockedCheckTimer: 0
-                  }
-                  
-                  characters.push(characterData)
-                  charactersRef.current = characters
-                  // Don't update player count here - it's updated in syncCharacters
-                  console.log(`Added character: ${username}`)
-                  resolve()
-                } catch (err) {
-                  console.error(`Error creating character ${username}:`, err)
-                  reject(err)
-                }
-              },
-              undefined,
-              (error) => {
-                console.error(`Failed to load skin for ${username}:`, error)
-                reject(error)
-              }
-            )
-          })
+      let characterData
+      try {
+        const placeholderTexture = new CanvasTexture(getPlaceholderSkin())
+        
+        // No cape until the real one has loaded
+        const newPlayer = new skinview3d.PlayerObject(placeholderTexture, null)
+        shareSkinGeometry(newPlayer.skin)
+        
+        const characterGroup = new Group()
+        characterGroup.add(newPlayer)
+        
+        // Random spawn position
+        const spacing = 120
+        const angle = Math.random() * Math.PI * 2
+        const radius = 50 + Math.random() * 150
+        const startX = Math.cos(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
+        const startZ = Math.sin(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
+        
+        characterGroup.position.set(startX, 0, startZ)
+        characterGroup.rotation.y = Math.random() * Math.PI * 2
+        characterGroup.visible = true
+        
+        // Create nametag - local previews get a yellow one so nobody mistakes them for a real player
+        const nameTag = new NameTagObject(player.displayName || username, {
+          font: '56px Minecraft',
+          height: 6.5,
+          textStyle: player.isGuest ? '#ffdd55' : 'white',
+          backgroundStyle: player.isGuest ? 'rgba(80,60,0,.8)' : 'rgba(0,0,0,.7)',
+          opacity: 0.5
         })
-        .catch(err => {
-          console.error(`Error adding character ${username}:`, err)
+        nameTag.position.set(0, 25, 0)
+        nameTag.renderOrder = 999
+        characterGroup.add(nameTag)
+        
+        skinViewer.scene.add(characterGroup)
+        
+        characterData = {
+          group: characterGroup,
+          player: newPlayer,
+          nameTag: nameTag,
+          username: username,
+          skinPending: true, // Wearing the placeholder until the real skin arrives
+          shimmerPhase: Math.random() * Math.PI * 2,
+          skinProvider: 'placeholder', // Which provider the skin came from
+          usesDefaultSkin: false,
+          skinModel: 'classic', // 'slim' or 'classic'
+          skinImage: null, // Decoded skin, for the voxel outer layer
+          skinObjectUrl: null, // Released in removeCharacter
+          hasCape: false,
+          capeObjectUrl: null, // Released in removeCharacter
+          isGuest: Boolean(player.isGuest) // Local skin preview, not from the player source
+        }
+        // uuid, clusterId and the rest of the source's metadata (including elytra)
+        applyPlayerMetadata(characterData, player)
+        updateBackEquipment(characterData, showCapesRef.current)
+        
+        characters.push(characterData)
+        charactersRef.current = characters
+        
+        // Where it walks, what it's doing and when - the simulation keeps all of that
+        simulation.add(characterData, {
+          animProgress: Math.random() * 2,
+          animSpeed: 0.87285,
+          animationState: ANIMATION_STATES.WAVE, // Start with wave animation on spawn
+          animationStateTimer: Math.random() * 10 + 5,
+          path: {
+            x: startX,
+            z: startZ,
+            angle: Math.random() * Math.PI * 2,
+            targetX: Math.cos(Math.random() * Math.PI * 2) * (50 + Math.random() * 150),
+            targetZ: Math.sin(Math.random() * Math.PI * 2) * (50 + Math.random() * 150),
+            changeTargetTime: Math.random() * 3 + 2
+          },
+          waveDuration: 4.0 + Math.random() * 2.0, // Wave for 4-6 seconds on spawn
+          waveArm: Math.random() > 0.5 ? 'left' : 'right',
+          // Pathfinding state
+          lastPosition: { x: startX, z: startZ },
+          stuckTimer: 0,
+          stuckThreshold: 2.0, // Consider stuck if not progressing for 2 seconds
+          pathBlockedCheckTimer: 0
+        })
+        if (transition) {
+          beginLogin(characterData)
+        }
+        // Don't update player count here - it's updated in syncCharacters
+        console.log(`Added character: ${username}`)
+      } catch (err) {
+        console.error(`Error adding character ${username}:`, err)
+        return Promise.resolve()
+      }
+      
+      // The provider chain never fails - worst case the player gets a default skin
+      // The cape loads alongside; a cape that won't load just means no cape
+      const load = skinLoadQueue.add(username, () => Promise.all([loadSkin(player), loadCapeTexture(player)]))
+        .then(result => {
+          if (!result) return // Cancelled - the player left before their turn
+          const [skin, cape] = result
+          // Removed (or unmounted) while loading
+          if (pendingSkins.get(username) !== load) {
+            releaseSkinUrl(skin.url)
+            releaseCape(cape)
+            return
+          }
+          try {
+            revealCharacterSkin(characterData, skin, cape, player)
+          } catch (err) {
+            console.error(`Error loading skin for ${username}:`, err)
+            releaseSkinUrl(skin.url)
+            releaseCape(cape)
+          }
+        })
+        .finally(() => {
+          if (pendingSkins.get(username) === load) {
+            pendingSkins.delete(username)
+          }
         })
+      pendingSkins.set(username, load)
+      return load
+    }
+    
+    // Swap a placeholder character into its real skin and cape
+    function revealCharacterSkin(char, skin, cape, player) {
+      // Already decoded and validated by the provider chain (legacy skins converted)
+      const texture = new Texture(skin.image)
+      texture.needsUpdate = true
+      swapCharacterSkin(char, skin, texture, player)
+      
+      // Back to full brightness on the next frame (see paintCharacter)
+      char.skinPending = false
+      
+      if (cape) {
+        applyCapeTexture(char, cape)
+      }
+    }
+    
+    // Put a loaded cape on a character - the cape texture also carries the elytra design
+    function applyCapeTexture(char, cape) {
+      [char.player.cape, char.player.elytra].forEach(part => part.traverse((obj) => {
+        if (!obj.material) return
+        obj.material.map = cape.texture
+        obj.material.needsUpdate = true
+      }))
+      char.hasCape = !cape.isDefault // Default elytra texture has no cape
+      char.capeObjectUrl = cape.url
+      updateBackEquipment(char, showCapesRef.current)
+    }
+    
+    // Load a player's cape texture, or resolve to null if they don't have one (never rejects)
+    async function loadCapeTexture(player) {
+      const cape = await loadCape(player)
+      if (!cape) return null
+      try {
+        const texture = await new TextureLoader().loadAsync(cape.url)
+        texture.needsUpdate = true
+        return { ...cape, texture }
+      } catch (error) {
+        console.warn(`Failed to load cape for ${player.username}:`, error)
+        releaseSkinUrl(cape.url)
+        return null
+      }
+    }
+    
+    // Let go of a cape from loadCapeTexture() that never made it onto a character
+    function releaseCape(cape) {
+      if (!cape) return
+      cape.texture.dispose()
+      releaseSkinUrl(cape.url)
     }
     
     // Function to remove a character
@@ -1146,6 +948,12 @@ function SkinViewerComponent() {
       
       const char = characters[index]
       
+      // Forget a skin load that's still waiting (or running - its result is thrown away)
+      skinLoadQueue.cancel(username)
+      pendingSkins.delete(username)
+      skinAtlas.release(char.atlasCell)
+      clearSkinFallback(username)
+      
       // Remove from scene
       if (char.group && char.group.parent) {
         char.group.parent.remove(char.group)
@@ -1154,7 +962,7 @@ function SkinViewerComponent() {
       // Dispose of resources
       if (char.player) {
         char.player.traverse((obj) => {
-          if (obj.geometry) obj.geometry.dispose()
+          if (obj.geometry && !isSharedGeometry(obj.geometry)) obj.geometry.dispose()
           if (obj.material) {
             if (Array.isArray(obj.material)) {
               obj.material.forEach(mat => {
@@ -1169,13 +977,209 @@ function SkinViewerComponent() {
         })
       }
       
+      // Let go of the skin's and cape's blob URLs (revoked once no other character uses them)
+      releaseSkinUrl(char.skinObjectUrl)
+      releaseSkinUrl(char.capeObjectUrl)
+      
       // Remove from array
       characters.splice(index, 1)
       charactersRef.current = characters
+      simulation.remove(username)
       // Don't update player count here - it's updated in syncCharacters
       console.log(`Removed character: ${username}`)
     }
     
+    // Make a character's materials fadeable, remembering how they were so endFade() can put them back
+    function beginFade(char) {
+      if (char.fadeMaterials) return
+      const materials = []
+      char.player.traverse((obj) => {
+        if (!obj.material) return
+        const objMaterials = Array.isArray(obj.material) ? obj.material : [obj.material]
+        objMaterials.forEach(mat => {
+          materials.push({ mat, transparent: mat.transparent, opacity: mat.opacity })
+          mat.transparent = true
+          mat.needsUpdate = true
+        })
+      })
+      char.fadeMaterials = materials
+    }
+    
+    function setFade(char, opacity) {
+      char.fadeMaterials.forEach(({ mat, opacity: original }) => {
+        mat.opacity = original * opacity
+      })
+      if (char.nameTag) {
+        char.nameTag.material.opacity = NAMETAG_OPACITY * opacity
+      }
+    }
+    
+    function endFade(char) {
+      if (!char.fadeMaterials) return
+      char.fadeMaterials.forEach(({ mat, transparent, opacity }) => {
+        mat.transparent = transparent
+        mat.opacity = opacity
+        mat.needsUpdate = true
+      })
+      char.fadeMaterials = null
+      if (char.nameTag) {
+        char.nameTag.material.opacity = NAMETAG_OPACITY
+      }
+    }
+    
+    // Start a new player's login effect - the simulation plays it (see src/simulation/transitions.js)
+    function beginLogin(char) {
+      const effect = getConfig().loginEffect
+      if (effect === 'portal') {
+        const portal = new PortalEffect({ duration: PORTAL_OPEN_DELAY * 2 + PORTAL_WALK_TIME })
+        portal.position.copy(char.group.position)
+        portal.rotation.y = char.group.rotation.y
+        skinViewer.scene.add(portal)
+        effectsRef.current.push(portal)
+        char.fade = 0 // Until the simulation has it stepping out
+      }
+      simulation.login(char.username, effect)
+    }
+    
+    // Wave goodbye and fade out before the character is removed - or remove it right away
+    function beginLogout(char) {
+      if (getConfig().logoutEffect !== 'wave') {
+        removeCharacter(skinViewer, char.username)
+        return
+      }
+      char.leaving = true // Removed once the simulation says it's done (logoutFinished)
+      simulation.logout(char.username)
+    }
+    
+    // The player logged back in while waving goodbye - keep the character
+    function cancelLogout(char) {
+      char.leaving = false
+      simulation.cancelLogout(char.username)
+    }
+    
+    // Swap a character's skin texture in place - position, animation and everything else stay as they are
+    function swapCharacterSkin(char, skin, texture, player) {
+      // Voxels are built from the old skin - the animation loop builds new ones
+      if (char.voxelLayer) {
+        char.voxelLayer.dispose()
+        char.voxelLayer = null
+      }
+      char.skinImage = skin.image
+      
+      const oldMaps = new Set()
+      char.player.skin.traverse((obj) => {
+        if (!obj.material) return
+        const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
+        materials.forEach(mat => {
+          if (mat.map) oldMaps.add(mat.map)
+          mat.map = texture
+          mat.needsUpdate = true
+        })
+      })
+      oldMaps.forEach(map => map.dispose())
+      
+      releaseSkinUrl(char.skinObjectUrl)
+      char.skinObjectUrl = skin.url
+      char.skinProvider = skin.provider
+      char.usesDefaultSkin = skin.isDefault
+      
+      // The new skin may have been drawn for the other arm model
+      const skinModel = resolveSkinModel(skin, player, texture.image)
+      if (skinModel !== char.skinModel) {
+        char.skinModel = skinModel
+        char.player.skin.modelType = skinModel === 'slim' ? 'slim' : 'default'
+        shareSkinGeometry(char.player.skin)
+      }
+    }
+    
+    // The character's skin in the atlas (the placeholder until the real skin arrives), or null if the atlas is full
+    function updateAtlasCell(char) {
+      const key = char.skinPending ? 'placeholder' : char.skinObjectUrl
+      if (char.atlasCell && char.atlasCell.key === key) return char.atlasCell
+      skinAtlas.release(char.atlasCell)
+      const image = char.skinPending ? getPlaceholderSkin() : char.skinImage
+      char.atlasCell = image ? skinAtlas.acquire(key, image) : null
+      return char.atlasCell
+    }
+    
+    // Hand distant characters over to the low-detail crowd - their full model stays, hidden, and
+    // keeps animating so the crowd copies its pose. now: frame time in milliseconds
+    function updateLevelOfDetail(characters, enabled, now) {
+      const lodDistance = getConfig().lodDistance
+      const cameraPosition = skinViewer.camera.position
+      const entries = []
+      characters.forEach(char => {
+        if (!char.player || !char.group) return
+        // Anything being watched or played with keeps its full model
+        const keepFullModel = !enabled || char.entering || char.leaving || char.isDying || char.isThrown ||
+          char.voxelLayer || char === hoveredCharRef.current || char === draggedCharRef.current ||
+          cameraPosition.distanceTo(char.group.position) <= lodDistance
+        const cell = keepFullModel ? null : updateAtlasCell(char)
+        const far = Boolean(cell && skinAtlas.isUploaded(cell) && char.group.visible)
+        char.player.visible = !far
+        if (far) {
+          if (char.nameTag) char.nameTag.visible = false // Too small to read out there
+          char.group.updateMatrixWorld(true)
+          entries.push({ skin: char.player.skin, cell })
+        }
+      })
+      skinAtlas.flush(now)
+      lodCrowd.update(entries)
+    }
+    
+    // Revalidate every online character's skin and swap in any that changed
+    // One character at a time, so a refresh never floods the skin host
+    async function refreshSkins() {
+      const characters = (charactersRef.current || []).slice()
+      for (const char of characters) {
+        if (skinRefreshStopped || document.hidden) return
+        
+        // Characters still waiting for their first skin get it from the load queue
+        const player = onlinePlayersRef.current.get(char.username)
+        if (!player || char.skinPending) continue
+        
+        const skin = await loadSkin(player, { revalidate: true })
+        const stillOnline = (charactersRef.current || []).includes(char)
+        // Same copy of the skin gets the same blob URL - nothing changed
+        // A default skin for someone who has a real one means the skin host couldn't be reached
+        // (there's no cached copy to fall back on without Cache Storage) - keep the skin they have
+        const hostUnreachable = skin.isDefault && !char.usesDefaultSkin
+        if (!stillOnline || skin.url === char.skinObjectUrl || hostUnreachable) {
+          releaseSkinUrl(skin.url)
+          continue
+        }
+        
+        try {
+          const texture = new Texture(skin.image)
+          texture.needsUpdate = true
+          swapCharacterSkin(char, skin, texture, player)
+          // Puff of smoke to cover the change - only for a changed skin, not a first reveal
+          const poof = new PoofEffect()
+          poof.position.copy(char.group.position)
+          skinViewer.scene.add(poof)
+          effectsRef.current.push(poof)
+          console.log(`Refreshed skin: ${char.username}`)
+        } catch (err) {
+          console.error(`Failed to refresh skin for ${char.username}:`, err)
+          releaseSkinUrl(skin.url)
+        }
+      }
+    }
+    
+    // Check for changed skins every skinRefreshInterval (runtime config, 0 turns it off)
+    let skinRefreshTimer = null
+    let skinRefreshStopped = false
+    function scheduleSkinRefresh() {
+      const interval = getConfig().skinRefreshInterval
+      if (skinRefreshStopped || !(interval > 0)) return
+      skinRefreshTimer = setTimeout(() => {
+        refreshSkins().catch(err => {
+          console.error('Error refreshing skins:', err)
+        }).finally(scheduleSkinRefresh)
+      }, interval)
+    }
+    scheduleSkinRefresh()
+    
     // Function to add chat message (with deduplication)
     function addChatMessage(username, type) {
       let message = '';
@@ -1185,6 +1189,10 @@ function SkinViewerComponent() {
         message = `${username} Logged out!`;
       } else if (type === 'death') {
         message = `${username} was slain!`;
+      } else if (type === 'guest') {
+        message = `${username} joined as a local preview!`;
+      } else if (type === 'invalid-skin') {
+        message = `${username} isn't a valid skin file`;
       }
       
       setChatMessages(prev => {
@@ -1207,43 +1215,67 @@ function SkinViewerComponent() {
       })
     }
     
-    // Function to sync characters with online players
-    async function syncCharacters() {
-      const onlinePlayers = await fetchOnlinePlayers() // Now returns array of {username, clusterId}
+    // Function to sync characters with a full list of online players
+    // quiet: reconcile without login/logout chat messages
+    async function applyPlayerList(onlinePlayers, { quiet = false } = {}) {
+      if (sessionRecorderRef.current.record(onlinePlayers)) {
+        setRecordedFrames(sessionRecorderRef.current.frameCount())
+      }
+      
+      const previousOnline = onlinePlayersRef.current
+      onlinePlayersRef.current = new Map(onlinePlayers.map(p => [p.username, p]))
       const currentCharacters = charactersRef.current || []
       const currentUsernames = currentCharacters.map(char => char.username)
       const onlineUsernames = onlinePlayers.map(p => p.username)
+      const announce = !isInitialLoadRef.current && !quiet
       
       // Find characters to add
       const toAdd = onlinePlayers.filter(player => !currentUsernames.includes(player.username))
       
-      // Find characters to remove
-      const toRemove = currentUsernames.filter(username => !onlineUsernames.includes(username))
-      
-      // Remove characters that went offline and add chat messages (skip on initial load)
-      toRemove.forEach(username => {
-        removeCharacter(skinViewer, username)
-        if (!isInitialLoadRef.current) {
-          addChatMessage(username, 'logout')
+      // Players who came back while their character was still waving goodbye keep it
+      currentCharacters.forEach(char => {
+        if (char.leaving && onlineUsernames.includes(char.username)) {
+          cancelLogout(char)
         }
       })
       
-      // Add new characters and add chat messages (skip on initial load)
-      if (!isInitialLoadRef.current) {
-        toAdd.forEach(player => {
-          addChatMessage(player.username, 'login')
-        })
+      // Find characters to remove (guests aren't in any source, they stay until removed)
+      const toRemove = currentCharacters
+        .filter(char => !char.isGuest && !char.leaving && !onlineUsernames.includes(char.username))
+      
+      // Characters that went offline wave goodbye, then get removed by the animation loop
+      toRemove.forEach(char => {
+        beginLogout(char)
+      })
+      
+      // Chat messages come from the online list itself, not from characters, so a
+      // character that is still loading its skin isn't announced twice (skip on initial load)
+      if (announce) {
+        previousOnline.forEach((player, username) => {
+          if (!onlinePlayersRef.current.has(username)) {
+            addChatMessage(username, 'logout')
+          }
+        })
+        onlinePlayers.forEach(player => {
+          if (!previousOnline.has(player.username)) {
+            addChatMessage(player.username, 'login')
+          }
+        })
       }
       
-      // Add new characters with their clusterId
-      const addPromises = toAdd.map(player => addCharacter(skinViewer, player.username, player.clusterId))
-      await Promise.all(addPromises)
+      // Add new characters with their clusterId and metadata - they show up right away in a
+      // placeholder skin, so the sync doesn't wait for their skins to download
+      // Only players who just logged in get the login effect, not everyone on the first load
+      toAdd.forEach(player => {
+        addCharacter(skinViewer, player, { transition: announce })
+      })
       
-      // Update clusterId for existing characters (in case they switched servers)
-      onlinePlayers.forEach(player => {
+      // Update clusterId and metadata for existing characters (in case they switched servers,
+      // went AFK, etc.)
+      onlinePlayersRef.current.forEach(player => {
         const existingChar = currentCharacters.find(char => char.username === player.username)
         if (existingChar) {
-          existingChar.clusterId = player.clusterId
+          applyPlayerMetadata(existingChar, player)
         }
       })
       
@@ -1263,15 +1295,156 @@ function SkinViewerComponent() {
       console.log(`Synced: ${toAdd.length} added, ${toRemove.length} removed`)
     }
     
-    // Initial fetch and sync
-    syncCharacters().then(() => {
-      // Set up interval to sync every 5 seconds
-      syncIntervalRef.current = setInterval(() => {
-        syncCharacters()
-      }, 5000) // 5 seconds
-    }).catch(err => {
-      console.error('Error in initial sync:', err)
+    // Local skin previews - a PNG dropped on the page or picked in the settings menu walks around
+    // as a guest character, through the same path as real players
+    let nextGuestId = 1
+    guestControlsRef.current = {
+      spawn: async (file) => {
+        const fileUrl = URL.createObjectURL(file)
+        try {
+          // Check it before it goes through the provider chain, which would fall back to a default skin
+          await decodeSkin(fileUrl)
+        } catch (error) {
+          console.warn(`Not a valid skin: ${file.name} (${error.message})`)
+          addChatMessage(file.name, 'invalid-skin')
+          URL.revokeObjectURL(fileUrl)
+          return
+        }
+        
+        const name = file.name.replace(/\.png$/i, '')
+        const guest = {
+          username: `${GUEST_PREFIX}${nextGuestId++}`,
+          displayName: `${name} (local)`,
+          clusterId: GUEST_CLUSTER,
+          skinUrl: fileUrl,
+          isGuest: true
+        }
+        // The skin chain makes its own copy of the skin, so the file's URL isn't needed after this
+        await addCharacter(skinViewer, guest, { transition: true })
+        URL.revokeObjectURL(fileUrl)
+        addChatMessage(guest.displayName, 'guest')
+        setGuestCount((charactersRef.current || []).filter(char => char.isGuest).length)
+        if (detectClustersRef.current) {
+          detectClustersRef.current()
+        }
+      },
+      removeAll: () => {
+        const guests = (charactersRef.current || []).filter(char => char.isGuest)
+        guests.forEach(char => removeCharacter(skinViewer, char.username))
+        setGuestCount(0)
+        if (detectClustersRef.current) {
+          detectClustersRef.current()
+        }
+      }
+    }
+    
+    // Dropping PNG files anywhere on the page spawns a guest for each one
+    let dragDepth = 0
+    const isFileDrag = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')
+    const handleSkinDragEnter = (event) => {
+      if (!isFileDrag(event)) return
+      event.preventDefault()
+      dragDepth++
+      setSkinDropActive(true)
+    }
+    const handleSkinDragOver = (event) => {
+      if (!isFileDrag(event)) return
+      event.preventDefault()
+      event.dataTransfer.dropEffect = 'copy'
+    }
+    const handleSkinDragLeave = (event) => {
+      if (!isFileDrag(event)) return
+      dragDepth = Math.max(0, dragDepth - 1)
+      if (dragDepth === 0) setSkinDropActive(false)
+    }
+    const handleSkinDrop = (event) => {
+      if (!isFileDrag(event)) return
+      event.preventDefault()
+      dragDepth = 0
+      setSkinDropActive(false)
+      Array.from(event.dataTransfer.files)
+        .filter(file => file.type === 'image/png' || /\.png$/i.test(file.name))
+        .forEach(file => guestControlsRef.current.spawn(file))
+    }
+    window.addEventListener('dragenter', handleSkinDragEnter)
+    window.addEventListener('dragover', handleSkinDragOver)
+    window.addEventListener('dragleave', handleSkinDragLeave)
+    window.addEventListener('drop', handleSkinDrop)
+    
+    // Run every configured source at once - push sources reconcile as soon as they change
+    const playerFeed = createPlayerFeed(getPlayerSources(getConfig()), {
+      onChange: (onlinePlayers, options) => {
+        // With polling sources too, the first poll applies everything that arrived before it
+        if (playerFeed.hasPollSources && isInitialLoadRef.current) return
+        applyPlayerList(onlinePlayers, options).catch(err => {
+          console.error('Error applying player list:', err)
+        })
+      },
+      onStatusChange: (failures) => {
+        // A single failed request is just a blip - only show the banner once it keeps failing
+        setConnectionLost(failures >= CONNECTION_LOST_THRESHOLD)
+      }
     })
+    playerFeedRef.current = playerFeed
+    
+    let syncFailures = 0 // Polls in a row where every polling source failed
+    
+    let lastRosterKey = null // Who was online where on the last successful poll
+    
+    // Function to sync characters with online players (polling sources)
+    // Resolves to { changed, failed, retryAfter } for the scheduler
+    async function syncCharacters() {
+      const { players: onlinePlayers, changed: sourcesChanged, updated, retryAfter } = await playerFeed.poll() // Merged array of {username, clusterId}
+      
+      // Nothing came back - keep everyone where they are instead of logging them all out
+      if (updated === 0) {
+        syncFailures++
+        return { changed: false, failed: true, retryAfter }
+      }
+      const failuresBefore = syncFailures
+      syncFailures = 0
+      
+      // Same payload as last time (or a 304) - nothing to diff
+      // Push sources apply their own changes as they arrive, so they can't be missed here
+      if (!sourcesChanged && !isInitialLoadRef.current) {
+        return { changed: false, failed: false, retryAfter }
+      }
+      
+      // Only logins, logouts and server switches count as changes for the scheduler
+      const rosterKey = onlinePlayers.map(p => `${p.username}:${p.clusterId}`).sort().join('|')
+      const changed = rosterKey !== lastRosterKey
+      lastRosterKey = rosterKey
+      
+      // Coming back after an outage, catch up without a burst of login/logout messages
+      const recovering = failuresBefore >= CONNECTION_LOST_THRESHOLD
+      await applyPlayerList(onlinePlayers, { quiet: recovering })
+      return { changed, failed: false, retryAfter }
+    }
+    
+    if (playerFeed.hasPollSources) {
+      // Sync every few seconds (syncInterval in the runtime config, default 5s) while the tab is visible
+      const syncScheduler = createSyncScheduler(syncCharacters, () => getConfig())
+      syncSchedulerRef.current = syncScheduler
+      syncScheduler.start()
+    }
+    
+    // Give a character from createCharacters the same cape and elytra as addCharacter would -
+    // these users come with minecraft_username/minecraft_uuid instead of the player schema
+    function equipUserCape(char, user) {
+      const player = normalizePlayer({ ...user, username: user.minecraft_username, uuid: user.minecraft_uuid })
+      if (!player) return
+      applyPlayerMetadata(char, player)
+      updateBackEquipment(char, showCapesRef.current)
+      loadCapeTexture(player).then(cape => {
+        if (!cape) return
+        // Removed while loading (removeCharacter takes the group out of the scene)
+        if (!char.group.parent) {
+          releaseCape(cape)
+          return
+        }
+        applyCapeTexture(char, cape)
+      })
+    }
     
     // Function to create characters with user data
     function createCharacters(skinViewer, users) {
@@ -1292,41 +1465,8 @@ function SkinViewerComponent() {
         const originalGroup = skinViewer.playerWrapper
         const originalPlayer = skinViewer.playerObject
         
-        // Disable cape/elytra for original character - traverse to find all cape/elytra objects
-        originalPlayer.traverse((obj) => {
-          if (obj.name && (obj.name.toLowerCase().includes('cape') || obj.name.toLowerCase().includes('elytra'))) {
-            obj.visible = false
-          }
-          if (obj === originalPlayer.cape || obj === originalPlayer.elytra) {
-            obj.visible = false
-          }
-        })
-        
-        // Explicitly disable cape and elytra if they exist
-        if (originalPlayer.cape) {
-          originalPlayer.cape.visible = false
-          originalPlayer.cape.traverse((obj) => {
-            if (obj.visible !== undefined) obj.visible = false
-          })
-        }
-        if (originalPlayer.elytra) {
-          originalPlayer.elytra.visible = false
-          originalPlayer.elytra.traverse((obj) => {
-            if (obj.visible !== undefined) obj.visible = false
-          })
-        }
-        
-        // Ensure original is visible
+        // Ensure original is visible - the cape and elytra follow updateBackEquipment below
         originalGroup.visible = true
-        originalGroup.traverse((child) => {
-          if (child.visible !== undefined) {
-            if (child.name && (child.name.toLowerCase().includes('cape') || child.name.toLowerCase().includes('elytra'))) {
-              child.visible = false
-            } else if (child !== originalPlayer.cape && child !== originalPlayer.elytra) {
-              child.visible = true
-            }
-          }
-        })
         
         // Set original character's starting position - random spawn (not perfect grid)
         const spacing = 120 // Base spacing between characters
@@ -1354,12 +1494,18 @@ function SkinViewerComponent() {
         originalGroup.add(originalNameTag)
         
         // Add original as first character
-        characters.push({
+        const originalCharacter = {
           group: originalGroup,
           player: originalPlayer,
           nameTag: originalNameTag,
           username: users[0].minecraft_username,
           uuid: users[0].minecraft_uuid,
+          hasCape: false,
+          capeObjectUrl: null
+        }
+        equipUserCape(originalCharacter, users[0])
+        characters.push(originalCharacter)
+        simulation.add(originalCharacter, {
           animProgress: 0,
           animSpeed: 0.87285, // 10% faster (0.7935 * 1.1 = 0.87285)
           animationState: ANIMATION_STATES.WALK, // Start with walking
@@ -1431,36 +1577,9 @@ function SkinViewerComponent() {
               // Clone the texture properly - each character needs its own texture instance
               const newSkinTexture = texture.clone()
               newSkinTexture.needsUpdate = true
-              // Don't create a cape texture - pass null/undefined to avoid cape issues
-              const newCapeTexture = null
-              
-              // Create new PlayerObject with this character's unique skin
-              const newPlayer = new skinview3d.PlayerObject(newSkinTexture, newCapeTexture)
-              
-              // Disable cape/elytra rendering - traverse to find all cape/elytra objects
-              newPlayer.traverse((obj) => {
-                if (obj.name && (obj.name.toLowerCase().includes('cape') || obj.name.toLowerCase().includes('elytra'))) {
-                  obj.visible = false
-                }
-                // Also check if it's the cape or elytra property
-                if (obj === newPlayer.cape || obj === newPlayer.elytra) {
-                  obj.visible = false
-                }
-              })
               
-              // Explicitly disable cape and elytra if they exist
-              if (newPlayer.cape) {
-                newPlayer.cape.visible = false
-                newPlayer.cape.traverse((obj) => {
-                  if (obj.visible !== undefined) obj.visible = false
-                })
-              }
-              if (newPlayer.elytra) {
-                newPlayer.elytra.visible = false
-                newPlayer.elytra.traverse((obj) => {
-                  if (obj.visible !== undefined) obj.visible = false
-                })
-              }
+              // Create new PlayerObject with this character's unique skin - no cape until it has loaded
+              const newPlayer = new skinview3d.PlayerObject(newSkinTexture, null)
               
               const characterGroup = new Group()
               characterGroup.add(newPlayer)
@@ -1480,17 +1599,6 @@ function SkinViewerComponent() {
               characterGroup.rotation.y = Math.random() * Math.PI * 2
               characterGroup.visible = true
               
-              newPlayer.traverse((obj) => {
-                // Make sure everything except cape/elytra is visible
-                if (obj.visible !== undefined) {
-                  if (obj.name && (obj.name.toLowerCase().includes('cape') || obj.name.toLowerCase().includes('elytra'))) {
-                    obj.visible = false
-                  } else if (obj !== newPlayer.cape && obj !== newPlayer.elytra) {
-                    obj.visible = true
-                  }
-                }
-              })
-              
               // Create nametag for this character using username from API
               const nameTag = new NameTagObject(user.minecraft_username || `Player${i + 1}`, {
                 font: '56px Minecraft', // Slightly smaller font
@@ -1512,23 +1620,28 @@ function SkinViewerComponent() {
                 nameTag: nameTag,
                 username: user.minecraft_username,
                 uuid: user.minecraft_uuid,
-                animProgress: i * 0.2,
-                animSpeed: 0.87285, // 10% faster (0.7935 * 1.1 = 0.87285)
-                animationState: ANIMATION_STATES.WALK, // Start with walking
-                animationStateTimer: Math.random() * 10 + 5, // Random timer for state changes
-                path: {
-                  x: startX,
-                  z: startZ,
-                  angle: Math.random() * Math.PI * 2,
-                  targetX: Math.random() * 300 - 150,
-                  targetZ: Math.random() * 300 - 150,
-                  changeTargetTime: Math.random() * 5 + 3 // More frequent target changes
-                }
+                hasCape: false,
+                capeObjectUrl: null
               }
               
               // Validate character data before adding
-              if (characterData.group && characterData.player && characterData.path) {
+              if (characterData.group && characterData.player) {
+                equipUserCape(characterData, user)
                 characters.push(characterData)
+                simulation.add(characterData, {
+                  animProgress: i * 0.2,
+                  animSpeed: 0.87285, // 10% faster (0.7935 * 1.1 = 0.87285)
+                  animationState: ANIMATION_STATES.WALK, // Start with walking
+                  animationStateTimer: Math.random() * 10 + 5, // Random timer for state changes
+                  path: {
+                    x: startX,
+                    z: startZ,
+                    angle: Math.random() * Math.PI * 2,
+                    targetX: Math.random() * 300 - 150,
+                    targetZ: Math.random() * 300 - 150,
+                    changeTargetTime: Math.random() * 5 + 3 // More frequent target changes
+                  }
+                })
               } else {
                 console.error('Invalid character data:', characterData)
               }
@@ -1562,2253 +1675,173 @@ function SkinViewerComponent() {
     } // End of createCharacters function
 
     skinViewerRef.current = skinViewer
+    
+    // The viewer's own model walks around on its own until somebody comes online
+    simulation.setOriginal(skinViewer.playerObject)
 
-    // Animation loop with 3D movement for multiple characters
-    // Throttled to 24fps for smooth animation
+    // Animation loop - the simulation (src/simulation/) moves and poses every character in fixed
+    // steps, simulationRate times a second; drawing happens every display refresh (or at most
+    // maxFrameRate times a second), in between the last two steps it sent back
+    let simulationBacklog = 0 // Milliseconds of simulation still to run
+    let lastSimulationTime = null
+    let voxelLayersFit = true // Few enough characters for voxel outer layers
+    let lodActive = false // Enough characters for the low-detail crowd
     function animate(currentTime) {
+      // Stop rendering while the tab is hidden - handleVisibilityChange restarts the loop
+      if (document.hidden) {
+        animationFrameRef.current = null
+        lastSimulationTime = null // Don't try to catch up on the time spent hidden
+        return
+      }
       animationFrameRef.current = requestAnimationFrame(animate)
       
-      // Throttle to 24fps
-      const elapsed = currentTime - lastFrameTimeRef.current
-      if (elapsed < frameInterval) {
-        return // Skip this frame
+      // Draw at most maxFrameRate times a second (0 = every display refresh)
+      const maxFrameRate = getConfig().maxFrameRate
+      if (maxFrameRate > 0) {
+        const frameInterval = 1000 / maxFrameRate
+        const elapsed = currentTime - lastFrameTimeRef.current
+        if (elapsed < frameInterval) {
+          return // Skip this frame
+        }
+        lastFrameTimeRef.current = currentTime - (elapsed % frameInterval)
       }
       
-      lastFrameTimeRef.current = currentTime - (elapsed % frameInterval)
-      
-      {
-        const deltaTime = frameInterval / 1000 // Convert to seconds (1/24 = ~0.0417)
+      // Run as many fixed steps as the time since the last frame holds - several on a slow
+      // machine, so the simulation keeps real time, and none on some frames of a fast display
+      const simulationRate = getConfig().simulationRate > 0 ? getConfig().simulationRate : TUNED_STEP_RATE
+      const stepTime = 1000 / simulationRate
+      const frameTime = lastSimulationTime === null ? stepTime : Math.min(currentTime - lastSimulationTime, MAX_FRAME_TIME)
+      lastSimulationTime = currentTime
+      simulationBacklog += frameTime
+      
+      let steps = 0
+      while (simulationBacklog >= stepTime) {
+        simulationBacklog -= stepTime
+        steps++
+        
+        const deltaTime = stepTime / 1000 // Convert to seconds (1/24 = ~0.0417 at the default rate)
         timeRef.current += deltaTime
         
-        // Base movement speed - will be adjusted based on animation state
-        const baseMoveSpeed = 2.0 // Increased to move further distances
+        // One-off effects - drop the ones that have finished
+        if (effectsRef.current.length > 0) {
+          effectsRef.current = effectsRef.current.filter(effect => effect.update(deltaTime))
+        }
+      }
+      simulation.step(steps, stepTime / 1000)
+      
+      // Camera is FIXED - 45 degree angle from 500m away
+      // Camera positioned 500 units away at 45 degree angle looking down
+      const cameraDistance = 500
+      const angle45 = Math.PI / 4
+      skinViewer.camera.position.set(
+        Math.sin(angle45) * cameraDistance,
+        Math.cos(angle45) * cameraDistance,
+        Math.cos(angle45) * cameraDistance
+      )
+      skinViewer.camera.lookAt(0, 0, 0) // Look at origin
+      
+      // Draw in between the last two simulation steps - the viewer's own model too, while it's alone
+      const characters = charactersRef.current || []
+      simulation.draw(characters, simulationBacklog / stepTime, characters.length === 0 ? skinViewer.playerObject : null)
+      
+      // The dragged character stays right under the pointer
+      const dragged = draggedCharRef.current
+      if (dragged && isDraggingRef.current && dragPointRef.current) {
+        dragged.group.position.x = dragPointRef.current.x
+        dragged.group.position.z = dragPointRef.current.z
+      }
+      
+      // 3D outer layers only while there aren't too many characters - with some slack, so a
+      // count hovering around the limit doesn't keep rebuilding them
+      const voxelLimit = getConfig().voxelLayerMaxPlayers
+      if (characters.length > voxelLimit) {
+        voxelLayersFit = false
+      } else if (characters.length <= voxelLimit * 0.9) {
+        voxelLayersFit = true
+      }
+      const useVoxelLayers = voxelLayersRef.current && voxelLayersFit
+      let voxelBuilds = 0
+      
+      characters.forEach(char => {
+        if (!char.group || !char.player) return
         
-        // Update all characters
-        const characters = charactersRef.current || []
+        // Hidden until the simulation has placed it
+        char.group.visible = char.fade !== undefined
         
-        // If no cloned characters yet, use the original player
-        if (!characters || characters.length === 0) {
-          const player = skinViewer.playerObject
-          
-          // Create temporary character state for original player
-          if (!originalCharStateRef.current) {
-            originalCharStateRef.current = {
-              animationState: ANIMATION_STATES.WALK,
-              animationStateTimer: Math.random() * 10 + 5,
-              animProgress: 0,
-              animSpeed: 0.6
-            }
-          }
-          const charState = originalCharStateRef.current
-          
-          // Create a temporary path object for the original player - random movement with collision avoidance
-          const path = { 
-            x: player.position.x, 
-            z: player.position.z, 
-            angle: 0,
-            targetX: Math.random() * 400 - 200, // Larger movement area
-            targetZ: Math.random() * 400 - 200,
-            changeTargetTime: Math.random() * 3 + 2 // More frequent changes (2-5 seconds)
-          }
-          
-          // Move towards random target
-          path.changeTargetTime -= deltaTime
-          if (path.changeTargetTime <= 0) {
-            path.targetX = Math.random() * 400 - 200
-            path.targetZ = Math.random() * 400 - 200
-            path.changeTargetTime = Math.random() * 3 + 2
-          }
-          
-          let dx = path.targetX - path.x
-          let dz = path.targetZ - path.z
-          let distance = Math.sqrt(dx * dx + dz * dz)
-          
-          if (distance < 15) {
-            // Use uniform distribution in a circle to avoid center bias
-            const angle = Math.random() * Math.PI * 2
-            const radius = 50 + Math.random() * 150 // Between 50 and 200 units from center
-            path.targetX = Math.cos(angle) * radius
-            path.targetZ = Math.sin(angle) * radius
-            path.changeTargetTime = Math.random() * 3 + 2
-            dx = path.targetX - path.x
-            dz = path.targetZ - path.z
-            distance = Math.sqrt(dx * dx + dz * dz)
-          }
-          
-          // Collision avoidance - prevent clumping but allow natural movement
-          const avoidanceRadius = 80 // Start avoiding from 80 units away (reduced from 120)
-          const minDistance = 50 // Minimum distance of 50 units (reduced from 80)
-          let avoidX = 0
-          let avoidZ = 0
-          
-          // Center repulsion - gentle push away from center
-          const centerDist = Math.sqrt(path.x ** 2 + path.z ** 2)
-          const centerRepulsionRadius = 60 // Start repelling from center when within 60 units (reduced)
-          if (centerDist < centerRepulsionRadius && centerDist > 0) {
-            const centerRepulsionStrength = (centerRepulsionRadius - centerDist) / centerRepulsionRadius
-            avoidX += (path.x / centerDist) * centerRepulsionStrength * 5 // Gentle push (reduced from 12)
-            avoidZ += (path.z / centerDist) * centerRepulsionStrength * 5
-          }
-          
-          const allCharacters = charactersRef.current || []
-          allCharacters.forEach((otherChar, otherIndex) => {
-            if (!otherChar || !otherChar.path || !otherChar.group) return
-            const otherPath = otherChar.path
-            const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-            const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-            
-            const distX = path.x - otherX
-            const distZ = path.z - otherZ
-            const dist = Math.sqrt(distX * distX + distZ * distZ)
-            
-            // Gentle avoidance when close to other characters
-            if (dist < avoidanceRadius && dist > 0) {
-              const avoidStrength = (avoidanceRadius - dist) / avoidanceRadius
-              // Moderate avoidance force - allows natural movement (reduced from 10)
-              avoidX += (distX / dist) * avoidStrength * 4
-              avoidZ += (distZ / dist) * avoidStrength * 4
-              
-              // If very close, override target to move away (but less aggressively)
-              if (dist < minDistance) {
-                path.targetX = path.x + (distX / dist) * 60
-                path.targetZ = path.z + (distZ / dist) * 60
-                path.changeTargetTime = 1.0 // Change target less aggressively (increased from 0.5)
-              }
-            }
-          })
-          
-          // Update animation state timer
-          charState.animationStateTimer -= deltaTime
-          
-          // Always walking - no state changes needed
-          charState.animationState = ANIMATION_STATES.WALK
-          
-          const moveSpeed = baseMoveSpeed
-          // Prioritize avoidance over target movement - if avoiding, reduce target movement
-          const avoidancePriority = Math.abs(avoidX) + Math.abs(avoidZ) > 0 ? 0.3 : 1.0 // Reduce target movement when avoiding
-          const moveX = ((dx / Math.max(distance, 0.1)) * moveSpeed * 5 * avoidancePriority) + avoidX * 2 // Avoidance is 2x stronger
-          const moveZ = ((dz / Math.max(distance, 0.1)) * moveSpeed * 5 * avoidancePriority) + avoidZ * 2
-          
-          const forwardDistance = path.z + moveZ
-          const sideDistance = path.x + moveX
-          
-          const newX = sideDistance
-          const newZ = forwardDistance
-          
-          const lerpFactor = 0.25
-          player.position.x += (newX - player.position.x) * lerpFactor
-          player.position.z += (newZ - player.position.z) * lerpFactor
-          
-          const oldX = path.x !== undefined ? path.x : player.position.x
-          const oldZ = path.z !== undefined ? path.z : player.position.z
-          const rotDx = player.position.x - oldX
-          const rotDz = player.position.z - oldZ
-          
-          if (Math.abs(rotDx) > 0.001 || Math.abs(rotDz) > 0.001) {
-            const targetRotation = Math.atan2(rotDx, rotDz)
-            let currentRot = player.rotation.y
-            while (currentRot > Math.PI) currentRot -= Math.PI * 2
-            while (currentRot < -Math.PI) currentRot += Math.PI * 2
-            let targetRot = targetRotation
-            while (targetRot > Math.PI) targetRot -= Math.PI * 2
-            while (targetRot < -Math.PI) targetRot += Math.PI * 2
-            let diff = targetRot - currentRot
-            if (diff > Math.PI) diff -= Math.PI * 2
-            if (diff < -Math.PI) diff += Math.PI * 2
-            // Faster, smoother rotation for original character too
-            const rotationSpeed = Math.min(0.8, Math.abs(diff) * 2 + 0.3)
-            player.rotation.y += diff * rotationSpeed
-          }
-          
-          path.x = player.position.x
-          path.z = player.position.z
-          
-          // Apply animation based on state
-          charState.animProgress += deltaTime * charState.animSpeed
-          
-          // Always walking
-          try {
-            if (player && charState.animProgress !== undefined) {
-              WalkingAnimationNoHeadBob(player, charState.animProgress)
-            }
-          } catch (err) {
-            console.error('Animation error for original character:', err)
-          }
-          
-          // Update nametag position if it exists (for original character)
-          const originalChar = characters[0]
-          if (originalChar && originalChar.nameTag) {
-            originalChar.nameTag.position.y = 25 // Keep it well above character's head
-          }
+        // Red while hit, and shimmering while the real skin is still loading
+        paintCharacter(char, char.skinPending && !char.isDying ? getShimmerBrightness(char, timeRef.current) : 1)
+        
+        // Login, logout, dying and formation mode all fade characters
+        if (char.fade < 1) {
+          beginFade(char)
+          setFade(char, char.fade)
         } else {
-          // Get characters from ref
-          const allCharacters = charactersRef.current || []
-          
-          // Formation mode logic - use refs to get current values
-          const currentFormationMode = formationModeRef.current
-          const currentSelectedCluster = selectedClusterRef.current
-          const currentClusters = clustersRef.current
-          
-          if (currentFormationMode && currentSelectedCluster !== null && currentClusters.length > currentSelectedCluster) {
-            const selectedClusterUsernames = currentClusters[currentSelectedCluster]
-            const clusterCharacters = allCharacters.filter(char => 
-              selectedClusterUsernames.includes(char.username)
-            )
-            const nonClusterCharacters = allCharacters.filter(char => 
-              !selectedClusterUsernames.includes(char.username)
-            )
-            
-            // Log formation mode statistics (only once per activation)
-            const wasFormationModeActive = allCharacters.some(char => char.formationMode)
-            if (!wasFormationModeActive) {
-              const clusterId = clusterCharacters[0]?.clusterId || 'UNKNOWN'
-              const formationRows = Math.ceil(Math.sqrt(clusterCharacters.length))
-              const formationCols = Math.ceil(clusterCharacters.length / formationRows)
-              console.log(`🎯 Formation Mode Activated!`)
-              console.log(`   Cluster: ${clusterId}`)
-              console.log(`   📊 ${clusterCharacters.length} players will form up in military formation`)
-              console.log(`   🚶 ${nonClusterCharacters.length} players will walk offscreen and despawn`)
-              console.log(`   📐 Formation grid: ${formationRows} rows × ${formationCols} columns`)
-              console.log(`   ⏳ Waiting for players to reach formation positions...`)
-            }
-            
-            // Clear formation mode flags when exiting formation mode
-            allCharacters.forEach(char => {
-              if (!currentFormationMode) {
-                char.formationMode = false
-                char.shouldDespawn = false
-                if (char.path.changeTargetTime === 999999) {
-                  char.path.changeTargetTime = Math.random() * 5 + 4 // Reset to normal
-                }
-              }
-            })
-
-            // Calculate formation positions for cluster characters (military grid formation)
-            // Line up shoulder to shoulder facing camera
-            const formationRows = Math.ceil(Math.sqrt(clusterCharacters.length))
-            const formationCols = Math.ceil(clusterCharacters.length / formationRows)
-            const formationSpacing = 40 // Much more spacing between players in formation
-            const formationCenterX = 0 // Center of screen
-            const formationCenterZ = 0 // Center of screen
-
-            clusterCharacters.forEach((char, idx) => {
-              if (!char || !char.path || !char.group) return
-
-              const row = Math.floor(idx / formationCols)
-              const col = idx % formationCols
-              const offsetX = (col - (formationCols - 1) / 2) * formationSpacing
-              const offsetZ = (row - (formationRows - 1) / 2) * formationSpacing
-
-              // Set formation target
-              char.path.targetX = formationCenterX + offsetX
-              char.path.targetZ = formationCenterZ + offsetZ
-              char.path.changeTargetTime = 999999 // Prevent random target changes
-              char.formationMode = true
-              // Stop all other actions
-              char.hitTargetPlayer = null
-              char.isHitting = false
-              char.runAwayTimer = undefined
-              char.runAwayTarget = null
-              char.runAwayFrom = null
-              char.shouldRunAway = false
-              char.animationState = ANIMATION_STATES.WALK // Will change to IDLE when in position
-            })
-
-            // Make non-cluster characters run offscreen (all go right)
-            nonClusterCharacters.forEach((char, idx) => {
-              if (!char || !char.path || !char.group) return
-
-              // All characters go right (positive X)
-              const offscreenDistance = 600
-              
-              // Stagger Z positions to avoid stacking (spread them out vertically)
-              const zOffset = (idx % 10) * 8 - 36 // Spread across Z axis (-36 to +36)
-              
-              // Path to offscreen right only - keep Z staggered to avoid collisions
-              char.path.targetX = offscreenDistance
-              char.path.targetZ = zOffset // Staggered Z position to avoid stacking
-              char.path.changeTargetTime = 999999 // Prevent random target changes
-              char.formationMode = true
-              char.shouldDespawn = true // Mark for despawning
-              char.animationState = ANIMATION_STATES.RUN // Use run animation
-              char.fadeOutOpacity = 1.0 // Track opacity for fade out
-              char.isFadedOut = false // Track if character is faded out
-            })
-          }
-
-          allCharacters.forEach((char, index) => {
-            // Safety checks
-            if (!char || !char.path || !char.group || !char.player) {
-              return // Skip invalid characters
-            }
-            
-            const path = char.path
-            const group = char.group
-            const player = char.player
-            
-            // Handle death sequence FIRST (for all dying characters - thrown or hit)
-            if (char.isDying) {
-              // Play death sound on first frame of death (if not already played)
-              if (!char.deathSoundPlayed) {
-                try {
-                  const deathSound = new Audio('/oof.ogg')
-                  deathSound.volume = 0.4 // Not too loud (40% volume)
-                  deathSound.play().catch(err => {
-                    // Ignore play errors (e.g., autoplay restrictions)
-                    console.log('Could not play death sound:', err)
-                  })
-                  char.deathSoundPlayed = true
-                } catch (err) {
-                  console.log('Could not create death sound:', err)
-                }
-              }
-              
-              char.deathTimer -= deltaTime
-              
-              // Keep character stopped (no movement during death)
-              if (char.throwVelocity) {
-                char.throwVelocity.x = 0
-                char.throwVelocity.z = 0
-              }
-              if (char.dropVelocity !== undefined) {
-                char.dropVelocity = 0
-              }
-              
-              // Stop pathing and movement completely
-              char.path.targetX = char.path.x
-              char.path.targetZ = char.path.z
-              char.path.changeTargetTime = Infinity
-              group.position.x = char.path.x // Lock position
-              group.position.z = char.path.z
-              
-              // Stop any other movement states
-              char.shouldRunAway = false
-              char.runAwayTimer = undefined
-              char.runAwayTarget = undefined
-              char.runAwayFrom = undefined
-              char.hitTargetPlayer = undefined
-              char.isHitting = false
-              
-              // Smooth rotation to fall over
-              if (char.fallRotation) {
-                const rotationSpeed = 0.15 // Rotation speed per frame
-                const targetX = char.fallRotation.targetX
-                const targetZ = char.fallRotation.targetZ
-                let currentX = char.fallRotation.currentX
-                let currentZ = char.fallRotation.currentZ
-                
-                // Smoothly rotate towards target
-                const diffX = targetX - currentX
-                const diffZ = targetZ - currentZ
-                currentX += diffX * rotationSpeed
-                currentZ += diffZ * rotationSpeed
-                
-                // Update rotation
-                group.rotation.x = currentX
-                group.rotation.z = currentZ
-                
-                // Update stored values
-                char.fallRotation.currentX = currentX
-                char.fallRotation.currentZ = currentZ
-                
-                // If close enough to target, snap to it
-                if (Math.abs(diffX) < 0.01 && Math.abs(diffZ) < 0.01) {
-                  group.rotation.x = targetX
-                  group.rotation.z = targetZ
-                  char.fallRotation = undefined // Clear after reaching target
-                }
-              } else {
-                // Initialize fall rotation if not already set
-                char.fallRotation = {
-                  targetX: Math.PI / 2, // Fall forward
-                  targetZ: (Math.random() - 0.5) * 0.3, // Slight random tilt
-                  currentX: group.rotation.x || 0,
-                  currentZ: group.rotation.z || 0
-                }
-              }
-              
-              // Fade out
-              const fadeProgress = 1 - (char.deathTimer / 1.2)
-              player.traverse((obj) => {
-                if (obj.material) {
-                  const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                  materials.forEach((mat) => {
-                    mat.transparent = true
-                    mat.opacity = 1 - fadeProgress
-                  })
-                }
-              })
-              
-              // Fade nametag
-              if (char.nameTag && char.nameTag.material) {
-                char.nameTag.material.opacity = 1 - fadeProgress
-              }
-              
-              // Respawn when fade complete
-              if (char.deathTimer <= 0) {
-                // Respawn at new random location
-                const spacing = 120
-                const angle = Math.random() * Math.PI * 2
-                const radius = 50 + Math.random() * 150
-                const newX = Math.cos(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
-                const newZ = Math.sin(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
-                
-                // Reset position
-                path.x = newX
-                path.z = newZ
-                group.position.set(newX, 0, newZ)
-                group.rotation.y = Math.random() * Math.PI * 2
-                
-                // Reset all states
-                char.isThrown = false
-                char.isFloating = false
-                char.isDying = false
-                char.deathSoundPlayed = false // Reset sound flag
-                char.throwVelocity = null
-                char.dropVelocity = undefined
-                char.isHit = false
-                char.hitTimer = undefined
-                char.animationState = ANIMATION_STATES.WAVE // Wave on respawn
-                char.waveDuration = 4.0 + Math.random() * 2.0 // Wave for 4-6 seconds (same as spawn)
-                char.waveArm = Math.random() > 0.5 ? 'left' : 'right'
-                char.animProgress = 0 // Reset animation progress for wave
-                
-                // Reset pathing
-                char.path.changeTargetTime = Date.now() + Math.random() * 2000 + 1000
-                
-                // Reset all rotations (including fall-over rotation)
-                group.rotation.x = 0
-                group.rotation.z = 0
-                char.throwRotation = { x: 0, z: 0 }
-                char.fallRotation = undefined // Clear fall rotation
-                if (player.rotation) {
-                  player.rotation.x = 0
-                  player.rotation.z = 0
-                }
-                if (player.skin && player.skin.head) {
-                  player.skin.head.rotation.x = 0
-                }
-                if (player.skin && player.skin.leftArm) {
-                  player.skin.leftArm.rotation.z = 0
-                }
-                if (player.skin && player.skin.rightArm) {
-                  player.skin.rightArm.rotation.z = 0
-                }
-                
-                // Restore materials (remove red tint and restore opacity)
-                player.traverse((obj) => {
-                  if (obj.material) {
-                    const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                    materials.forEach((mat) => {
-                      if (mat.color) {
-                        mat.color.setRGB(1.0, 1.0, 1.0) // Reset to white
-                      }
-                      mat.transparent = false
-                      mat.opacity = 1.0
-                      mat.needsUpdate = true
-                    })
-                  }
-                })
-                
-                // Restore nametag
-                if (char.nameTag && char.nameTag.material) {
-                  char.nameTag.material.opacity = 0.5 // Original nametag opacity
-                }
-                
-                console.log(`✨ ${char.username} respawned at (${newX.toFixed(1)}, ${newZ.toFixed(1)})`)
-                
-                // Skip rest of logic this frame
-                return
-              }
-              
-              // Skip rest of logic while dying
-              return
-            }
-            
-            // Skip normal movement logic if in formation mode (handled above)
-            if (char.formationMode) {
-              // Check if this is a cluster character (should form up) or non-cluster (should despawn)
-              const isClusterChar = currentFormationMode && currentSelectedCluster !== null && currentClusters.length > currentSelectedCluster && 
-                                    currentClusters[currentSelectedCluster].includes(char.username)
-              
-              if (isClusterChar) {
-                // Cluster character - move to formation position
-                const dx = path.targetX - path.x
-                const dz = path.targetZ - path.z
-                const distance = Math.sqrt(dx * dx + dz * dz)
-                
-                if (distance > 0.3) {
-                  // Move towards formation position
-                  const moveSpeed = baseMoveSpeed * 5.0 // Much faster movement in formation mode
-                  const moveX = (dx / distance) * moveSpeed
-                  const moveZ = (dz / distance) * moveSpeed
-                  
-                  path.x += moveX * deltaTime
-                  path.z += moveZ * deltaTime
-                  group.position.x = path.x
-                  group.position.z = path.z
-                  
-                  // Face the direction they are walking (not camera)
-                  if (Math.abs(dx) > 0.001 || Math.abs(dz) > 0.001) {
-                    const targetRotation = Math.atan2(dx, dz)
-                    let currentRot = group.rotation.y
-                    while (currentRot > Math.PI) currentRot -= Math.PI * 2
-                    while (currentRot < -Math.PI) currentRot += Math.PI * 2
-                    let targetRot = targetRotation
-                    while (targetRot > Math.PI) targetRot -= Math.PI * 2
-                    while (targetRot < -Math.PI) targetRot += Math.PI * 2
-                    let diff = targetRot - currentRot
-                    if (diff > Math.PI) diff -= Math.PI * 2
-                    if (diff < -Math.PI) diff += Math.PI * 2
-                    const rotationSpeed = 0.5
-                    group.rotation.y += diff * rotationSpeed
-                  }
-                  
-                  // Play walking animation (only if not already waving)
-                  if (char.animationState !== ANIMATION_STATES.WAVE) {
-                    char.animationState = ANIMATION_STATES.WALK
-                    char.animProgress += deltaTime * char.animSpeed
-                    try {
-                      WalkingAnimationNoHeadBob(player, char.animProgress)
-                    } catch (err) {
-                      console.error('Animation error:', err)
-                    }
-                  }
-                } else {
-                  // Reached formation position - idle and face camera
-                  if (char.animationState === ANIMATION_STATES.WALK) {
-                    // Mark that this character has reached formation position
-                    char.reachedFormationPosition = true
-                    char.animationState = ANIMATION_STATES.IDLE
-                    char.animProgress = 0 // Reset animation progress for idle
-                    
-                    // Count how many have reached formation
-                    const clusterCharacters = allCharacters.filter(c => 
-                      c.formationMode && !c.shouldDespawn && currentSelectedCluster !== null && 
-                      currentClusters[currentSelectedCluster]?.includes(c.username)
-                    )
-                    const reachedCount = clusterCharacters.filter(c => c.reachedFormationPosition).length
-                    const totalCount = clusterCharacters.length
-                    
-                    if (reachedCount === totalCount && totalCount > 0) {
-                      console.log(`   ✅ All ${totalCount} players have reached formation positions!`)
-                    } else {
-                      console.log(`   ✅ ${char.username} reached formation (${reachedCount}/${totalCount})`)
-                    }
-                  }
-                  
-                  // Stop moving - character has reached formation position
-                  // Don't update path.x or path.z - keep them at formation position
-                  
-                  // Face camera
-                  const cameraAngle = Math.PI / 4 // 45 degrees
-                  let currentRot = group.rotation.y
-                  while (currentRot > Math.PI) currentRot -= Math.PI * 2
-                  while (currentRot < -Math.PI) currentRot += Math.PI * 2
-                  let diff = cameraAngle - currentRot
-                  if (diff > Math.PI) diff -= Math.PI * 2
-                  if (diff < -Math.PI) diff += Math.PI * 2
-                  const rotationSpeed = 0.5
-                  group.rotation.y += diff * rotationSpeed
-                  
-                  // Idle animation
-                  char.animProgress += deltaTime * char.animSpeed
-                  try {
-                    IdleAnimation(player, char.animProgress)
-                  } catch (err) {
-                    console.error('Animation error:', err)
-                  }
-                }
-              } else {
-                // Non-cluster character - run offscreen and fade out (left/right only)
-                const dx = path.targetX - path.x
-                const targetZ = 0 // Always move to center Z for horizontal movement
-                const dz = targetZ - path.z
-                
-                // Initialize fade out opacity if not set
-                if (char.fadeOutOpacity === undefined) {
-                  char.fadeOutOpacity = 1.0
-                  char.isFadedOut = false
-                }
-                
-                // First, move to center Z if not already there (quickly)
-                if (Math.abs(dz) > 0.5) {
-                  // Move towards center Z quickly
-                  const zMoveSpeed = baseMoveSpeed * 10
-                  const moveZ = (dz > 0 ? 1 : -1) * zMoveSpeed * deltaTime
-                  path.z += moveZ
-                  group.position.z = path.z
-                } else {
-                  // At center Z, now move horizontally only
-                  path.z = 0
-                  group.position.z = 0
-                }
-                
-                // Move horizontally (right only) with collision avoidance
-                if (Math.abs(dx) > 0.1 || Math.abs(dz) > 0.1) {
-                  // Collision avoidance with other offscreen characters
-                  const avoidanceRadius = 15
-                  const minDistance = 12
-                  let avoidX = 0
-                  let avoidZ = 0
-                  
-                  allCharacters.forEach(otherChar => {
-                    if (otherChar === char || !otherChar.shouldDespawn || !otherChar.path) return
-                    
-                    const otherX = otherChar.path.x
-                    const otherZ = otherChar.path.z
-                    const distX = path.x - otherX
-                    const distZ = path.z - otherZ
-                    const dist = Math.sqrt(distX * distX + distZ * distZ)
-                    
-                    if (dist < avoidanceRadius && dist > 0) {
-                      const strength = (avoidanceRadius - dist) / avoidanceRadius
-                      avoidX += (distX / dist) * strength * 20
-                      avoidZ += (distZ / dist) * strength * 20
-                    }
-                  })
-                  
-                  // Apply avoidance
-                  if (Math.abs(avoidX) > 0.01 || Math.abs(avoidZ) > 0.01) {
-                    path.x += avoidX * deltaTime
-                    path.z += avoidZ * deltaTime
-                    group.position.x = path.x
-                    group.position.z = path.z
-                  }
-                  
-                  // Move towards offscreen target (very fast, like running)
-                  const moveSpeed = baseMoveSpeed * 25.0 // Much faster - all go right
-                  const moveX = (dx > 0 ? 1 : -1) * moveSpeed * deltaTime
-                  const moveZ = (dz > 0 ? 1 : -1) * moveSpeed * deltaTime
-                  
-                  path.x += moveX
-                  path.z += moveZ
-                  group.position.x = path.x
-                  group.position.z = path.z
-                  
-                  // Face movement direction (right)
-                  const targetRotation = Math.PI / 2 // Right = 90°
-                  let currentRot = group.rotation.y
-                  while (currentRot > Math.PI) currentRot -= Math.PI * 2
-                  while (currentRot < -Math.PI) currentRot += Math.PI * 2
-                  let diff = targetRotation - currentRot
-                  if (diff > Math.PI) diff -= Math.PI * 2
-                  if (diff < -Math.PI) diff += Math.PI * 2
-                  const rotationSpeed = 0.6
-                  group.rotation.y += diff * rotationSpeed
-                  
-                  // Play running animation
-                  char.animationState = ANIMATION_STATES.RUN
-                  char.animProgress += deltaTime * char.animSpeed
-                  try {
-                    RunningAnimation(player, char.animProgress)
-                  } catch (err) {
-                    console.error('Animation error:', err)
-                  }
-                } else {
-                  // Reached offscreen position - fade out
-                  if (!char.isFadedOut) {
-                    char.isFadedOut = true
-                    console.log(`   👻 ${char.username} reached offscreen position - fading out`)
-                  }
-                  
-                  // Fade out gradually
-                  if (char.fadeOutOpacity > 0) {
-                    char.fadeOutOpacity = Math.max(0, char.fadeOutOpacity - deltaTime * 2) // Fade out over 0.5 seconds
-                    
-                    // Apply opacity to all materials in the character group
-                    group.traverse((child) => {
-                      if (child.isMesh && child.material) {
-                        if (Array.isArray(child.material)) {
-                          child.material.forEach(mat => {
-                            mat.transparent = true
-                            mat.opacity = char.fadeOutOpacity
-                          })
-                        } else {
-                          child.material.transparent = true
-                          child.material.opacity = char.fadeOutOpacity
-                        }
-                      }
-                    })
-                    
-                    // Also fade nametag
-                    if (char.nameTag && char.nameTag.material) {
-                      char.nameTag.material.opacity = char.fadeOutOpacity
-                    }
-                  }
-                }
-              }
-              
-              // Skip rest of normal movement logic
-              return
-            }
-            
-            // Handle fade-in for characters that were faded out (when formation mode is cancelled)
-            if (char.fadeOutOpacity !== undefined && char.fadeOutOpacity < 1.0 && !char.isFadedOut && !char.formationMode) {
-              char.fadeOutOpacity = Math.min(1.0, char.fadeOutOpacity + deltaTime * 2) // Fade in over 0.5 seconds
-              
-              // Apply opacity to all materials
-              if (group) {
-                group.traverse((child) => {
-                  if (child.isMesh && child.material) {
-                    if (Array.isArray(child.material)) {
-                      child.material.forEach(mat => {
-                        mat.transparent = true
-                        mat.opacity = char.fadeOutOpacity
-                      })
-                    } else {
-                      child.material.transparent = true
-                      child.material.opacity = char.fadeOutOpacity
-                    }
-                  }
-                })
-              }
-              
-              // Also fade nametag
-              if (char.nameTag && char.nameTag.material) {
-                char.nameTag.material.opacity = char.fadeOutOpacity
-              }
-            }
-
-            // Don't remove characters - they fade out instead
-            // Characters are kept in scene but invisible when faded out
-            
-            // Handle thrown characters FIRST (before formation mode check)
-            if (char.isThrown && char.throwVelocity) {
-              // Check if character hit screen edge (death condition)
-              const distFromCenter = Math.sqrt(path.x ** 2 + path.z ** 2)
-              const screenEdgeDistance = 500 // Screen edge distance (increased from 450)
-              
-              if (distFromCenter > screenEdgeDistance && !char.isDying) {
-                // Character hit screen edge - start death sequence
-                char.isDying = true
-                char.deathTimer = 1.2 // Fade out over 1.2 seconds (increased from 0.3)
-                char.deathSoundPlayed = false // Reset sound flag for new death
-                char.isHit = true
-                char.hitTimer = 1.2 // Red overlay duration (matches fade out)
-                
-                // Stop all movement immediately
-                char.throwVelocity.x = 0
-                char.throwVelocity.z = 0
-                char.dropVelocity = 0
-                
-                // Apply red overlay
-                const redTint = { r: 1.5, g: 0.5, b: 0.5 }
-                player.traverse((obj) => {
-                  if (obj.material) {
-                    const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                    materials.forEach((mat) => {
-                      if (mat.color) {
-                        mat.color.setRGB(
-                          Math.min(mat.color.r * redTint.r, 1.0),
-                          Math.min(mat.color.g * redTint.g, 1.0),
-                          Math.min(mat.color.b * redTint.b, 1.0)
-                        )
-                        mat.needsUpdate = true
-                      }
-                    })
-                  }
-                })
-                
-                console.log(`💀 ${char.username} hit screen edge and died!`)
-              } else if (!char.isDying) {
-                // Normal flying behavior (not dying)
-                // Check for collisions with other characters while flying
-                // Use infinite vertical collision (like a pole) - only check horizontal distance
-                const horizontalCollisionRadius = 10.0 // Horizontal collision radius (increased from 8.0)
-                const thrownCharPos = { 
-                  x: path.x, 
-                  z: path.z
-                }
-                
-                allCharacters.forEach((otherChar) => {
-                  // Skip self, already dying characters, and other thrown characters
-                  if (otherChar === char || otherChar.isDying || otherChar.isThrown) return
-                  
-                  // Skip characters in formation mode
-                  if (otherChar.formationMode) return
-                  
-                  // Safety check
-                  if (!otherChar.path || !otherChar.group) return
-                  
-                  const otherPath = otherChar.path
-                  
-                  // Calculate horizontal distance only (infinite vertical collision - like a pole)
-                  const dx = thrownCharPos.x - otherPath.x
-                  const dz = thrownCharPos.z - otherPath.z
-                  const horizontalDist = Math.sqrt(dx * dx + dz * dz)
-                  
-                  // Collision detected if within horizontal radius (ignoring vertical distance completely)
-                  if (horizontalDist < horizontalCollisionRadius && !otherChar.isDying) {
-                    // Hit character dies
-                    otherChar.isDying = true
-                    otherChar.deathTimer = 1.2 // Fade out over 1.2 seconds
-                    otherChar.deathSoundPlayed = false // Reset sound flag for new death
-                    otherChar.isHit = true
-                    otherChar.hitTimer = 1.2
-                    
-                    // Stop the hit character's movement immediately
-                    otherChar.path.targetX = otherPath.x
-                    otherChar.path.targetZ = otherPath.z
-                    otherChar.path.x = otherPath.x // Stop at current position
-                    otherChar.path.z = otherPath.z
-                    otherChar.path.changeTargetTime = Infinity // Prevent new path
-                    otherChar.animationState = ANIMATION_STATES.IDLE
-                    otherChar.group.position.x = otherPath.x // Stop movement immediately
-                    otherChar.group.position.z = otherPath.z
-                    
-                    // Stop any running away or other movement states
-                    otherChar.shouldRunAway = false
-                    otherChar.runAwayTimer = undefined
-                    otherChar.runAwayTarget = undefined
-                    otherChar.runAwayFrom = undefined
-                    otherChar.hitTargetPlayer = undefined
-                    otherChar.isHitting = false
-                    
-                    // Apply red overlay to hit character
-                    const redTint = { r: 1.5, g: 0.5, b: 0.5 }
-                    otherChar.player.traverse((obj) => {
-                      if (obj.material) {
-                        const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                        materials.forEach((mat) => {
-                          if (mat.color) {
-                            mat.color.setRGB(
-                              Math.min(mat.color.r * redTint.r, 1.0),
-                              Math.min(mat.color.g * redTint.g, 1.0),
-                              Math.min(mat.color.b * redTint.b, 1.0)
-                            )
-                            mat.needsUpdate = true
-                          }
-                        })
-                      }
-                    })
-                    
-                    // Initialize smooth rotation for falling over
-                    otherChar.fallRotation = {
-                      targetX: Math.PI / 2, // Fall forward
-                      targetZ: (Math.random() - 0.5) * 0.3, // Slight random tilt
-                      currentX: otherChar.group.rotation.x || 0,
-                      currentZ: otherChar.group.rotation.z || 0
-                    }
-                    
-                    console.log(`💥 ${char.username} hit ${otherChar.username} while flying!`)
-                  }
-                })
-                
-                // Apply horizontal throw velocity
-                const moveX = char.throwVelocity.x * deltaTime
-                const moveZ = char.throwVelocity.z * deltaTime
-                path.x += moveX
-                path.z += moveZ
-                group.position.x = path.x
-                group.position.z = path.z
-                
-                // Apply vertical velocity (but keep height lower)
-                group.position.y += char.dropVelocity * deltaTime
-                
-                // Clamp maximum height to keep characters lower
-                const maxHeight = 8.0 // Maximum height while flying (reduced from unlimited)
-                if (group.position.y > maxHeight) {
-                  group.position.y = maxHeight
-                  char.dropVelocity = 0 // Stop upward movement at max height
-                }
-                
-                // Apply gravity
-                char.dropVelocity -= 9.8 * deltaTime // Gravity (units per second squared)
-                
-                // Apply air resistance to horizontal velocity (gradual slowdown)
-                char.throwVelocity.x *= (1 - deltaTime * 2) // Slow down over time
-                char.throwVelocity.z *= (1 - deltaTime * 2)
-                
-                // Stop horizontal movement when velocity is very small
-                if (Math.abs(char.throwVelocity.x) < 0.1) char.throwVelocity.x = 0
-                if (Math.abs(char.throwVelocity.z) < 0.1) char.throwVelocity.z = 0
-                
-                // Keep rotation neutral while flying (no tilt)
-                group.rotation.x = 0
-                group.rotation.z = 0
-                
-                // Face the direction of movement while flying
-                const horizontalSpeed = Math.sqrt(char.throwVelocity.x ** 2 + char.throwVelocity.z ** 2)
-                if (horizontalSpeed > 0.1) {
-                  const flyDirection = Math.atan2(char.throwVelocity.x, char.throwVelocity.z)
-                  let currentRot = group.rotation.y
-                  // Normalize angles
-                  while (currentRot > Math.PI) currentRot -= Math.PI * 2
-                  while (currentRot < -Math.PI) currentRot += Math.PI * 2
-                  let targetRot = flyDirection
-                  while (targetRot > Math.PI) targetRot -= Math.PI * 2
-                  while (targetRot < -Math.PI) targetRot += Math.PI * 2
-                  let diff = targetRot - currentRot
-                  if (diff > Math.PI) diff -= Math.PI * 2
-                  if (diff < -Math.PI) diff += Math.PI * 2
-                  // Smooth rotation to face throw direction
-                  const rotationSpeed = 0.3
-                  group.rotation.y += diff * rotationSpeed
-                }
-                
-                // Play flying animation while thrown
-                char.animProgress += deltaTime * char.animSpeed
-                try {
-                  FlyingAnimation(player, char.animProgress)
-                } catch (err) {
-                  console.error('Animation error:', err)
-                }
-              }
-              
-              // Stop when character hits ground (only if not dying)
-              if (!char.isDying && group.position.y <= 0) {
-                group.position.y = 0
-                char.isThrown = false
-                char.isFloating = false
-                char.throwVelocity = null
-                char.dropVelocity = undefined
-                char.animationState = ANIMATION_STATES.WALK // Return to walking
-                // Reset all rotations to upright position
-                group.rotation.x = 0
-                group.rotation.z = 0
-                char.throwRotation = { x: 0, z: 0 }
-                // Reset player body rotation (from flying animation)
-                if (player.rotation) {
-                  player.rotation.x = 0
-                  player.rotation.z = 0
-                }
-                // Reset head rotation
-                if (player.skin && player.skin.head) {
-                  player.skin.head.rotation.x = 0
-                }
-                // Reset arm rotations
-                if (player.skin && player.skin.leftArm) {
-                  player.skin.leftArm.rotation.z = 0
-                }
-                if (player.skin && player.skin.rightArm) {
-                  player.skin.rightArm.rotation.z = 0
-                }
-                console.log(`🏁 ${char.username} landed after throw`)
-              }
-              
-              // Skip rest of normal logic while thrown
-              return
-            }
-            
-            // Handle gentle drop (not thrown, but was floating)
-            if (char.isFloating && char.dropVelocity !== undefined && !char.isThrown && char.dropVelocity < 0) {
-              // Apply gentle downward velocity
-              group.position.y += char.dropVelocity * deltaTime
-              
-              // Gentle gravity (much lighter than thrown gravity)
-              char.dropVelocity -= 2.0 * deltaTime // Light gravity
-              
-              // Play idle animation while gently dropping
-              char.animProgress += deltaTime * char.animSpeed
-              try {
-                IdleAnimation(player, char.animProgress)
-              } catch (err) {
-                console.error('Animation error:', err)
-              }
-              
-              // Stop when character hits ground
-              if (group.position.y <= 0) {
-                group.position.y = 0
-                char.isFloating = false
-                char.dropVelocity = undefined
-                char.animationState = ANIMATION_STATES.WALK // Return to walking
-                console.log(`🏁 ${char.username} gently landed`)
-              }
-              
-              // Skip rest of normal logic while gently dropping
-              return
-            }
-            
-            // Skip all other behaviors if in formation mode (already handled above)
-            if (char.formationMode) {
-              // Formation mode logic is handled above - skip rest of this iteration
-              return
-            }
-            
-            // Check if this character is being dragged (used in multiple places)
-            const isBeingDragged = draggedCharRef.current === char && isDraggingRef.current
-            
-            // Update animation state timer
-            if (!char.animationStateTimer) char.animationStateTimer = Math.random() * 10 + 5
-            char.animationStateTimer -= deltaTime
-            
-            // Initialize wave arm if not exists
-            if (char.waveArm === undefined) {
-              char.waveArm = Math.random() > 0.5 ? 'left' : 'right'
-            }
-            
-            // Decide to hit based on aggressiveness
-            // Skip if in formation mode
-            if (!char.formationMode && !char.hitTargetPlayer && !char.isHitting && char.animationState !== ANIMATION_STATES.RUN) {
-              if (!char.hitDecisionTimer) {
-                // Timer scales with aggressiveness: 5s (low) to 0.5s (max)
-                const currentAggressiveness = aggressivenessRef.current
-                char.hitDecisionTimer = 5.0 - (currentAggressiveness * 4.5)
-              }
-              char.hitDecisionTimer -= deltaTime
-              if (char.hitDecisionTimer <= 0) {
-                const currentAggressiveness = aggressivenessRef.current
-                char.hitDecisionTimer = 5.0 - (currentAggressiveness * 4.5) // Reset timer based on current aggressiveness
-
-                // Base chance 0.8% (0.008). Max chance 100% (1.0)
-                // If aggressiveness is 0.5 (default), chance should be ~0.008 to match legacy behavior
-                let hitChance = 0.008
-                if (currentAggressiveness > 0.5) {
-                    // Scale from 0.008 to 1.0 as aggressiveness goes from 0.5 to 1.0
-                    hitChance = 0.008 + (currentAggressiveness - 0.5) * 2 * 0.992
-                } else {
-                    // Scale from 0 (at 0) to 0.008 (at 0.5)
-                    hitChance = currentAggressiveness * 2 * 0.008
-                }
-
-                if (Math.random() < hitChance) {
-                  // Find a nearby player to target
-                  let closestPlayer = null
-                  let closestDist = Infinity
-                  
-                  // Throttle optimization: Don't check every frame if not necessary, 
-                  // but here we are already inside a timer so it's fine.
-                  allCharacters.forEach((otherChar, otherIndex) => {
-                    if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                    if (otherChar.animationState === ANIMATION_STATES.RUN) return // Don't target running players
-                    if (otherChar.isDying) return // Don't target dying players
-                    
-                    // Check if this player is already being targeted by someone else
-                    const isAlreadyTargeted = allCharacters.some(c => c !== char && c.hitTargetPlayer === otherChar)
-                    if (isAlreadyTargeted && currentAggressiveness < 0.9) return // Only allow swarming at max aggressiveness
-                    
-                    const otherPath = otherChar.path
-                    const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                    const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                    
-                    const distX = path.x - otherX
-                    const distZ = path.z - otherZ
-                    const dist = Math.sqrt(distX * distX + distZ * distZ)
-                    
-                    // Only target players within reasonable range (50-400 units - increased range)
-                    // At max aggressiveness, range is global (infinity)
-                    const maxSearchDist = currentAggressiveness > 0.9 ? Infinity : 400
-                    
-                    if (dist >= 20 && dist <= maxSearchDist && dist < closestDist) {
-                      closestDist = dist
-                      closestPlayer = otherChar
-                    }
-                  })
-                  
-                  if (closestPlayer) {
-                    // Set this player as the target to hit
-                    char.hitTargetPlayer = closestPlayer
-                    // Set path target to walk towards them
-                    const targetPath = closestPlayer.path
-                    const targetX = targetPath.x !== undefined ? targetPath.x : closestPlayer.group.position.x
-                    const targetZ = targetPath.z !== undefined ? targetPath.z : closestPlayer.group.position.z
-                    path.targetX = targetX
-                    path.targetZ = targetZ
-                    path.changeTargetTime = 999 // Don't change target until we hit or give up
-                  }
-                }
-              }
-            }
-            
-            // If we have a hit target, walk towards them and check if we're close enough to hit
-            if (char.hitTargetPlayer && !char.isHitting) {
-              const targetPath = char.hitTargetPlayer.path
-              const targetX = targetPath.x !== undefined ? targetPath.x : char.hitTargetPlayer.group.position.x
-              const targetZ = targetPath.z !== undefined ? targetPath.z : char.hitTargetPlayer.group.position.z
-              
-              // Update path target to follow the player
-              path.targetX = targetX
-              path.targetZ = targetZ
-              
-              // Check distance to target
-              const distX = path.x - targetX
-              const distZ = path.z - targetZ
-              const dist = Math.sqrt(distX * distX + distZ * distZ)
-              
-              // If VERY close (within 5 units) AND facing the target, hit them!
-              // Check if we're facing the target (within 30 degrees for stricter requirement)
-              const currentRot = group.rotation.y
-              const targetRotation = Math.atan2(distX, distZ)
-              let rotDiff = Math.abs(targetRotation - currentRot)
-              // Normalize to -PI to PI range
-              while (rotDiff > Math.PI) rotDiff -= Math.PI * 2
-              rotDiff = Math.abs(rotDiff)
-              
-              // Only hit if VERY close (within 12 units - increased from 4) AND facing the target (within 30 degrees = PI/6)
-              if (dist < 12 && dist > 0.5 && rotDiff < Math.PI / 6) {
-                // Trigger hit animation
-                char.isHitting = true
-                char.hitAnimationTimer = 0.5 // Hit animation duration
-                
-                // Apply hit to the target character
-                const targetChar = char.hitTargetPlayer
-                
-                // Verify target is still valid and close
-                if (targetChar && targetChar.path) {
-                  targetChar.isBeingHit = true
-                  targetChar.hitTimer = 0.6 // Red overlay duration
-                  
-                  // Increment hit count
-                  targetChar.hitCount = (targetChar.hitCount || 0) + 1
-                  
-                  // Apply red overlay to hit character
-                  const redTint = { r: 1.5, g: 0.5, b: 0.5 }
-                  targetChar.player.traverse((obj) => {
-                    if (obj.material) {
-                      const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                      materials.forEach(mat => {
-                        if (mat.color) {
-                          // Store original color if not already stored
-                          if (!mat.originalColor) {
-                            mat.originalColor = mat.color.clone()
-                          }
-                          // Apply tint based on original color to prevent drift
-                          mat.color.r = mat.originalColor.r * redTint.r
-                          mat.color.g = mat.originalColor.g * redTint.g
-                          mat.color.b = mat.originalColor.b * redTint.b
-                          mat.needsUpdate = true
-                        }
-                      })
-                    }
-                  })
-                  
-                  // Check for death (3 hits)
-                  if (targetChar.hitCount >= 3) {
-                      console.log(`💀 ${targetChar.username} died! (Hits: ${targetChar.hitCount})`)
-                      
-                      // Reset hit count
-                      targetChar.hitCount = 0
-                      
-                      // Apply knockback (fly away then respawn?)
-                      // For now, instant respawn logic with effects
-                      
-                      // Teleport to random location
-                       const maxTargetDistance = 450
-                       const angle = Math.random() * Math.PI * 2
-                       const radius = (maxTargetDistance * 0.5) + Math.random() * (maxTargetDistance * 0.5)
-                       const respawnX = Math.cos(angle) * radius
-                       const respawnZ = Math.sin(angle) * radius
-                       
-                       targetChar.group.position.x = respawnX
-                       targetChar.group.position.z = respawnZ
-                       targetChar.path.x = respawnX
-                       targetChar.path.z = respawnZ
-                       targetChar.path.targetX = respawnX // Stop moving
-                       targetChar.path.targetZ = respawnZ
-                       
-                       // Reset states
-                       targetChar.animationState = ANIMATION_STATES.IDLE
-                       targetChar.isHitting = false
-                       targetChar.hitTargetPlayer = null
-                       targetChar.runAwayTimer = undefined
-                       targetChar.shouldRunAway = false
-                       targetChar.knockbackVelocity = null
-                       
-                       // Clear hitter's target
-                       char.hitTargetPlayer = null
-                       path.changeTargetTime = 0
-                  } else {
-                      // Normal Hit Logic (Knockback + Run/Fight)
-                      
-                      // Apply knockback to hit character (away from hitter)
-                      const knockbackDirection = new Vector3(distX / dist, 0, distZ / dist)
-                      const knockbackUp = 18
-                      const knockbackBack = 15
-                      
-                      targetChar.knockbackVelocity = {
-                        x: knockbackDirection.x * knockbackBack,
-                        y: knockbackUp,
-                        z: knockbackDirection.z * knockbackBack
-                      }
-                      targetChar.gravity = 0.5
-                      targetChar.knockbackStartTime = Date.now()
-                      targetChar.knockbackMinDuration = 0.8
-                      
-                      // Decide whether to Run Away or Fight Back based on aggressiveness
-                      const currentAggressiveness = aggressivenessRef.current
-                      // If aggressiveness is 1.0, they almost always fight back
-                      // If 0, they almost always run
-                      if (Math.random() < currentAggressiveness) {
-                          // Fight Back!
-                          console.log(`⚔️ ${targetChar.username} is fighting back against ${char.username}!`)
-                          targetChar.runAwayTimer = undefined
-                          targetChar.shouldRunAway = false
-                          targetChar.hitTargetPlayer = char // Target the hitter
-                          targetChar.path.changeTargetTime = 999
-                          targetChar.wasHitByPlayer = true
-                      } else {
-                          // Run Away
-                          targetChar.runAwayTimer = 6.0 + Math.random() * 4.0
-                          
-                          const runAwayX = targetX - knockbackDirection.x * 180
-                          const runAwayZ = targetZ - knockbackDirection.z * 180
-                          const centerBias = 0.1
-                          targetChar.runAwayTarget = {
-                            x: runAwayX * (1 - centerBias) + 0 * centerBias,
-                            z: runAwayZ * (1 - centerBias) + 0 * centerBias
-                          }
-                          targetChar.runAwayFrom = char
-                          targetChar.shouldRunAway = true
-                          targetChar.wasHitByPlayer = true
-                      }
-                  }
-                  
-                  // Clear hit target - we've hit them
-                  char.hitTargetPlayer = null
-                  path.changeTargetTime = 0 // Allow new target selection
-                } else {
-                  // Target invalid - clear hit target
-                  char.hitTargetPlayer = null
-                  path.changeTargetTime = 0
-                }
-              } else if (dist > 600) { // Increased from 250 to 600 to match search range
-                // Target got too far away, give up
-                char.hitTargetPlayer = null
-                path.changeTargetTime = 0 // Allow new target selection
-              }
-            }
-            
-            // Handle hit animation timer (when character is hitting another)
-            // Hit animation should play once, then return to walking
-            if (char.isHitting && char.hitAnimationTimer !== undefined) {
-              char.hitAnimationTimer -= deltaTime
-              if (char.hitAnimationTimer <= 0) {
-                // Hit animation complete - idle for a few seconds before pathing
-                char.isHitting = false
-                char.hitAnimationTimer = undefined
-                char.animationState = ANIMATION_STATES.IDLE
-                char.idleDuration = 2.0 + Math.random() * 2.0 // Idle for 2-4 seconds after hitting
-                char.animProgress = 0 // Reset animation progress
-              }
-            }
-            
-            // Handle run away timer (when character is running away after being hit)
-            if (char.runAwayTimer !== undefined && char.runAwayTimer > 0) {
-              char.runAwayTimer -= deltaTime
-              
-              // Update run away target to keep running from the hitter
-              // Only update if hitter is still valid and exists
-              if (char.runAwayFrom && char.runAwayFrom.path && char.runAwayFrom.group) {
-                const hitterX = char.runAwayFrom.path.x
-                const hitterZ = char.runAwayFrom.path.z
-                const runAwayDirX = path.x - hitterX
-                const runAwayDirZ = path.z - hitterZ
-                const runAwayDist = Math.sqrt(runAwayDirX * runAwayDirX + runAwayDirZ * runAwayDirZ)
-                
-                // Only continue running away if hitter is still reasonably close (within 300 units)
-                // If hitter moved too far or was removed, stop running away
-                if (runAwayDist > 0 && runAwayDist < 300) {
-                  // Keep running away from the hitter, but bias slightly towards center
-                  const pureRunAwayX = path.x + (runAwayDirX / runAwayDist) * 180 // Increased from 100 to 180 units
-                  const pureRunAwayZ = path.z + (runAwayDirZ / runAwayDist) * 180 // Increased from 100 to 180 units
-                  // Bias towards center: blend 90% away direction, 10% center direction
-                  const centerBias = 0.1
-                  char.runAwayTarget = {
-                    x: pureRunAwayX * (1 - centerBias) + 0 * centerBias, // Slight bias towards center (x=0)
-                    z: pureRunAwayZ * (1 - centerBias) + 0 * centerBias  // Slight bias towards center (z=0)
-                  }
-                } else {
-                  // Hitter is too far away or invalid - stop running away
-                  char.animationState = ANIMATION_STATES.WALK
-                  char.runAwayTimer = undefined
-                  char.runAwayTarget = null
-                  char.runAwayFrom = null
-                }
-              } else {
-                // Hitter reference is invalid - stop running away
-                char.animationState = ANIMATION_STATES.WALK
-                char.runAwayTimer = undefined
-                char.runAwayTarget = null
-                char.runAwayFrom = null
-              }
-              
-              if (char.runAwayTimer <= 0) {
-                // Stop running, return to walking
-                char.animationState = ANIMATION_STATES.WALK
-                char.runAwayTimer = undefined
-                char.runAwayTarget = null
-                char.runAwayFrom = null
-              }
-            }
-            
-            // Don't change animation state if being dragged (keep idle) or hitting
-            if (!isBeingDragged && !char.isHitting) {
-              // Wave state logic - only wave on spawn or when hit by user
-              if (char.animationState === ANIMATION_STATES.WAVE) {
-                // Currently waving - count down duration
-                if (char.waveDuration !== undefined && char.waveDuration > 0) {
-                  char.waveDuration -= deltaTime
-                  if (char.waveDuration <= 0) {
-                    // Wave finished, return to walking
-                    char.animationState = ANIMATION_STATES.WALK
-                    char.waveDuration = undefined
-                  }
-                } else if (char.waveDuration === undefined) {
-                  // No duration set, return to walking
-                  char.animationState = ANIMATION_STATES.WALK
-                }
-              } else if (char.animationState === ANIMATION_STATES.RUN) {
-                // Running away - handled by runAwayTimer above
-                // Don't change state here - only used when running away after being hit
-              } else if (char.animationState === ANIMATION_STATES.IDLE) {
-                // Idle state - handled by idleDuration above
-                // Don't change state here
-              } else {
-                // Normal walking (only if not hitting and not running)
-                if (char.animationState !== ANIMATION_STATES.RUN) {
-                  char.animationState = ANIMATION_STATES.WALK
-                }
-              }
-            }
-            
-            // Create a path that moves towards random targets, preferring less crowded areas
-            // Each character walks towards a target, then picks a new one
-            // Keep targets within screen bounds and ensure good distances
-            const maxTargetDistance = 450 // Keep targets within screen bounds (increased to allow further paths)
-            const minTargetDistance = 120 // Minimum distance from current position (ensures considerable movement)
-            if (!path.changeTargetTime) {
-              path.changeTargetTime = Math.random() * 5 + 4 // Change targets every 4-9 seconds (longer paths)
-              
-              // Try to find a less crowded area for the target, prioritizing areas with LEAST users
-              const densityRadius = 120 // Increased radius to better detect crowded areas
-              const candidates = []
-              
-              // Sample many potential targets across the entire screen area
-              // Bias towards further distances to spread characters out
-              for (let attempt = 0; attempt < 25; attempt++) {
-                const angle = Math.random() * Math.PI * 2
-                // Bias towards further distances: 60% chance to be in outer half, 40% in inner half
-                const distanceBias = Math.random() < 0.6 ? 0.5 : 0.0
-                const radius = (maxTargetDistance * 0.3) + Math.random() * (maxTargetDistance * (0.7 + distanceBias)) // Between 30% and 100% of max distance
-                const candidateX = Math.cos(angle) * radius
-                const candidateZ = Math.sin(angle) * radius
-                
-                // Ensure candidate is a good distance from current position
-                const distToCandidate = Math.sqrt((candidateX - path.x) ** 2 + (candidateZ - path.z) ** 2)
-                if (distToCandidate < minTargetDistance) continue
-                
-                // Calculate density at candidate location (including other characters' targets to avoid clustering)
-                let candidateDensity = 0
-                allCharacters.forEach((otherChar, otherIndex) => {
-                  if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                  
-                  const otherPath = otherChar.path
-                  const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                  const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                  
-                  // Check distance to other character's position
-                  const distToOther = Math.sqrt((candidateX - otherX) ** 2 + (candidateZ - otherZ) ** 2)
-                  if (distToOther < densityRadius && distToOther > 0) {
-                    candidateDensity += (densityRadius - distToOther) / densityRadius
-                  }
-                  
-                  // STRONGLY avoid other characters' targets - no two characters should path to the same area
-                  if (otherPath.targetX !== undefined && otherPath.targetZ !== undefined) {
-                    const distToTarget = Math.sqrt((candidateX - otherPath.targetX) ** 2 + (candidateZ - otherPath.targetZ) ** 2)
-                    const targetAvoidRadius = 100 // Large radius to avoid other targets
-                    if (distToTarget < targetAvoidRadius && distToTarget > 0) {
-                      // Heavy penalty - make it very undesirable to path near other targets
-                      const penalty = (targetAvoidRadius - distToTarget) / targetAvoidRadius
-                      candidateDensity += penalty * 3.0 // Strong penalty (3x weight)
-                    }
-                  }
-                })
-                
-                // Prefer not to path to bottom of screen (negative Z values) - add small penalty
-                // Bottom of screen is typically negative Z in this coordinate system
-                let bottomPenalty = 0
-                if (candidateZ < 0) {
-                  // Add penalty based on how far down (more negative = more penalty)
-                  // Normalize: -maxDistance to 0 becomes 0 to 1 penalty
-                  const normalizedBottom = Math.abs(candidateZ) / maxTargetDistance
-                  bottomPenalty = normalizedBottom * 2.0 // Up to 200% density penalty for bottom area (much stronger bias)
-                }
-                
-                // Add some randomness to prevent all characters choosing the exact same spot
-                const randomNoise = Math.random() * 0.2 // Reduced randomness (0-20%) since we have strong target avoidance
-                candidates.push({
-                  x: candidateX,
-                  z: candidateZ,
-                  density: (candidateDensity + bottomPenalty) * (1 + randomNoise) // Add randomness to density score
-                })
-              }
-              
-              // Sort by density and pick from the top 20% LOWEST density (most empty areas)
-              // This ensures characters path to the least crowded areas
-              candidates.sort((a, b) => a.density - b.density)
-              const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length * 0.2))) // Top 20% lowest density
-              // Prefer candidates further from center AND further from current position if density is similar (within 10% of each other)
-              const lowestDensity = topCandidates[0].density
-              const densityThreshold = lowestDensity * 1.1
-              const bestCandidates = topCandidates.filter(c => c.density <= densityThreshold)
-              // Among best candidates, prefer those further from current position AND further from center
-              bestCandidates.forEach(c => {
-                // Calculate distance from current position for scoring
-                const distFromCurrent = Math.sqrt((c.x - path.x) ** 2 + (c.z - path.z) ** 2)
-                const distFromCenter = Math.sqrt(c.x ** 2 + c.z ** 2)
-                // Combined score: prioritize distance from current position (70%) and distance from center (30%)
-                c.combinedDistance = distFromCurrent * 0.7 + distFromCenter * 0.3
-              })
-              bestCandidates.sort((a, b) => b.combinedDistance - a.combinedDistance) // Furthest combined distance first
-              const selectedCandidate = bestCandidates[0] || topCandidates[0] // Pick the furthest among best, or fallback to first
-              
-              if (selectedCandidate) {
-                path.targetX = selectedCandidate.x
-                path.targetZ = selectedCandidate.z
-              } else {
-                // Fallback to random target (further from center)
-                const angle = Math.random() * Math.PI * 2
-                const radius = (maxTargetDistance * 0.5) + Math.random() * (maxTargetDistance * 0.5) // Outer 50% of range
-                path.targetX = Math.cos(angle) * radius
-                path.targetZ = Math.sin(angle) * radius
-              }
-            }
-            
-            // Move towards target - calculate distance first
-            let dx = path.targetX - path.x
-            let dz = path.targetZ - path.z
-            let distance = Math.sqrt(dx * dx + dz * dz)
-            
-            // Idle behavior - idle when reaching target, then path somewhere else
-            // Check if character has reached their target
-            const reachedTarget = distance < 10 // Consider reached when within 10 units
-            
-            // Handle idle state - characters stand still when idling
-            if (char.animationState === ANIMATION_STATES.IDLE) {
-              if (char.idleDuration !== undefined) {
-                char.idleDuration -= deltaTime
-                if (char.idleDuration <= 0) {
-                  // Idle finished, return to walking and pick new target
-                  char.animationState = ANIMATION_STATES.WALK
-                  char.idleDuration = undefined
-                  path.changeTargetTime = 0 // Force new target selection
-                }
-              } else {
-                // No duration set, return to walking
-                char.animationState = ANIMATION_STATES.WALK
-                path.changeTargetTime = 0 // Force new target selection
-              }
-            } else if (reachedTarget && char.animationState === ANIMATION_STATES.WALK && !char.hitTargetPlayer && !char.waypoint) {
-              // Reached target - enter idle animation
-              char.animationState = ANIMATION_STATES.IDLE
-              char.idleDuration = 2.0 + Math.random() * 3.0 // Idle for 2-5 seconds (random)
-            }
-            
-            // Track progress to detect if stuck
-            const distToTarget = distance
-            if (!char.lastDistanceToTarget) {
-              char.lastDistanceToTarget = distToTarget
-              char.stuckTimer = 0
-            }
-            
-            // Check if making progress towards target
-            const progressMade = char.lastDistanceToTarget - distToTarget
-            if (progressMade < 0.5 && distToTarget > 10) { // Not making progress and still far from target
-              char.stuckTimer += deltaTime
-            } else {
-              char.stuckTimer = 0 // Reset if making progress
-              char.lastDistanceToTarget = distToTarget
-            }
-            
-            // Check if path is blocked by obstacles
-            char.pathBlockedCheckTimer = (char.pathBlockedCheckTimer || 0) + deltaTime
-            let isPathBlocked = false
-            if (char.pathBlockedCheckTimer > 0.5 && distToTarget > 15) { // Check every 0.5 seconds
-              char.pathBlockedCheckTimer = 0
-              
-              // Sample points along the path to target to check for obstacles
-              const pathCheckPoints = 5
-              const stepSize = distToTarget / pathCheckPoints
-              const dirX = dx / distToTarget
-              const dirZ = dz / distToTarget
-              
-              let blockedCount = 0
-              for (let i = 1; i <= pathCheckPoints; i++) {
-                const checkX = path.x + dirX * stepSize * i
-                const checkZ = path.z + dirZ * stepSize * i
-                const checkRadius = 40 // Check radius for obstacles
-                
-                // Check if any character is blocking this point
-                allCharacters.forEach((otherChar, otherIndex) => {
-                  if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                  
-                  const otherPath = otherChar.path
-                  const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                  const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                  
-                  const distToCheck = Math.sqrt((checkX - otherX) ** 2 + (checkZ - otherZ) ** 2)
-                  if (distToCheck < checkRadius) {
-                    blockedCount++
-                  }
-                })
-              }
-              
-              // If more than 30% of path is blocked, consider it blocked
-              isPathBlocked = blockedCount > pathCheckPoints * 0.3
-            }
-            
-            // If stuck or path blocked, find alternative path
-            if ((char.stuckTimer > char.stuckThreshold || isPathBlocked) && !char.hitTargetPlayer && char.animationState !== ANIMATION_STATES.IDLE) {
-              // Try to find a path around obstacles using steering
-              const steeringRadius = 80 // How far to look for alternative paths
-              const steeringAngles = []
-              
-              // Sample angles around the target direction
-              const targetAngle = Math.atan2(dx, dz)
-              for (let i = -3; i <= 3; i++) {
-                steeringAngles.push(targetAngle + (i * Math.PI / 6)) // ±90 degrees in 30-degree steps
-              }
-              
-              let bestSteerAngle = null
-              let bestSteerScore = Infinity
-              
-              steeringAngles.forEach(angle => {
-                const steerX = path.x + Math.cos(angle) * steeringRadius
-                const steerZ = path.z + Math.sin(angle) * steeringRadius
-                
-                // Check if this steering direction avoids obstacles
-                let obstacleCount = 0
-                let totalDistToTarget = 0
-                
-                allCharacters.forEach((otherChar, otherIndex) => {
-                  if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                  
-                  const otherPath = otherChar.path
-                  const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                  const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                  
-                  const distToOther = Math.sqrt((steerX - otherX) ** 2 + (steerZ - otherZ) ** 2)
-                  if (distToOther < 50) {
-                    obstacleCount++
-                  }
-                  
-                  // Also check distance to other targets
-                  if (otherPath.targetX !== undefined && otherPath.targetZ !== undefined) {
-                    const distToOtherTarget = Math.sqrt((steerX - otherPath.targetX) ** 2 + (steerZ - otherPath.targetZ) ** 2)
-                    if (distToOtherTarget < 80) {
-                      obstacleCount += 0.5
-                    }
-                  }
-                })
-                
-                // Calculate distance from steer point to target
-                const distFromSteerToTarget = Math.sqrt((steerX - path.targetX) ** 2 + (steerZ - path.targetZ) ** 2)
-                
-                // Score: lower is better (fewer obstacles, closer to target)
-                const score = obstacleCount * 10 + distFromSteerToTarget * 0.1
-                
-                if (score < bestSteerScore) {
-                  bestSteerScore = score
-                  bestSteerAngle = angle
-                }
-              })
-              
-              // If we found a good steering angle, set intermediate waypoint
-              if (bestSteerAngle !== null && bestSteerScore < 50) {
-                const waypointX = path.x + Math.cos(bestSteerAngle) * steeringRadius
-                const waypointZ = path.z + Math.sin(bestSteerAngle) * steeringRadius
-                
-                // Clamp to screen bounds
-                const waypointDist = Math.sqrt(waypointX ** 2 + waypointZ ** 2)
-                if (waypointDist < maxTargetDistance) {
-                  // Set intermediate waypoint (will path to this first, then continue to target)
-                  if (!char.waypoint) {
-                    char.waypoint = { x: waypointX, z: waypointZ }
-                  } else {
-                    // Update waypoint if we have a better one
-                    char.waypoint.x = waypointX
-                    char.waypoint.z = waypointZ
-                  }
-                  
-                  // Reset stuck timer
-                  char.stuckTimer = 0
-                  char.lastDistanceToTarget = distToTarget
-                }
-              } else {
-                // If no good steering found, pick completely new target
-                path.changeTargetTime = 0 // Force new target selection
-                char.stuckTimer = 0
-                char.lastDistanceToTarget = undefined
-              }
-            }
-            
-            // Use waypoint if available (pathfinding around obstacles)
-            if (char.waypoint) {
-              const waypointDx = char.waypoint.x - path.x
-              const waypointDz = char.waypoint.z - path.z
-              const waypointDist = Math.sqrt(waypointDx * waypointDx + waypointDz * waypointDz)
-              
-              if (waypointDist < 20) {
-                // Reached waypoint, clear it and continue to target
-                char.waypoint = null
-              } else {
-                // Path to waypoint instead of direct target
-                dx = waypointDx
-                dz = waypointDz
-                distance = waypointDist
-              }
-            }
-            
-            // Check if it's time to change target
-            // Don't change target if we're walking towards a hit target, idling, or in formation mode
-            // Don't change target while idling - wait for idle to finish
-            if (!char.hitTargetPlayer && char.animationState !== ANIMATION_STATES.IDLE && !char.formationMode) {
-              path.changeTargetTime -= deltaTime
-            }
-            // Only change target if not idling and not in formation mode (idle will trigger new target when it finishes)
-            if ((path.changeTargetTime <= 0 || distance < 5) && !char.hitTargetPlayer && char.animationState !== ANIMATION_STATES.IDLE && !char.formationMode) {
-              // Try to find a less crowded area for the new target, with randomness to prevent clustering
-              // Prioritize areas with the LEAST users surrounding them
-              const densityRadius = 120 // Increased radius to better detect crowded areas
-              const candidates = []
-              
-              // Sample many potential targets across the entire screen area
-              // Bias towards further distances to spread characters out
-              for (let attempt = 0; attempt < 25; attempt++) {
-                const angle = Math.random() * Math.PI * 2
-                // Bias towards further distances: 60% chance to be in outer half, 40% in inner half
-                const distanceBias = Math.random() < 0.6 ? 0.5 : 0.0
-                const radius = (maxTargetDistance * 0.3) + Math.random() * (maxTargetDistance * (0.7 + distanceBias)) // Between 30% and 100% of max distance
-                const candidateX = Math.cos(angle) * radius
-                const candidateZ = Math.sin(angle) * radius
-                
-                // Ensure candidate is a good distance from current position
-                const distToCandidate = Math.sqrt((candidateX - path.x) ** 2 + (candidateZ - path.z) ** 2)
-                if (distToCandidate < minTargetDistance) continue
-                
-                // Calculate density at candidate location (including other characters' targets to avoid clustering)
-                let candidateDensity = 0
-                allCharacters.forEach((otherChar, otherIndex) => {
-                  if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                  
-                  const otherPath = otherChar.path
-                  const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                  const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                  
-                  // Check distance to other character's position
-                  const distToOther = Math.sqrt((candidateX - otherX) ** 2 + (candidateZ - otherZ) ** 2)
-                  if (distToOther < densityRadius && distToOther > 0) {
-                    candidateDensity += (densityRadius - distToOther) / densityRadius
-                  }
-                  
-                  // STRONGLY avoid other characters' targets - no two characters should path to the same area
-                  if (otherPath.targetX !== undefined && otherPath.targetZ !== undefined) {
-                    const distToTarget = Math.sqrt((candidateX - otherPath.targetX) ** 2 + (candidateZ - otherPath.targetZ) ** 2)
-                    const targetAvoidRadius = 100 // Large radius to avoid other targets
-                    if (distToTarget < targetAvoidRadius && distToTarget > 0) {
-                      // Heavy penalty - make it very undesirable to path near other targets
-                      const penalty = (targetAvoidRadius - distToTarget) / targetAvoidRadius
-                      candidateDensity += penalty * 3.0 // Strong penalty (3x weight)
-                    }
-                  }
-                })
-                
-                // Prefer not to path to bottom of screen (negative Z values) - add small penalty
-                // Bottom of screen is typically negative Z in this coordinate system
-                let bottomPenalty = 0
-                if (candidateZ < 0) {
-                  // Add penalty based on how far down (more negative = more penalty)
-                  // Normalize: -maxDistance to 0 becomes 0 to 1 penalty
-                  const normalizedBottom = Math.abs(candidateZ) / maxTargetDistance
-                  bottomPenalty = normalizedBottom * 2.0 // Up to 200% density penalty for bottom area (much stronger bias)
-                }
-                
-                // Add randomness to prevent all characters choosing the exact same spot
-                const randomNoise = Math.random() * 0.2 // Reduced randomness (0-20%) since we have strong target avoidance
-                candidates.push({
-                  x: candidateX,
-                  z: candidateZ,
-                  density: (candidateDensity + bottomPenalty) * (1 + randomNoise) // Add randomness to density score
-                })
-              }
-              
-              // Sort by density and pick from the top 20% LOWEST density (most empty areas)
-              // This ensures characters path to the least crowded areas
-              candidates.sort((a, b) => a.density - b.density)
-              const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length * 0.2))) // Top 20% lowest density
-              // Prefer candidates further from current position AND further from center if density is similar (within 10% of each other)
-              const lowestDensity = topCandidates[0].density
-              const densityThreshold = lowestDensity * 1.1
-              const bestCandidates = topCandidates.filter(c => c.density <= densityThreshold)
-              // Among best candidates, prefer those further from current position AND further from center
-              bestCandidates.forEach(c => {
-                // Calculate distance from current position for scoring
-                const distFromCurrent = Math.sqrt((c.x - path.x) ** 2 + (c.z - path.z) ** 2)
-                const distFromCenter = Math.sqrt(c.x ** 2 + c.z ** 2)
-                // Combined score: prioritize distance from current position (70%) and distance from center (30%)
-                c.combinedDistance = distFromCurrent * 0.7 + distFromCenter * 0.3
-              })
-              bestCandidates.sort((a, b) => b.combinedDistance - a.combinedDistance) // Furthest combined distance first
-              const selectedCandidate = bestCandidates[0] || topCandidates[0] // Pick the furthest among best, or fallback to first
-              
-              if (selectedCandidate) {
-                path.targetX = selectedCandidate.x
-                path.targetZ = selectedCandidate.z
-              } else {
-                // Fallback: pick one relative to current position (considerable distance away)
-                const angle = Math.random() * Math.PI * 2
-                path.targetX = path.x + Math.cos(angle) * minTargetDistance
-                path.targetZ = path.z + Math.sin(angle) * minTargetDistance
-                // Clamp to screen bounds
-                const distFromCenter = Math.sqrt(path.targetX ** 2 + path.targetZ ** 2)
-                if (distFromCenter > maxTargetDistance) {
-                  const scale = maxTargetDistance / distFromCenter
-                  path.targetX *= scale
-                  path.targetZ *= scale
-                }
-              }
-              
-              path.changeTargetTime = Math.random() * 5 + 4 // Change targets every 4-9 seconds (longer paths)
-              // Recalculate dx, dz, and distance after changing target
-              dx = path.targetX - path.x
-              dz = path.targetZ - path.z
-              distance = Math.sqrt(dx * dx + dz * dz)
-            }
-            
-            // Density-based pathing - prefer areas with fewer people
-            // Skip collision avoidance entirely when targeting a player to hit (path directly)
-            let avoidX = 0
-            let avoidZ = 0
-            
-            // Screen bounds - keep characters visible (camera is 500 units away, keep within ~450 units from center)
-            const maxDistanceFromCenter = 450
-            const centerDist = Math.sqrt(path.x ** 2 + path.z ** 2)
-            if (centerDist > maxDistanceFromCenter) {
-              // Gently push back towards center (only when at edge)
-              const pushStrength = (centerDist - maxDistanceFromCenter) / 50
-              avoidX -= (path.x / centerDist) * pushStrength * 1.0
-              avoidZ -= (path.z / centerDist) * pushStrength * 1.0
-            }
-            
-            // Only do collision avoidance and density checking if NOT targeting a player to hit
-            if (!char.hitTargetPlayer) {
-              const avoidanceRadius = 30 // Only avoid when very close
-              const minDistance = 25 // Minimum distance before forcing target change
-              const densityRadius = 80 // Check density in 80 unit radius
-              
-              let localDensity = 0
-              
-              allCharacters.forEach((otherChar, otherIndex) => {
-                if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                
-                const otherPath = otherChar.path
-                const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                
-                const distX = path.x - otherX
-                const distZ = path.z - otherZ
-                const dist = Math.sqrt(distX * distX + distZ * distZ)
-                
-                // Count nearby characters for density calculation
-                if (dist < densityRadius && dist > 0) {
-                  localDensity += (densityRadius - dist) / densityRadius // Weight by distance
-                }
-                
-                // Only avoid when very close - prevent stacking but don't cause jiggling
-                if (dist < avoidanceRadius && dist > 0) {
-                  const avoidStrength = (avoidanceRadius - dist) / avoidanceRadius
-                  // Very minimal avoidance force - just enough to prevent stacking
-                  avoidX += (distX / dist) * avoidStrength * 0.5
-                  avoidZ += (distZ / dist) * avoidStrength * 0.5
-                  
-                  // Only override target if extremely close (prevent actual collision)
-                  // BUT: Don't override if we're very close to our goal (< 15 units) - prioritize reaching destination
-                  if (dist < minDistance && char.animationState !== ANIMATION_STATES.RUN && distance > 15) {
-                    // Calculate escape direction (away from other character)
-                    // Make sure escape target is a good distance away
-                    const escapeDist = 80 // Move 80 units away (good distance)
-                    const newTargetX = path.x + (distX / dist) * escapeDist
-                    const newTargetZ = path.z + (distZ / dist) * escapeDist
-                    
-                    // Check if new target is within screen bounds
-                    const maxTargetDistance = 450 // Re-declare here as it's needed
-                    const newTargetDist = Math.sqrt(newTargetX ** 2 + newTargetZ ** 2)
-                    if (newTargetDist < maxTargetDistance) {
-                      // Only change target if it's far enough from current position
-                      const distToNewTarget = Math.sqrt((newTargetX - path.x) ** 2 + (newTargetZ - path.z) ** 2)
-                      if (distToNewTarget >= 50) { // Ensure we're moving a good distance
-                        path.targetX = newTargetX
-                        path.targetZ = newTargetZ
-                        path.changeTargetTime = 0.3 // Quick reaction to avoid collision
-                        
-                        // Also update dx/dz to reflect new target
-                        dx = path.targetX - path.x
-                        dz = path.targetZ - path.z
-                        distance = Math.sqrt(dx * dx + dz * dz)
-                      }
-                    }
-                  }
-                }
-              })
-              
-              // If in a crowded area, prefer moving towards less crowded areas
-              // But add randomness and avoid other characters' targets to prevent clustering
-              if (localDensity > 2.5 && path.changeTargetTime < 1.5) { // Only when very crowded and close to changing target
-                const sampleRadius = 100 // Sample density at this distance
-                const sampleAngles = [0, Math.PI / 4, Math.PI / 2, 3 * Math.PI / 4, Math.PI, 5 * Math.PI / 4, 3 * Math.PI / 2, 7 * Math.PI / 4] // 8 directions
-                const candidates = []
-                
-                sampleAngles.forEach(angle => {
-                  const sampleX = path.x + Math.cos(angle) * sampleRadius
-                  const sampleZ = path.z + Math.sin(angle) * sampleRadius
-                  
-                  // Check if sample point is within bounds
-                  const sampleDistFromCenter = Math.sqrt(sampleX ** 2 + sampleZ ** 2)
-                  if (sampleDistFromCenter < maxTargetDistance) {
-                    // Calculate density at this sample point (including other targets)
-                    let sampleDensity = 0
-                    allCharacters.forEach((otherChar, otherIndex) => {
-                      if (otherIndex === index || !otherChar || !otherChar.path || !otherChar.group) return
-                      
-                      const otherPath = otherChar.path
-                      const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
-                      const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
-                      
-                      // Check distance to other character
-                      const distToOther = Math.sqrt((sampleX - otherX) ** 2 + (sampleZ - otherZ) ** 2)
-                      if (distToOther < densityRadius && distToOther > 0) {
-                        sampleDensity += (densityRadius - distToOther) / densityRadius
-                      }
-                      
-                      // STRONGLY avoid other characters' targets - no two characters should path to the same area
-                      if (otherPath.targetX !== undefined && otherPath.targetZ !== undefined) {
-                        const distToTarget = Math.sqrt((sampleX - otherPath.targetX) ** 2 + (sampleZ - otherPath.targetZ) ** 2)
-                        const targetAvoidRadius = 100 // Large radius to avoid other targets
-                        if (distToTarget < targetAvoidRadius && distToTarget > 0) {
-                          // Heavy penalty - make it very undesirable to path near other targets
-                          const penalty = (targetAvoidRadius - distToTarget) / targetAvoidRadius
-                          sampleDensity += penalty * 3.0 // Strong penalty (3x weight)
-                        }
-                      }
-                    })
-                    
-                    // Add randomness
-                    const randomNoise = Math.random() * 0.2
-                    candidates.push({
-                      angle: angle,
-                      density: sampleDensity * (1 + randomNoise)
-                    })
-                  }
-                })
-                
-                // Sort by density and pick from top 40% with randomness
-                if (candidates.length > 0) {
-                  candidates.sort((a, b) => a.density - b.density)
-                  const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length * 0.4)))
-                  const selected = topCandidates[Math.floor(Math.random() * topCandidates.length)]
-                  
-                  if (selected && selected.density < localDensity * 0.8) {
-                    const newTargetX = path.x + Math.cos(selected.angle) * sampleRadius
-                    const newTargetZ = path.z + Math.sin(selected.angle) * sampleRadius
-                    
-                    // Ensure new target is within bounds and far enough
-                    const newTargetDist = Math.sqrt(newTargetX ** 2 + newTargetZ ** 2)
-                    if (newTargetDist < maxTargetDistance) {
-                      const distToNewTarget = Math.sqrt((newTargetX - path.x) ** 2 + (newTargetZ - path.z) ** 2)
-                      if (distToNewTarget >= 50) {
-                        path.targetX = newTargetX
-                        path.targetZ = newTargetZ
-                        path.changeTargetTime = 0.5 // Quick adjustment towards less crowded area
-                        
-                        // Also update dx/dz to reflect new target
-                        dx = path.targetX - path.x
-                        dz = path.targetZ - path.z
-                        distance = Math.sqrt(dx * dx + dz * dz)
-                      }
-                    }
-                  }
-                }
-              }
-            }
-            
-            // Increase speed by 10% when seeking a hit target
-            // Reduce walk speed by 15% unless running or seeking a target
-            let moveSpeed = baseMoveSpeed
-            if (char.hitTargetPlayer) {
-              moveSpeed = baseMoveSpeed * 1.1 // 10% faster when seeking target
-            } else if (char.animationState !== ANIMATION_STATES.RUN) {
-              moveSpeed = baseMoveSpeed * 0.85 // 15% slower for normal walking
-            } else {
-              moveSpeed = baseMoveSpeed // Keep normal speed when running
-            }
-            
-            // Update character position in 3D space
-            // Move in a path that goes away from camera
-            path.angle += moveSpeed * 0.15
-            
-            // Normal movement towards target - minimal avoidance influence (just enough to prevent stacking)
-            const moveX = (dx / Math.max(distance, 0.1)) * moveSpeed + avoidX * 0.2
-            const moveZ = (dz / Math.max(distance, 0.1)) * moveSpeed + avoidZ * 0.2
-            
-            // Calculate movement direction for rotation BEFORE moving
-            // Use the intended movement direction, not the actual movement
-            const totalMoveX = moveX
-            const totalMoveZ = moveZ
-            const moveDistance = Math.sqrt(totalMoveX * totalMoveX + totalMoveZ * totalMoveZ)
-            
-            // Rotate to face movement direction or camera (if waving or idle/dragged)
-            // Priority: Hit target > Wave/Idle > Run away > Normal movement
-            if (char.hitTargetPlayer && !char.isHitting) {
-              // Face the hit target when seeking them
-              const targetPath = char.hitTargetPlayer.path
-              const targetX = targetPath.x !== undefined ? targetPath.x : char.hitTargetPlayer.group.position.x
-              const targetZ = targetPath.z !== undefined ? targetPath.z : char.hitTargetPlayer.group.position.z
-              
-              const targetDirX = targetX - path.x
-              const targetDirZ = targetZ - path.z
-              const targetDist = Math.sqrt(targetDirX * targetDirX + targetDirZ * targetDirZ)
-              
-              if (targetDist > 0.001) {
-                const targetRotation = Math.atan2(targetDirX, targetDirZ)
-                let currentRot = group.rotation.y
-                
-                // Normalize angles
-                while (currentRot > Math.PI) currentRot -= Math.PI * 2
-                while (currentRot < -Math.PI) currentRot += Math.PI * 2
-                
-                let targetRot = targetRotation
-                while (targetRot > Math.PI) targetRot -= Math.PI * 2
-                while (targetRot < -Math.PI) targetRot += Math.PI * 2
-                
-                let diff = targetRot - currentRot
-                if (diff > Math.PI) diff -= Math.PI * 2
-                if (diff < -Math.PI) diff += Math.PI * 2
-                
-                // Fast rotation to face target (faster when close)
-                const rotationSpeed = targetDist < 20 ? 0.5 : 0.3 // Faster rotation when close
-                group.rotation.y += diff * rotationSpeed
-              }
-            } else if (char.animationState === ANIMATION_STATES.WAVE || char.animationState === ANIMATION_STATES.IDLE) {
-              // Face camera when waving or idle (being dragged) - camera is at 45 degree angle looking down
-              // Camera position: (sin(45)*500, cos(45)*500, cos(45)*500)
-              // Character needs to face towards camera position from origin
-              // Rotation angle in XZ plane: atan2(cameraX, cameraZ) = atan2(sin(45), cos(45)) = PI/4
-              const cameraAngle = Math.PI / 4 // 45 degrees
-              const targetRotation = cameraAngle // Face towards camera (PI/4 radians)
-              let currentRot = group.rotation.y
-              
-              // Normalize angles
-              while (currentRot > Math.PI) currentRot -= Math.PI * 2
-              while (currentRot < -Math.PI) currentRot += Math.PI * 2
-              
-              let targetRot = targetRotation
-              while (targetRot > Math.PI) targetRot -= Math.PI * 2
-              while (targetRot < -Math.PI) targetRot += Math.PI * 2
-              
-              let diff = targetRot - currentRot
-              if (diff > Math.PI) diff -= Math.PI * 2
-              if (diff < -Math.PI) diff += Math.PI * 2
-              
-              // Smooth rotation to face camera (faster rotation)
-              const rotationSpeed = 0.2
-              group.rotation.y += diff * rotationSpeed
-            } else if (char.animationState === ANIMATION_STATES.RUN && char.runAwayTarget) {
-              // When running away, face the direction of movement
-              const runAwayDx = char.runAwayTarget.x - path.x
-              const runAwayDz = char.runAwayTarget.z - path.z
-              const runAwayDist = Math.sqrt(runAwayDx * runAwayDx + runAwayDz * runAwayDz)
-              
-              if (runAwayDist > 0.001) {
-                const targetRotation = Math.atan2(runAwayDx, runAwayDz)
-                let currentRot = group.rotation.y
-                
-                // Normalize angles
-                while (currentRot > Math.PI) currentRot -= Math.PI * 2
-                while (currentRot < -Math.PI) currentRot += Math.PI * 2
-                
-                let targetRot = targetRotation
-                while (targetRot > Math.PI) targetRot -= Math.PI * 2
-                while (targetRot < -Math.PI) targetRot += Math.PI * 2
-                
-                let diff = targetRot - currentRot
-                if (diff > Math.PI) diff -= Math.PI * 2
-                if (diff < -Math.PI) diff += Math.PI * 2
-                
-                // Fast rotation when running away
-                const rotationSpeed = 0.3
-                group.rotation.y += diff * rotationSpeed
-              }
-            } else if (moveDistance > 0.001) {
-              // Normal movement rotation
-              const targetRotation = Math.atan2(totalMoveX, totalMoveZ)
-              let currentRot = group.rotation.y
-              
-              // Normalize angles
-              while (currentRot > Math.PI) currentRot -= Math.PI * 2
-              while (currentRot < -Math.PI) currentRot += Math.PI * 2
-              
-              let targetRot = targetRotation
-              while (targetRot > Math.PI) targetRot -= Math.PI * 2
-              while (targetRot < -Math.PI) targetRot += Math.PI * 2
-              
-              let diff = targetRot - currentRot
-              if (diff > Math.PI) diff -= Math.PI * 2
-              if (diff < -Math.PI) diff += Math.PI * 2
-              
-              // Clamp turn speed to prevent flip-flopping
-              const maxRotationSpeed = 0.15 // Maximum radians per frame (prevents rapid back-and-forth)
-              const baseRotationSpeed = 0.08 // Base rotation speed
-              const rotationSpeed = Math.min(maxRotationSpeed, Math.abs(diff) * 0.5 + baseRotationSpeed)
-              const rotationDelta = Math.sign(diff) * Math.min(Math.abs(diff * rotationSpeed), maxRotationSpeed)
-              group.rotation.y += rotationDelta
-            }
-            
-            // Handle normal drop physics (when released from drag without throw)
-            if (!char.isFloating && char.dropVelocity !== undefined && group.position.y > 0) {
-              // Normal drop (not thrown)
-              // Apply drop velocity
-              group.position.y += char.dropVelocity * deltaTime
-              
-              // Apply gravity
-              char.dropVelocity -= 0.5 // Gravity
-              
-              // Stop dropping when character hits ground
-              if (group.position.y <= 0) {
-                group.position.y = 0
-                char.dropVelocity = undefined
-              }
-            }
-            
-            // Handle hit timer and red overlay removal (for character-to-character hits)
-            if (char.isBeingHit && char.hitTimer !== undefined) {
-              char.hitTimer -= deltaTime
-              if (char.hitTimer <= 0) {
-                // Remove red overlay
-                char.player.traverse((obj) => {
-                  if (obj.material) {
-                    const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                    materials.forEach(mat => {
-                      if (mat.color && mat.originalColor) {
-                        // Restore original color
-                        mat.color.copy(mat.originalColor)
-                        delete mat.originalColor // Clear stored color
-                        mat.needsUpdate = true
-                      }
-                    })
-                  }
-                })
-                char.isBeingHit = false
-                char.hitTimer = undefined
-                
-                // Start running away immediately after red overlay finishes
-                if (char.shouldRunAway && char.runAwayTimer !== undefined) {
-                  char.animationState = ANIMATION_STATES.RUN
-                  char.shouldRunAway = false // Clear flag
-                }
-              }
-            }
-            
-            // Handle knockback physics
-            if (char.knockbackVelocity) {
-              // Check minimum duration - ensure knockback lasts at least a certain time
-              const knockbackElapsed = char.knockbackStartTime ? (Date.now() - char.knockbackStartTime) / 1000 : Infinity
-              const minDuration = char.knockbackMinDuration || 0
-              
-              // Apply knockback velocity
-              path.x += char.knockbackVelocity.x * deltaTime
-              path.z += char.knockbackVelocity.z * deltaTime
-              group.position.y += char.knockbackVelocity.y * deltaTime
-              
-              // Apply gravity
-              char.knockbackVelocity.y -= char.gravity || 0.5
-              
-              // Stop knockback when character hits ground AND minimum duration has passed
-              if (group.position.y <= 0 && knockbackElapsed >= minDuration) {
-                group.position.y = 0
-                char.knockbackVelocity = null
-                char.knockbackStartTime = undefined
-                char.knockbackMinDuration = undefined
-                
-                // If running away, continue running (don't wave or change state)
-                if (char.animationState === ANIMATION_STATES.RUN) {
-                  // Already running away - continue running
-                  char.wasHitByPlayer = false // Clear flag
-                } else if (!char.wasHitByPlayer) {
-                  // Only wave if this was NOT a player-to-player hit (i.e., user clicked them)
-                  char.animationState = ANIMATION_STATES.WAVE
-                  char.waveDuration = 4.0 + Math.random() * 2.0 // Wave for 4-6 seconds
-                  char.waveArm = Math.random() > 0.5 ? 'left' : 'right' // Randomly choose arm
-                  char.animProgress = 0 // Reset animation progress for wave
-                } else {
-                  // Was hit by player but not running away yet (will start when red overlay finishes)
-                  // Don't change state here - run-away will start when red overlay finishes
-                  char.wasHitByPlayer = false // Clear flag
-                }
-              } else if (group.position.y <= 0) {
-                // Hit ground but minimum duration not met - keep on ground but continue knockback timer
-                group.position.y = 0
-                // Still apply horizontal knockback
-                path.x += char.knockbackVelocity.x * deltaTime
-                path.z += char.knockbackVelocity.z * deltaTime
-              }
-            }
-            
-            // Update position (only if not waving, not being knocked back, not being dragged, and not idling)
-            let newX = path.x
-            let newZ = path.z
-            // isBeingDragged is already declared above in the animation state logic
-            
-            // Safety check for RUN state without target
-            if (char.animationState === ANIMATION_STATES.RUN && !char.runAwayTarget && !char.knockbackVelocity) {
-                char.animationState = ANIMATION_STATES.WALK
-            }
-
-            // Handle running away movement (faster than normal walking)
-            if (char.animationState === ANIMATION_STATES.RUN && char.runAwayTarget && !char.knockbackVelocity) {
-              // Move towards run away target at faster speed
-              const runAwayDx = char.runAwayTarget.x - path.x
-              const runAwayDz = char.runAwayTarget.z - path.z
-              const runAwayDist = Math.sqrt(runAwayDx * runAwayDx + runAwayDz * runAwayDz)
-              
-              if (runAwayDist > 0.1) {
-                const runSpeed = baseMoveSpeed * 2.5 // Run 2.5x faster than walking
-                const runMoveX = (runAwayDx / runAwayDist) * runSpeed
-                const runMoveZ = (runAwayDz / runAwayDist) * runSpeed
-                newX = path.x + runMoveX
-                newZ = path.z + runMoveZ
-              } else {
-                // Reached target, continue normal movement
-                const forwardDistance = path.z + moveZ
-                const sideDistance = path.x + moveX
-                newX = sideDistance
-                newZ = forwardDistance
-              }
-            } else if (char.animationState === ANIMATION_STATES.IDLE) {
-              // Stand still when idling - don't move
-              newX = path.x
-              newZ = path.z
-            } else if (char.animationState !== ANIMATION_STATES.WAVE && !char.knockbackVelocity && !isBeingDragged) {
-              // Only move when not waving, not being knocked back, not being dragged, and not idling
-              const forwardDistance = path.z + moveZ
-              const sideDistance = path.x + moveX
-              newX = sideDistance
-              newZ = forwardDistance
-            } else if (char.knockbackVelocity) {
-              // Use knockback position
-              newX = path.x
-              newZ = path.z
-            } else if (isBeingDragged) {
-              // Use dragged position (already set in handleDragMove)
-              newX = path.x
-              newZ = path.z
-            }
-            
-            // Smoother interpolation for position - faster movement
-            const lerpFactor = 0.35 // Increased from 0.25 for faster, more responsive movement
-            group.position.x += (newX - group.position.x) * lerpFactor
-            group.position.z += (newZ - group.position.z) * lerpFactor
-            
-            // Update path reference
-            path.x = group.position.x
-            path.z = group.position.z
-            
-            // Handle hit timer and red overlay
-            if (char.isHit && char.hitTimer !== undefined) {
-              char.hitTimer -= deltaTime
-              if (char.hitTimer <= 0) {
-                // Remove red overlay
-                char.player.traverse((obj) => {
-                  if (obj.material) {
-                    const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                    materials.forEach(mat => {
-                      if (mat.color && mat.originalColor) {
-                        // Restore original color
-                        mat.color.copy(mat.originalColor)
-                        delete mat.originalColor // Clear stored color
-                        mat.needsUpdate = true
-                      }
-                    })
-                  }
-                })
-                char.isHit = false
-                char.hitTimer = undefined
-              }
-            } else if (char.isBeingHit && char.hitTimer !== undefined && !char.wasHitByPlayer) {
-                // This handles the "turn red when clicked" logic which was previously missing the turn-off logic
-                // because it shares the hitTimer but uses isBeingHit for player-to-player hits
-                // We need to make sure we clear the red tint for user clicks too
-                 char.hitTimer -= deltaTime
-                  if (char.hitTimer <= 0) {
-                    // Remove red overlay
-                    char.player.traverse((obj) => {
-                      if (obj.material) {
-                        const materials = Array.isArray(obj.material) ? obj.material : [obj.material]
-                        materials.forEach(mat => {
-                          if (mat.color && mat.originalColor) {
-                            // Restore original color
-                            mat.color.copy(mat.originalColor)
-                            delete mat.originalColor // Clear stored color
-                            mat.needsUpdate = true
-                          }
-                        })
-                      }
-                    })
-                    char.isBeingHit = false
-                    char.hitTimer = undefined
-                  }
-            }
-            
-            // Apply animation based on state
-            if (player) {
-              if (!char.animProgress) char.animProgress = 0
-              if (!char.animSpeed) char.animSpeed = 0.87285
-              
-              char.animProgress += deltaTime * char.animSpeed // Accumulate progress with deltaTime
-              
-              // Apply animation based on state
-              try {
-                // Hit animation takes priority - plays once when hitting, then returns to walking
-                if (char.isHitting && char.hitAnimationTimer !== undefined) {
-                  HitAnimation(player, char.animProgress)
-                } else if (char.animationState === ANIMATION_STATES.WAVE) {
-                  WaveAnimation(player, char.animProgress, char.waveArm || 'left')
-                } else if (char.animationState === ANIMATION_STATES.IDLE) {
-                  IdleAnimation(player, char.animProgress)
-                } else if (char.animationState === ANIMATION_STATES.RUN) {
-                  // Run animation only used when running away after being hit
-                  RunningAnimation(player, char.animProgress)
-                } else {
-                  WalkingAnimationNoHeadBob(player, char.animProgress)
-                }
-              } catch (err) {
-                console.error('Animation error:', err)
-              }
-            }
-            
-            // Make nametag face camera (sprites auto-face camera, but ensure it's visible)
-            if (char.nameTag) {
-              char.nameTag.visible = showNameTagsRef.current
-              // Sprites automatically face camera, but ensure it's positioned correctly
-              char.nameTag.position.y = 25 // Keep it well above character's head
-            }
-          })
+          endFade(char)
         }
         
-        // Camera is FIXED - 45 degree angle from 500m away
-        // Camera positioned 500 units away at 45 degree angle looking down
-        const cameraDistance = 500
-        const angle45 = Math.PI / 4
-        skinViewer.camera.position.set(
-          Math.sin(angle45) * cameraDistance,
-          Math.cos(angle45) * cameraDistance,
-          Math.cos(angle45) * cameraDistance
-        )
-        skinViewer.camera.lookAt(0, 0, 0) // Look at origin
+        // Make nametag face camera (sprites auto-face camera, but ensure it's visible)
+        if (char.nameTag) {
+          char.nameTag.visible = showNameTagsRef.current
+          // Sprites automatically face camera, but ensure it's positioned correctly
+          char.nameTag.position.y = 25 // Keep it well above character's head
+        }
+        
+        // Cape, elytra (while flying) or nothing
+        updateBackEquipment(char, showCapesRef.current)
+        
+        // 3D or flat outer layer - new voxel layers are spread over frames
+        if (!useVoxelLayers || voxelBuilds < VOXEL_BUILDS_PER_FRAME) {
+          if (updateVoxelLayer(char, useVoxelLayers)) {
+            voxelBuilds++
+            char.paintedColor = null // The new layer has its own material
+          }
+        }
+      })
+      
+      // Low-detail crowd above lodMinPlayers - with some slack, like the voxel layers
+      const lodMinPlayers = getConfig().lodMinPlayers
+      if (characters.length > lodMinPlayers) {
+        lodActive = true
+      } else if (characters.length <= lodMinPlayers * 0.9) {
+        lodActive = false
       }
+      updateLevelOfDetail(characters, lodActive && getConfig().lodDistance > 0, currentTime)
       
       skinViewer.render()
     }
 
-    animate()
+    animationFrameRef.current = requestAnimationFrame(animate)
+
+    // Resume the animation loop when the tab comes back into view
+    const handleVisibilityChange = () => {
+      if (!document.hidden && !animationFrameRef.current) {
+        animationFrameRef.current = requestAnimationFrame(animate)
+      }
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange)
 
     // Cleanup
     return () => {
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current)
       }
-      if (syncIntervalRef.current) {
-        clearInterval(syncIntervalRef.current)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+      window.removeEventListener('dragenter', handleSkinDragEnter)
+      window.removeEventListener('dragover', handleSkinDragOver)
+      window.removeEventListener('dragleave', handleSkinDragLeave)
+      window.removeEventListener('drop', handleSkinDrop)
+      guestControlsRef.current = null
+      skinLoadQueue.clear()
+      pendingSkins.clear()
+      skinRefreshStopped = true
+      clearTimeout(skinRefreshTimer)
+      if (syncSchedulerRef.current) {
+        syncSchedulerRef.current.stop()
+        syncSchedulerRef.current = null
+      }
+      if (playerFeedRef.current) {
+        playerFeedRef.current.close()
+        playerFeedRef.current = null
       }
       window.removeEventListener('resize', handleResize)
       const canvas = canvasRef.current
@@ -3843,6 +1876,18 @@ function SkinViewerComponent() {
         URL.revokeObjectURL(skinBlobUrlRef.current)
         skinBlobUrlRef.current = null
       }
+      // Release the characters' skin and cape blob URLs
+      const remainingCharacters = charactersRef.current || []
+      remainingCharacters.forEach(char => {
+        releaseSkinUrl(char.skinObjectUrl)
+        releaseSkinUrl(char.capeObjectUrl)
+      })
+      effectsRef.current.forEach(effect => effect.dispose())
+      effectsRef.current = []
+      lodCrowd.dispose()
+      skinAtlas.dispose()
+      simulation.dispose()
+      simulationRef.current = null
       skinViewer.dispose()
     }
   }, []) // Run once on mount
@@ -3865,35 +1910,53 @@ function SkinViewerComponent() {
   }, [])
 
 
+  // Start recording, or stop and download the recording
+  const handleRecordingToggle = () => {
+    const recorder = sessionRecorderRef.current
+    if (recorder.isRecording()) {
+      const recording = recorder.stop()
+      setIsRecording(false)
+      if (recording.frames.length > 0) {
+        downloadRecording(recording)
+      }
+      return
+    }
+    
+    recorder.start()
+    // Start with who's online right now, so the replay doesn't begin empty
+    recorder.record(Array.from(onlinePlayersRef.current.values()))
+    setRecordedFrames(recorder.frameCount())
+    setIsRecording(true)
+  }
+
+  const handleSkinFileChange = (event) => {
+    const files = Array.from(event.target.files || [])
+    if (guestControlsRef.current) {
+      files.forEach(file => guestControlsRef.current.spawn(file))
+    }
+    event.target.value = '' // Picking the same file again should spawn another guest
+  }
+
+  const handleRemoveGuests = () => {
+    if (guestControlsRef.current) {
+      guestControlsRef.current.removeAll()
+    }
+  }
+
+  // Back to normal movement - formation characters walk off and faded ones fade back in
+  const leaveFormation = () => {
+    setSelectedCluster(null)
+    setFormationMode(false)
+    if (simulationRef.current) {
+      simulationRef.current.endFormation()
+    }
+  }
+
   const handleClusterSelect = (clusterIndex) => {
     if (selectedCluster === clusterIndex) {
       // Deselect - return to normal mode
       console.log(`🔄 Formation Mode Deactivated - returning to normal movement`)
-      setSelectedCluster(null)
-      setFormationMode(false)
-      // Clear formation mode flags and fade back in
-      const characters = charactersRef.current || []
-      characters.forEach(char => {
-        char.formationMode = false
-        char.shouldDespawn = false
-        if (char.path && char.path.changeTargetTime === 999999) {
-          char.path.changeTargetTime = Math.random() * 5 + 4 // Reset to normal
-        }
-        
-        // Reset animation state - clear RUN state and return to WALK
-        if (char.animationState === ANIMATION_STATES.RUN || char.animationState === ANIMATION_STATES.WAVE) {
-          char.animationState = ANIMATION_STATES.WALK
-          char.animProgress = 0
-        }
-        char.reachedFormationPosition = false
-        char.waveDuration = undefined
-        
-        // Fade back in if faded out
-        if (char.isFadedOut) {
-          char.isFadedOut = false
-          char.fadeOutOpacity = 0 // Start from 0 for fade in (will fade in during animation loop)
-        }
-      })
+      leaveFormation()
     } else {
       // Select cluster - enter formation mode
       console.log(`🎯 Selecting cluster ${clusterIndex + 1}`)
@@ -3902,12 +1965,11 @@ function SkinViewerComponent() {
       console.log(`   Setting formationMode to: true`)
       setSelectedCluster(clusterIndex)
       setFormationMode(true)
-      // Also update refs immediately
-      selectedClusterRef.current = clusterIndex
-      formationModeRef.current = true
     }
   }
 
+  const { infoBox } = getConfig()
+  
   return (
     <>
       <Starfield />
@@ -3918,6 +1980,9 @@ function SkinViewerComponent() {
       >
         <canvas ref={canvasRef} id="skinCanvas" />
       </div>
+      {skinDropActive && (
+        <div className="skin-drop-overlay">Drop a skin PNG to preview it</div>
+      )}
       {/* Cluster Selector - Hamburger Menu */}
       {clusters.length > 0 && (
         <div className="cluster-selector-container">
@@ -3955,6 +2020,75 @@ function SkinViewerComponent() {
                   style={{ width: '18px', height: '18px', cursor: 'pointer' }}
                 />
               </div>
+              <div className="slider-control" style={{ padding: '0 10px 15px 10px', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                <label htmlFor="capes" style={{ cursor: 'pointer' }}>Show Capes</label>
+                <input 
+                  id="capes"
+                  type="checkbox" 
+                  checked={showCapes} 
+                  onChange={(e) => setShowCapes(e.target.checked)}
+                  style={{ width: '18px', height: '18px', cursor: 'pointer' }}
+                />
+              </div>
+              <div className="slider-control" style={{ padding: '0 10px 15px 10px', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                <label htmlFor="voxel-layers" style={{ cursor: 'pointer' }} title={`Flat layers are used with more than ${getConfig().voxelLayerMaxPlayers} players`}>3D Skin Layers</label>
+                <input 
+                  id="voxel-layers"
+                  type="checkbox" 
+                  checked={voxelLayers} 
+                  onChange={(e) => setVoxelLayers(e.target.checked)}
+                  style={{ width: '18px', height: '18px', cursor: 'pointer' }}
+                />
+              </div>
+              
+              <div className="cluster-selector-header">Skin Preview</div>
+              <div className="cluster-list" style={{ marginBottom: '15px' }}>
+                <button
+                  className="cluster-button"
+                  onClick={() => skinFileInputRef.current && skinFileInputRef.current.click()}
+                  title="Spawn a local character wearing a skin file - or drop PNG files anywhere on the page"
+                >
+                  🖼 Preview Skin File...
+                </button>
+                {guestCount > 0 && (
+                  <button className="cluster-button" onClick={handleRemoveGuests}>
+                    ✕ Remove Previews ({guestCount})
+                  </button>
+                )}
+                <input
+                  ref={skinFileInputRef}
+                  type="file"
+                  accept="image/png"
+                  multiple
+                  onChange={handleSkinFileChange}
+                  style={{ display: 'none' }}
+                />
+              </div>
+              
+              {skinFallbacks.length > 0 && (
+                <>
+                  <div className="cluster-selector-header">Default Skins ({skinFallbacks.length})</div>
+                  <div className="skin-fallback-list">
+                    {skinFallbacks.map(([username, reason]) => (
+                      <div key={username} className="skin-fallback" title={reason}>
+                        <span className="skin-fallback-name">{username}</span>
+                        <span className="skin-fallback-reason">{reason}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+              
+              <div className="cluster-selector-header">Recording</div>
+              <div className="cluster-list" style={{ marginBottom: '15px' }}>
+                <button
+                  className={`cluster-button ${isRecording ? 'recording' : ''}`}
+                  onClick={handleRecordingToggle}
+                  title="Record player list changes to replay later with the replay source"
+                >
+                  {isRecording ? `⏹ Stop & Download (${recordedFrames} changes)` : '⏺ Start Recording'}
+                </button>
+              </div>
               
               <div className="cluster-selector-header">Clusters ({clusters.length})</div>
               <div className="cluster-list">
@@ -3980,31 +2114,7 @@ function SkinViewerComponent() {
                   className="cluster-button cancel"
                   onClick={() => {
                     console.log(`🔄 Formation Mode Cancelled - returning to normal movement`)
-                    setSelectedCluster(null)
-                    setFormationMode(false)
-                // Clear formation mode flags and fade back in
-                const characters = charactersRef.current || []
-                characters.forEach(char => {
-                  char.formationMode = false
-                  char.shouldDespawn = false
-                  if (char.path && char.path.changeTargetTime === 999999) {
-                    char.path.changeTargetTime = Math.random() * 5 + 4 // Reset to normal
-                  }
-                  
-                  // Reset animation state - clear RUN state and return to WALK
-                  if (char.animationState === ANIMATION_STATES.RUN || char.animationState === ANIMATION_STATES.WAVE) {
-                    char.animationState = ANIMATION_STATES.WALK
-                    char.animProgress = 0
-                  }
-                  char.reachedFormationPosition = false
-                  char.waveDuration = undefined
-                  
-                  // Fade back in if faded out
-                  if (char.isFadedOut) {
-                    char.isFadedOut = false
-                    char.fadeOutOpacity = 0 // Start from 0 for fade in (will fade in during animation loop)
-                  }
-                })
+                    leaveFormation()
                   }}
                 >
                   Cancel Formation
@@ -4015,18 +2125,23 @@ function SkinViewerComponent() {
         </div>
       )}
       <a 
-        href="https://craftdownunder.co" 
+        href={infoBox.url} 
         target="_blank" 
         rel="noopener noreferrer"
         className="info-box"
-        title="Visit Craft Down Under"
+        title={infoBox.title}
       >
-        <span className="info-box-text">You're looking at everybody online on Craft Down Under right now!</span>
+        <span className="info-box-text">{infoBox.text}</span>
         <span className="info-box-icon">🌐</span>
       </a>
       <div className="player-count">
         {playerCount} {playerCount === 1 ? 'player' : 'players'} online
       </div>
+      {connectionLost && (
+        <div className="connection-status">
+          Connection lost - reconnecting...
+        </div>
+      )}
       <div className="chatbox">
         <div className="chatbox-messages" ref={chatMessagesRef}>
           {chatMessages.map((msg, index) => (
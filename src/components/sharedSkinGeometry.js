@@ -0,0 +1,51 @@
+import { SkinObject } from 'skinview3d'
+
+// Shared skin geometry - every skinview3d SkinObject builds its own twelve boxes, although they
+// only differ in arm width. shareSkinGeometry() swaps a character's boxes for one shared set
+// (a classic and a slim one), which LodCrowd also draws distant characters with.
+// Shared geometries must never be disposed - check isSharedGeometry() first.
+// Call shareSkinGeometry() again whenever a skin's modelType changes.
+
+export const SKIN_PART_NAMES = ['head', 'body', 'rightArm', 'leftArm', 'rightLeg', 'leftLeg']
+
+const templates = {} // 'classic' / 'slim' -> { partName: { innerLayer, outerLayer } geometries }
+const sharedGeometries = new Set()
+
+// Boxes of a skin with the given arm model, built once from a throwaway SkinObject
+export const getSkinGeometry = (slim) => {
+  const model = slim ? 'slim' : 'classic'
+  if (!templates[model]) {
+    const template = new SkinObject(null)
+    template.modelType = slim ? 'slim' : 'default'
+    templates[model] = {}
+    SKIN_PART_NAMES.forEach(partName => {
+      const part = template[partName]
+      templates[model][partName] = {
+        innerLayer: part.innerLayer.geometry,
+        outerLayer: part.outerLayer.geometry
+      }
+      sharedGeometries.add(part.innerLayer.geometry)
+      sharedGeometries.add(part.outerLayer.geometry)
+    })
+    template.traverse((obj) => {
+      if (obj.material) obj.material.dispose()
+    })
+  }
+  return templates[model]
+}
+
+export const isSharedGeometry = (geometry) => sharedGeometries.has(geometry)
+
+// Put a character's skin on the shared boxes for its current arm model
+export const shareSkinGeometry = (skin) => {
+  const shared = getSkinGeometry(skin.modelType === 'slim')
+  SKIN_PART_NAMES.forEach(partName => {
+    ['innerLayer', 'outerLayer'].forEach(layer => {
+      const mesh = skin[partName][layer]
+      const geometry = shared[partName][layer]
+      if (mesh.geometry === geometry) return
+      if (!isSharedGeometry(mesh.geometry)) mesh.geometry.dispose()
+      mesh.geometry = geometry
+    })
+  })
+}
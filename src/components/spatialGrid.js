@@ -0,0 +1,58 @@
+// Spatial grid - a uniform grid over the ground plane for "who is near this point" questions
+//
+// The animation loop rebuilds it once per tick and asks it for neighbours instead of looping over
+// every character for every character. forEachNear() hands out everything in the cells the circle
+// touches - callers still check the exact distance, so they can read live positions: characters
+// move a little during a tick, which MOVE_SLACK covers.
+
+const MOVE_SLACK = 10 // Extra search distance for items that moved since the grid was built
+
+// Cell coordinates packed into one number - wraps far outside the world, which would only add
+// extra candidates, never lose any
+const cellKey = (cellX, cellZ) => ((cellX & 0xffff) << 16) | (cellZ & 0xffff)
+
+// Returns { clear, insert, forEachNear, size }
+export const createSpatialGrid = (cellSize) => {
+  const cells = new Map() // cellKey -> items
+  const items = []
+
+  const clear = () => {
+    cells.clear()
+    items.length = 0
+  }
+
+  const insert = (item, x, z) => {
+    const key = cellKey(Math.floor(x / cellSize), Math.floor(z / cellSize))
+    const cell = cells.get(key)
+    if (cell) {
+      cell.push(item)
+    } else {
+      cells.set(key, [item])
+    }
+    items.push(item)
+  }
+
+  // Call callback(item) for every item that may be within radius of (x, z) - each item once
+  // An infinite radius visits everything
+  const forEachNear = (x, z, radius, callback) => {
+    if (!Number.isFinite(radius)) {
+      items.forEach(item => callback(item))
+      return
+    }
+    const reach = radius + MOVE_SLACK
+    const minX = Math.floor((x - reach) / cellSize)
+    const maxX = Math.floor((x + reach) / cellSize)
+    const minZ = Math.floor((z - reach) / cellSize)
+    const maxZ = Math.floor((z + reach) / cellSize)
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+        const cell = cells.get(cellKey(cellX, cellZ))
+        if (cell) cell.forEach(item => callback(item))
+      }
+    }
+  }
+
+  const size = () => items.length
+
+  return { clear, insert, forEachNear, size }
+}
@@ -1,8 +1,10 @@
 // Player Data Source Configuration
+// These are the build-time defaults - public/config.json can override them per site
+// (see src/config/runtimeConfig.js)
 // Choose one of the following options:
 
 // Option 1: Craft Down Under API (default)
-export const PLAYER_SOURCE_TYPE = 'cdu_api' // Options: 'cdu_api', 'text_file', 'custom'
+export const PLAYER_SOURCE_TYPE = 'cdu_api' // Options: 'cdu_api', 'text_file', 'custom', 'websocket', 'sse', 'demo', 'replay'
 
 // Option 2: Text File - Put usernames in public/players.txt (one per line)
 // Set PLAYER_SOURCE_TYPE to 'text_file'
@@ -10,14 +12,46 @@ export const PLAYER_SOURCE_TYPE = 'cdu_api' // Options: 'cdu_api', 'text_file',
 // Option 3: Custom Function - Implement your own fetch function
 // Set PLAYER_SOURCE_TYPE to 'custom' and implement fetchCustomPlayers below
 
+// Option 4: WebSocket - Server pushes join/leave/switch events (no polling)
+// Set PLAYER_SOURCE_TYPE to 'websocket' and point WEBSOCKET_URL at your feed
+
+// Option 5: Server-Sent Events - Same as WebSocket but over plain HTTP (CDN friendly)
+// Set PLAYER_SOURCE_TYPE to 'sse' and point SSE_URL at your event stream
+
+// Option 6: Demo - Simulated players with bundled skins, works offline
+// Set PLAYER_SOURCE_TYPE to 'demo' and tune `demo` in the runtime config
+
+// Option 7: Replay - Play back a session recorded from the settings menu
+// Set PLAYER_SOURCE_TYPE to 'replay' and point `replay.url` in the runtime config at the recording
+
+// Multiple Sources - Run several feeds at once (overrides PLAYER_SOURCE_TYPE when not empty)
+// Players are merged and de-duplicated by username/UUID - sources listed first win.
+// Each entry takes a `type` plus that type's options (url, path, fetchPlayers) and an
+// optional `clusterId` that puts all of the source's players in one cluster.
+export const PLAYER_SOURCES = [
+  // { type: 'cdu_api' },
+  // { type: 'text_file', path: '/guests.txt', clusterId: 'STAFF' }
+]
+
 // CDU API Configuration (used when PLAYER_SOURCE_TYPE === 'cdu_api')
 export const CDU_API_URL = 'https://api.playcdu.co/query'
 
 // Text File Configuration (used when PLAYER_SOURCE_TYPE === 'text_file')
-export const TEXT_FILE_PATH = '/players.txt' // Path relative to public folder
+export const TEXT_FILE_PATH = '/players.txt' // Path relative to public folder (.txt, .csv or .jsonl)
+
+// WebSocket Configuration (used when PLAYER_SOURCE_TYPE === 'websocket')
+// See src/sources/websocketSource.js for the expected message format
+export const WEBSOCKET_URL = 'wss://api.playcdu.co/players'
+
+// Server-Sent Events Configuration (used when PLAYER_SOURCE_TYPE === 'sse')
+// See src/sources/sseSource.js for the expected events
+export const SSE_URL = 'https://api.playcdu.co/players/stream'
 
 // Custom Function (used when PLAYER_SOURCE_TYPE === 'custom')
-// Return format: Array of {username: string, clusterId?: string}
+// Return format: Array of {username: string, clusterId?: string, ...optional metadata}
+// Optional metadata: uuid, displayName, rank, ping, world, skinUrl, capeUrl,
+// model ('slim' | 'classic'), afk, joinedAt - see src/sources/playerSchema.js
+// For a CDU-style API, parseCduServers from src/sources/cduApiSource.js does the parsing for you
 export const fetchCustomPlayers = async () => {
   // Example: Return static list
   // return [
@@ -33,3 +67,19 @@ export const fetchCustomPlayers = async () => {
   return []
 }
 
+// Resolve the configured sources into a list of source entries for the player feed
+// `config` is the runtime config (see src/config/runtimeConfig.js), which starts out
+// with the constants above and can be overridden per site by public/config.json
+export const getPlayerSources = (config) => {
+  // Default options for each source type, used when a source entry doesn't set its own
+  const sourceDefaults = {
+    cdu_api: { url: config.cduApiUrl },
+    text_file: { path: config.textFilePath },
+    websocket: { url: config.websocketUrl },
+    sse: { url: config.sseUrl },
+    demo: config.demo,
+    replay: config.replay
+  }
+  const sources = config.playerSources.length > 0 ? config.playerSources : [{ type: config.playerSourceType }]
+  return sources.map(source => ({ ...sourceDefaults[source.type], ...source }))
+}
@@ -0,0 +1,248 @@
+// Runtime Configuration
+// Loaded once at startup from public/config.json (copy public/config.json.example to get started),
+// so the same build can be deployed to several sites with different settings.
+// A few harmless values can also be overridden from the query string (see QUERY_OVERRIDE_KEYS), e.g.
+//   ?playerSourceType=text_file&syncInterval=10000&loginEffect=portal
+// Values that aren't set fall back to the build-time defaults below.
+
+import {
+  PLAYER_SOURCE_TYPE,
+  PLAYER_SOURCES,
+  CDU_API_URL,
+  TEXT_FILE_PATH,
+  WEBSOCKET_URL,
+  SSE_URL
+} from './playerSource'
+
+export const RUNTIME_CONFIG_PATH = '/config.json'
+
+export const DEFAULT_CONFIG = {
+  // Player sources (see src/config/playerSource.js)
+  playerSourceType: PLAYER_SOURCE_TYPE,
+  playerSources: PLAYER_SOURCES,
+  cduApiUrl: CDU_API_URL,
+  textFilePath: TEXT_FILE_PATH,
+  websocketUrl: WEBSOCKET_URL,
+  sseUrl: SSE_URL,
+
+  // Demo source simulation (see src/sources/demoSource.js for every option)
+  demo: {
+    population: 60,
+    offPeakRatio: 0.3,
+    peakHour: 20,
+    sessionMinutes: 30,
+    switchesPerHour: 1,
+    clusters: ['SURVIVAL', 'CREATIVE', 'SKYBLOCK', 'MINIGAMES'],
+    timeScale: 1,
+    seed: null
+  },
+
+  // Replay source - a recording downloaded from the settings menu, played at 1-60x speed
+  replay: {
+    url: '/recording.json',
+    speed: 1,
+    loop: true
+  },
+
+  // Skin providers, tried in order until one has the player's skin ({username} and {uuid} are filled in)
+  // If none do, the player gets a default skin (see src/skins/skinProviders.js)
+  skinProviders: [
+    'https://heads.playcdu.co/skin/{username}',
+    '/skins/{username}.png'
+  ],
+  // Cape providers, tried in order for players whose source didn't send a capeUrl (same placeholders)
+  capeProviders: [],
+  // Whether capes (and elytras in flight) are shown - can also be toggled in the settings panel
+  showCapes: true,
+  // Render the skin's outer layer (hats, jackets, sleeves) as 3D voxels - can also be toggled in settings
+  voxelOuterLayer: false,
+  // Above this many characters the flat outer layer is used instead, to keep the frame rate up
+  voxelLayerMaxPlayers: 60,
+  // With more characters than this, those further than lodDistance from the camera are drawn as a
+  // cheaper low-detail crowd (lodDistance 0 = always full detail)
+  lodMinPlayers: 150,
+  lodDistance: 650,
+  // How long a downloaded skin is used before checking the provider for changes (milliseconds)
+  skinCacheTtl: 3600000,
+  // How often online players' skins are checked for changes (milliseconds, 0 = never)
+  skinRefreshInterval: 600000,
+  // How many skins are downloaded at once - players waiting for theirs wear a placeholder skin
+  skinLoadConcurrency: 6,
+  // How long a skin or cape download may take before the next provider is tried (milliseconds, 0 = no limit)
+  skinFetchTimeout: 10000,
+
+  // How players arrive: 'drop' (fall from the sky), 'portal' (step out of a nether portal) or 'none'
+  loginEffect: 'drop',
+  // How players leave: 'wave' (wave goodbye and fade out) or 'none'
+  logoutEffect: 'wave',
+
+  // Simulation steps per second - movement and behaviour are tuned for 24
+  simulationRate: 24,
+  // Most frames drawn per second (0 = every display refresh) - drawing in between simulation
+  // steps keeps movement smooth on high refresh rate displays
+  maxFrameRate: 0,
+
+  // How often polling sources are re-fetched (milliseconds)
+  syncInterval: 5000,
+  // Polling slows down towards this when the player list stops changing (milliseconds)
+  maxSyncInterval: 30000,
+
+  // Background music - YouTube video ID from https://www.youtube.com/watch?v=WpQM1jrBQX8
+  youtubeVideoId: 'WpQM1jrBQX8',
+
+  // Info box at the top of the page
+  infoBox: {
+    text: "You're looking at everybody online on Craft Down Under right now!",
+    url: 'https://craftdownunder.co',
+    title: 'Visit Craft Down Under'
+  }
+}
+
+// Settings a link can change from the query string. Anything that points the page somewhere else
+// (source URLs, skin hosts, the info box link) can only be set in config.json, so nobody can craft
+// a link to the public site that loads from or links to another host.
+const QUERY_OVERRIDE_KEYS = [
+  'playerSourceType',
+  'demo',
+  'replay.url', // Same origin only
+  'replay.speed',
+  'replay.loop',
+  'syncInterval',
+  'maxSyncInterval',
+  'showCapes',
+  'voxelOuterLayer',
+  'loginEffect',
+  'logoutEffect',
+  'maxFrameRate'
+]
+
+let currentConfig = DEFAULT_CONFIG
+
+// Whether url is an http(s) link (relative links count, they stay on this site)
+const isWebUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url, window.location.href).protocol)
+  } catch (error) {
+    return false
+  }
+}
+
+const isSameOrigin = (url) => {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin
+  } catch (error) {
+    return false
+  }
+}
+
+// skinUrlTemplate was the only skin source before the skinProviders chain - it stood in for
+// the first default provider, so an old config.json keeps its skin host
+const LEGACY_SKIN_URL_TEMPLATE = 'https://heads.playcdu.co/skin/{username}'
+
+// Bring settings that were renamed up to date, with a warning
+const migrateConfig = (config) => {
+  if (!config || typeof config !== 'object' || !('skinUrlTemplate' in config)) return config
+  const { skinUrlTemplate, ...migrated } = config
+  if ('skinProviders' in config) {
+    console.warn('skinUrlTemplate has been replaced by skinProviders - ignoring it, skinProviders is set')
+  } else {
+    console.warn('skinUrlTemplate has been renamed - use skinProviders (a list of URL templates) instead')
+    migrated.skinProviders = DEFAULT_CONFIG.skinProviders
+      .map(template => template === LEGACY_SKIN_URL_TEMPLATE ? skinUrlTemplate : template)
+  }
+  return migrated
+}
+
+// Merge overrides into a config - nested objects (infoBox) are merged, everything else replaced
+const mergeConfig = (base, overrides) => {
+  const merged = { ...base }
+  Object.keys(overrides || {}).forEach(key => {
+    if (!(key in base)) {
+      console.warn(`Unknown config key: ${key}`)
+      return
+    }
+    const value = overrides[key]
+    const baseValue = base[key]
+    if (baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue) && value && typeof value === 'object') {
+      merged[key] = { ...baseValue, ...value }
+    } else {
+      merged[key] = value
+    }
+  })
+  return merged
+}
+
+// Convert a query string value to the type of the default it replaces
+const parseQueryValue = (value, defaultValue) => {
+  if (typeof defaultValue === 'number') {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : defaultValue
+  }
+  if (typeof defaultValue === 'boolean') {
+    return value === 'true' || value === '1'
+  }
+  if (typeof defaultValue === 'object') {
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      console.warn(`Invalid JSON in query parameter: ${value}`)
+      return defaultValue
+    }
+  }
+  return value
+}
+
+// Read overrides from the query string - nested keys use dots (infoBox.text)
+const getQueryOverrides = (search) => {
+  const overrides = {}
+  const params = new URLSearchParams(search)
+  params.forEach((value, name) => {
+    const [key, nestedKey] = name.split('.')
+    if (!(key in DEFAULT_CONFIG)) return
+    if (!QUERY_OVERRIDE_KEYS.includes(name) && !QUERY_OVERRIDE_KEYS.includes(key)) {
+      console.warn(`Query parameter ${name} can only be set in config.json`)
+      return
+    }
+    if (name === 'replay.url' && !isSameOrigin(value)) {
+      console.warn(`Ignoring replay.url from another site: ${value}`)
+      return
+    }
+
+    if (nestedKey) {
+      const defaultValue = DEFAULT_CONFIG[key][nestedKey]
+      overrides[key] = { ...overrides[key], [nestedKey]: parseQueryValue(value, defaultValue) }
+    } else {
+      overrides[key] = parseQueryValue(value, DEFAULT_CONFIG[key])
+    }
+  })
+  return overrides
+}
+
+// Load public/config.json and apply query string overrides
+// Never rejects - a missing or broken config file just means defaults are used
+export const loadRuntimeConfig = async () => {
+  let fileConfig = {}
+  try {
+    const response = await fetch(RUNTIME_CONFIG_PATH, { cache: 'no-cache' })
+    if (response.ok) {
+      fileConfig = await response.json()
+    } else if (response.status !== 404) {
+      console.warn(`Config fetch failed: ${response.status}`)
+    }
+  } catch (error) {
+    // Static hosts with an SPA fallback serve index.html for missing files
+    console.warn('No valid config.json found, using defaults:', error.message)
+  }
+
+  currentConfig = mergeConfig(mergeConfig(DEFAULT_CONFIG, migrateConfig(fileConfig)), getQueryOverrides(window.location.search))
+
+  // The info box link is rendered as an href - only http(s), never javascript: or data:
+  if (!isWebUrl(currentConfig.infoBox.url)) {
+    console.warn(`infoBox.url must be an http(s) link, ignoring: ${currentConfig.infoBox.url}`)
+    currentConfig = { ...currentConfig, infoBox: { ...currentConfig.infoBox, url: DEFAULT_CONFIG.infoBox.url } }
+  }
+  return currentConfig
+}
+
+// Current config - call after loadRuntimeConfig() has resolved
+export const getConfig = () => currentConfig
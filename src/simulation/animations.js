@@ -0,0 +1,188 @@
+// Character animations - each one poses a player model for a point in its cycle (progress grows
+// with time). They only set positions and rotations, so they work on a skinview3d PlayerObject and
+// on the plain-data bodies the simulation keeps (see characterState.js) alike.
+
+// Animation states
+export const ANIMATION_STATES = {
+  IDLE: 'idle',
+  WALK: 'walk',
+  HIT: 'hit',
+  WAVE: 'wave',
+  RUN: 'run'
+}
+
+// Idle animation - character stands still with subtle arm movement
+export const IdleAnimation = (player, progress) => {
+  const skin = player.skin
+  // Multiply by animation's natural speed
+  const t = progress * 2
+  
+  // Arm swing - subtle movement
+  const basicArmRotationZ = Math.PI * 0.02
+  skin.leftArm.rotation.z = Math.cos(t) * 0.03 + basicArmRotationZ
+  skin.rightArm.rotation.z = Math.cos(t + Math.PI) * 0.03 - basicArmRotationZ
+  
+  // Reset other rotations to idle state
+  skin.leftLeg.rotation.x = 0
+  skin.rightLeg.rotation.x = 0
+  skin.leftArm.rotation.x = 0
+  skin.rightArm.rotation.x = 0
+  skin.head.rotation.y = 0
+  skin.head.rotation.x = 0
+  
+  // Cape hangs down with a slight sway
+  if (player.cape) {
+    const basicCapeRotationX = Math.PI * 0.06
+    player.cape.rotation.x = Math.sin(t) * 0.01 + basicCapeRotationX
+  }
+}
+
+
+// Hit animation - based on skinview3d HitAnimation class
+export const HitAnimation = (player, progress) => {
+  const skin = player.skin
+  const t = progress * 18
+  
+  skin.rightArm.rotation.x = -0.4537860552 * 2 + 2 * Math.sin(t + Math.PI) * 0.3
+  const basicArmRotationZ = 0.01 * Math.PI + 0.06
+  skin.rightArm.rotation.z = -Math.cos(t) * 0.403 + basicArmRotationZ
+  skin.body.rotation.y = -Math.cos(t) * 0.06
+  skin.leftArm.rotation.x = Math.sin(t + Math.PI) * 0.077
+  skin.leftArm.rotation.z = -Math.cos(t) * 0.015 + 0.13 - 0.05
+  skin.leftArm.position.z = Math.cos(t) * 0.3
+  skin.leftArm.position.x = 5 - Math.cos(t) * 0.05
+}
+
+// Running animation - based on skinview3d RunningAnimation class
+export const RunningAnimation = (player, progress) => {
+  const skin = player.skin
+  // Multiply by animation's natural speed
+  const t = progress * 15 + Math.PI * 0.5
+  
+  // Leg swing with larger amplitude
+  skin.leftLeg.rotation.x = Math.cos(t + Math.PI) * 1.3
+  skin.rightLeg.rotation.x = Math.cos(t) * 1.3
+  
+  // Arm swing
+  skin.leftArm.rotation.x = Math.cos(t) * 1.5
+  skin.rightArm.rotation.x = Math.cos(t + Math.PI) * 1.5
+  const basicArmRotationZ = Math.PI * 0.1
+  skin.leftArm.rotation.z = Math.cos(t) * 0.1 + basicArmRotationZ
+  skin.rightArm.rotation.z = Math.cos(t + Math.PI) * 0.1 - basicArmRotationZ
+  
+  // Jumping
+  player.position.y = Math.cos(t * 2)
+  
+  // Dodging when running
+  player.position.x = Math.cos(t) * 0.15
+  
+  // Slightly tilting when running
+  player.rotation.z = Math.cos(t + Math.PI) * 0.01
+  
+  // Apply higher swing frequency, lower amplitude,
+  // and greater basic rotation around x axis,
+  // to cape when running.
+  if (player.cape) {
+    const basicCapeRotationX = Math.PI * 0.3
+    player.cape.rotation.x = Math.sin(t * 2) * 0.1 + basicCapeRotationX
+  }
+}
+
+// Custom walking animation without head bobbing - faster animation, slower movement
+export const WalkingAnimationNoHeadBob = (player, progress) => {
+  const skin = player.skin
+  // Use progress directly, multiply by faster walking animation speed
+  const time = progress * 5.819 // 10% faster (5.29 * 1.1 = 5.819)
+  // Leg swing - slower and smoother
+  skin.leftLeg.rotation.x = Math.sin(time) * 0.5
+  skin.rightLeg.rotation.x = Math.sin(time + Math.PI) * 0.5
+  // Arm swing
+  skin.leftArm.rotation.x = Math.sin(time + Math.PI) * 0.5
+  skin.rightArm.rotation.x = Math.sin(time) * 0.5
+  const basicArmRotationZ = Math.PI * 0.02
+  skin.leftArm.rotation.z = Math.cos(time) * 0.03 + basicArmRotationZ
+  skin.rightArm.rotation.z = Math.cos(time + Math.PI) * 0.03 - basicArmRotationZ
+  // NO HEAD BOBBING - keep head still
+  skin.head.rotation.y = 0
+  skin.head.rotation.x = 0
+  // Cape swings gently with the walk
+  if (player.cape) {
+    const basicCapeRotationX = Math.PI * 0.06
+    player.cape.rotation.x = Math.sin(time / 1.5) * 0.06 + basicCapeRotationX
+  }
+}
+
+// Wave animation - character waves at camera
+// Flying animation - for thrown characters
+export const FlyingAnimation = (player, progress) => {
+  const skin = player.skin
+  
+  // Body rotation finishes in 0.5s
+  // Elytra expansion finishes in 3.3s
+  const t = progress > 0 ? progress * 20 : 0
+  const startProgress = Math.min(Math.max((t * t) / 100, 0), 1)
+  
+  // Rotate body forward (flying pose)
+  player.rotation.x = (startProgress * Math.PI) / 2
+  
+  // Head rotation
+  skin.head.rotation.x = startProgress > 0.5 ? Math.PI / 4 - player.rotation.x : 0
+  
+  // Arm rotation (spread out like wings)
+  const basicArmRotationZ = Math.PI * 0.25 * startProgress
+  skin.leftArm.rotation.z = basicArmRotationZ
+  skin.rightArm.rotation.z = -basicArmRotationZ
+  
+  // Elytra rotation (if elytra exists)
+  if (player.elytra) {
+    const elytraRotationX = 0.34906584
+    const elytraRotationZ = Math.PI / 2
+    const interpolation = Math.pow(0.9, t)
+    if (player.elytra.leftWing) {
+      player.elytra.leftWing.rotation.x = elytraRotationX + interpolation * (0.2617994 - elytraRotationX)
+      player.elytra.leftWing.rotation.z = elytraRotationZ + interpolation * (0.2617994 - elytraRotationZ)
+    }
+    if (player.elytra.updateRightWing) {
+      player.elytra.updateRightWing()
+    }
+  }
+  
+  // Keep legs still
+  skin.leftLeg.rotation.x = 0
+  skin.rightLeg.rotation.x = 0
+  
+  // Without an elytra the cape streams out behind, flapping in the wind
+  if (player.cape) {
+    const basicCapeRotationX = Math.PI * 0.35 * startProgress + Math.PI * 0.06
+    player.cape.rotation.x = Math.sin(t * 1.5) * 0.08 * startProgress + basicCapeRotationX
+  }
+}
+
+export const WaveAnimation = (player, progress, whichArm = 'left') => {
+  const skin = player.skin
+  const t = progress * 2 * Math.PI * 0.5
+  
+  const targetArm = whichArm === 'left' ? skin.leftArm : skin.rightArm
+  
+  // Wave arm - raise it up and wave side to side
+  targetArm.rotation.x = Math.PI // 180 degrees (arm raised)
+  targetArm.rotation.z = Math.sin(t) * 0.5 // Wave side to side
+  
+  // Reset other arm to neutral position
+  const otherArm = whichArm === 'left' ? skin.rightArm : skin.leftArm
+  otherArm.rotation.x = 0
+  otherArm.rotation.z = 0
+  
+  // Keep legs still
+  skin.leftLeg.rotation.x = 0
+  skin.rightLeg.rotation.x = 0
+  
+  // Keep head still and facing forward
+  skin.head.rotation.y = 0
+  skin.head.rotation.x = 0
+  
+  // Cape hangs still
+  if (player.cape) {
+    player.cape.rotation.x = Math.PI * 0.06
+  }
+}
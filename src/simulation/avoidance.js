@@ -0,0 +1,173 @@
+// Avoidance - characters keep to the screen, step aside when someone gets too close and head for
+// less crowded ground. Characters out to hit someone go straight for them.
+
+import { ANIMATION_STATES } from './animations'
+
+const maxTargetDistance = 450 // Keep targets within screen bounds
+
+// Avoidance push for this step ({ avoidX, avoidZ }) - a new target to get out of a crowd also
+// updates heading (see updatePath in pathfinding.js)
+export const avoidCrowds = (char, tick, heading) => {
+  const { characterGrid, targetGrid } = tick
+  const path = char.path
+
+  // Density-based pathing - prefer areas with fewer people
+  // Skip collision avoidance entirely when targeting a player to hit (path directly)
+  let avoidX = 0
+  let avoidZ = 0
+
+  // Screen bounds - keep characters visible (camera is 500 units away, keep within ~450 units from center)
+  const maxDistanceFromCenter = 450
+  const centerDist = Math.sqrt(path.x ** 2 + path.z ** 2)
+  if (centerDist > maxDistanceFromCenter) {
+    // Gently push back towards center (only when at edge)
+    const pushStrength = (centerDist - maxDistanceFromCenter) / 50
+    avoidX -= (path.x / centerDist) * pushStrength * 1.0
+    avoidZ -= (path.z / centerDist) * pushStrength * 1.0
+  }
+
+  // Only do collision avoidance and density checking if NOT targeting a player to hit
+  if (!char.hitTargetPlayer) {
+    const avoidanceRadius = 30 // Only avoid when very close
+    const minDistance = 25 // Minimum distance before forcing target change
+    const densityRadius = 80 // Check density in 80 unit radius
+
+    let localDensity = 0
+
+    characterGrid.forEachNear(path.x, path.z, Math.max(densityRadius, avoidanceRadius), (otherChar) => {
+      if (otherChar === char) return
+
+      const otherPath = otherChar.path
+      const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
+      const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
+
+      const distX = path.x - otherX
+      const distZ = path.z - otherZ
+      const dist = Math.sqrt(distX * distX + distZ * distZ)
+
+      // Count nearby characters for density calculation
+      if (dist < densityRadius && dist > 0) {
+        localDensity += (densityRadius - dist) / densityRadius // Weight by distance
+      }
+
+      // Only avoid when very close - prevent stacking but don't cause jiggling
+      if (dist < avoidanceRadius && dist > 0) {
+        const avoidStrength = (avoidanceRadius - dist) / avoidanceRadius
+        // Very minimal avoidance force - just enough to prevent stacking
+        avoidX += (distX / dist) * avoidStrength * 0.5
+        avoidZ += (distZ / dist) * avoidStrength * 0.5
+
+        // Only override target if extremely close (prevent actual collision)
+        // BUT: Don't override if we're very close to our goal (< 15 units) - prioritize reaching destination
+        if (dist < minDistance && char.animationState !== ANIMATION_STATES.RUN && heading.distance > 15) {
+          // Calculate escape direction (away from other character)
+          // Make sure escape target is a good distance away
+          const escapeDist = 80 // Move 80 units away (good distance)
+          const newTargetX = path.x + (distX / dist) * escapeDist
+          const newTargetZ = path.z + (distZ / dist) * escapeDist
+
+          // Check if new target is within screen bounds
+          const newTargetDist = Math.sqrt(newTargetX ** 2 + newTargetZ ** 2)
+          if (newTargetDist < maxTargetDistance) {
+            // Only change target if it's far enough from current position
+            const distToNewTarget = Math.sqrt((newTargetX - path.x) ** 2 + (newTargetZ - path.z) ** 2)
+            if (distToNewTarget >= 50) { // Ensure we're moving a good distance
+              path.targetX = newTargetX
+              path.targetZ = newTargetZ
+              path.changeTargetTime = 0.3 // Quick reaction to avoid collision
+
+              // Also update dx/dz to reflect new target
+              heading.dx = path.targetX - path.x
+              heading.dz = path.targetZ - path.z
+              heading.distance = Math.sqrt(heading.dx * heading.dx + heading.dz * heading.dz)
+            }
+          }
+        }
+      }
+    })
+
+    // If in a crowded area, prefer moving towards less crowded areas
+    // But add randomness and avoid other characters' targets to prevent clustering
+    if (localDensity > 2.5 && path.changeTargetTime < 1.5) { // Only when very crowded and close to changing target
+      const sampleRadius = 100 // Sample density at this distance
+      const sampleAngles = [0, Math.PI / 4, Math.PI / 2, 3 * Math.PI / 4, Math.PI, 5 * Math.PI / 4, 3 * Math.PI / 2, 7 * Math.PI / 4] // 8 directions
+      const candidates = []
+
+      sampleAngles.forEach(angle => {
+        const sampleX = path.x + Math.cos(angle) * sampleRadius
+        const sampleZ = path.z + Math.sin(angle) * sampleRadius
+
+        // Check if sample point is within bounds
+        const sampleDistFromCenter = Math.sqrt(sampleX ** 2 + sampleZ ** 2)
+        if (sampleDistFromCenter < maxTargetDistance) {
+          // Calculate density at this sample point (including other targets)
+          let sampleDensity = 0
+          characterGrid.forEachNear(sampleX, sampleZ, densityRadius, (otherChar) => {
+            if (otherChar === char) return
+
+            const otherPath = otherChar.path
+            const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
+            const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
+
+            // Check distance to other character
+            const distToOther = Math.sqrt((sampleX - otherX) ** 2 + (sampleZ - otherZ) ** 2)
+            if (distToOther < densityRadius && distToOther > 0) {
+              sampleDensity += (densityRadius - distToOther) / densityRadius
+            }
+          })
+
+          // STRONGLY avoid other characters' targets - no two characters should path to the same area
+          const targetAvoidRadius = 100 // Large radius to avoid other targets
+          targetGrid.forEachNear(sampleX, sampleZ, targetAvoidRadius, (otherChar) => {
+            const otherPath = otherChar.path
+            if (otherChar === char || otherPath.targetX === undefined || otherPath.targetZ === undefined) return
+
+            const distToTarget = Math.sqrt((sampleX - otherPath.targetX) ** 2 + (sampleZ - otherPath.targetZ) ** 2)
+            if (distToTarget < targetAvoidRadius && distToTarget > 0) {
+              // Heavy penalty - make it very undesirable to path near other targets
+              const penalty = (targetAvoidRadius - distToTarget) / targetAvoidRadius
+              sampleDensity += penalty * 3.0 // Strong penalty (3x weight)
+            }
+          })
+
+          // Add randomness
+          const randomNoise = Math.random() * 0.2
+          candidates.push({
+            angle: angle,
+            density: sampleDensity * (1 + randomNoise)
+          })
+        }
+      })
+
+      // Sort by density and pick from top 40% with randomness
+      if (candidates.length > 0) {
+        candidates.sort((a, b) => a.density - b.density)
+        const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length * 0.4)))
+        const selected = topCandidates[Math.floor(Math.random() * topCandidates.length)]
+
+        if (selected && selected.density < localDensity * 0.8) {
+          const newTargetX = path.x + Math.cos(selected.angle) * sampleRadius
+          const newTargetZ = path.z + Math.sin(selected.angle) * sampleRadius
+
+          // Ensure new target is within bounds and far enough
+          const newTargetDist = Math.sqrt(newTargetX ** 2 + newTargetZ ** 2)
+          if (newTargetDist < maxTargetDistance) {
+            const distToNewTarget = Math.sqrt((newTargetX - path.x) ** 2 + (newTargetZ - path.z) ** 2)
+            if (distToNewTarget >= 50) {
+              path.targetX = newTargetX
+              path.targetZ = newTargetZ
+              path.changeTargetTime = 0.5 // Quick adjustment towards less crowded area
+
+              // Also update dx/dz to reflect new target
+              heading.dx = path.targetX - path.x
+              heading.dz = path.targetZ - path.z
+              heading.distance = Math.sqrt(heading.dx * heading.dx + heading.dz * heading.dz)
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return { avoidX, avoidZ }
+}
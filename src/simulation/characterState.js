@@ -0,0 +1,159 @@
+// Plain-data character state - what the simulation (simulation.js) keeps for each character,
+// without any Three.js objects, so it can live in src/simulation/simulationWorker.js
+//
+// A character is the behaviour state the animation loop used to keep on it (path, animationState,
+// timers, hit targets...) plus two stand-ins for its Three.js objects with the same shape:
+//   group   position and rotation of the character's group (where it stands and which way it faces)
+//   player  a body like a skinview3d PlayerObject - its own position and rotation, skin.head,
+//           skin.body, the arms and legs, cape and elytra wings - that the animations pose
+//
+// After every tick the simulation packs each character into a snapshot, SNAPSHOT_FIELDS numbers
+// per character: the group's transform, the transform of every pose part, how faded it is and its
+// flags (SNAPSHOT_FLAGS). The main thread puts those on the real models.
+
+// Parts of a character the animations pose (limbs, cape, elytra wings and the model inside the group)
+// - the same list for a skinview3d PlayerObject and a plain-data body
+export const getPoseParts = (player) => {
+  const skin = player.skin
+  const parts = [player, skin.head, skin.body, skin.rightArm, skin.leftArm, skin.rightLeg, skin.leftLeg, player.cape]
+  if (player.elytra) parts.push(player.elytra.leftWing, player.elytra.rightWing)
+  return parts
+}
+
+export const POSE_PARTS = 10
+export const TRANSFORM_FIELDS = 6 // x, y, z, rotationX, rotationY, rotationZ
+export const POSE_FIELDS = POSE_PARTS * TRANSFORM_FIELDS
+
+// Group transform, pose, fade, flags
+export const SNAPSHOT_FIELDS = TRANSFORM_FIELDS + POSE_FIELDS + 2
+export const SNAPSHOT_FADE = TRANSFORM_FIELDS + POSE_FIELDS
+export const SNAPSHOT_FLAGS = SNAPSHOT_FADE + 1
+
+export const FLAGS = {
+  THROWN: 1, // Flying after a throw (shows the elytra)
+  DYING: 2,
+  TINTED: 4, // Red hit overlay
+  ENTERING: 8 // Playing the login effect
+}
+
+// Copy an object's position and rotation into array at offset, and back
+export const writeTransform = (array, offset, object) => {
+  array[offset] = object.position.x
+  array[offset + 1] = object.position.y
+  array[offset + 2] = object.position.z
+  array[offset + 3] = object.rotation.x
+  array[offset + 4] = object.rotation.y
+  array[offset + 5] = object.rotation.z
+}
+
+export const readTransform = (array, offset, object) => {
+  object.position.x = array[offset]
+  object.position.y = array[offset + 1]
+  object.position.z = array[offset + 2]
+  object.rotation.x = array[offset + 3]
+  object.rotation.y = array[offset + 4]
+  object.rotation.z = array[offset + 5]
+}
+
+// A model's current pose (a PlayerObject's, on the main thread) - new characters start from it
+export const packPose = (player) => {
+  const pose = new Float32Array(POSE_FIELDS)
+  getPoseParts(player).forEach((part, i) => {
+    if (part) writeTransform(pose, i * TRANSFORM_FIELDS, part)
+  })
+  return pose
+}
+
+const createPart = () => ({ position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 } })
+
+// A plain-data stand-in for a PlayerObject, starting in the given pose (see packPose)
+export const createBody = (pose) => {
+  const elytra = {
+    leftWing: createPart(),
+    rightWing: createPart(),
+    // Mirror the left wing onto the right one, like skinview3d's ElytraObject
+    updateRightWing() {
+      this.rightWing.position.x = -this.leftWing.position.x
+      this.rightWing.position.y = this.leftWing.position.y
+      this.rightWing.rotation.x = this.leftWing.rotation.x
+      this.rightWing.rotation.y = -this.leftWing.rotation.y
+      this.rightWing.rotation.z = -this.leftWing.rotation.z
+    }
+  }
+  const body = {
+    ...createPart(),
+    skin: {
+      head: createPart(),
+      body: createPart(),
+      rightArm: createPart(),
+      leftArm: createPart(),
+      rightLeg: createPart(),
+      leftLeg: createPart()
+    },
+    cape: createPart(),
+    elytra
+  }
+  if (pose) {
+    getPoseParts(body).forEach((part, i) => readTransform(pose, i * TRANSFORM_FIELDS, part))
+  }
+  return body
+}
+
+// A new character: initial behaviour state from the main thread (path, animation state, timers),
+// standing at transform { x, y, z, rotationY } in the given pose
+export const createCharacterState = (username, state, transform, pose) => ({
+  ...state,
+  username,
+  group: {
+    position: { x: transform.x, y: transform.y || 0, z: transform.z },
+    rotation: { x: 0, y: transform.rotationY || 0, z: 0 }
+  },
+  player: createBody(pose),
+  transitionFade: 1, // Login/logout fade (see transitions.js)
+  deathFade: 1,
+  tinted: false
+})
+
+// How visible a character is - login/logout, dying and running offscreen in formation all fade it
+const getFade = (char) =>
+  char.transitionFade * char.deathFade * (char.fadeOutOpacity !== undefined ? char.fadeOutOpacity : 1)
+
+const getFlags = (char) =>
+  (char.isThrown ? FLAGS.THROWN : 0) |
+  (char.isDying ? FLAGS.DYING : 0) |
+  (char.tinted ? FLAGS.TINTED : 0) |
+  (char.entering ? FLAGS.ENTERING : 0)
+
+// Snapshot of the characters in order - entry i is characters[i]
+export const packSnapshot = (characters) => {
+  const snapshot = new Float32Array(characters.length * SNAPSHOT_FIELDS)
+  characters.forEach((char, i) => {
+    const base = i * SNAPSHOT_FIELDS
+    writeTransform(snapshot, base, char.group)
+    getPoseParts(char.player).forEach((part, j) => {
+      writeTransform(snapshot, base + TRANSFORM_FIELDS + j * TRANSFORM_FIELDS, part)
+    })
+    snapshot[base + SNAPSHOT_FADE] = getFade(char)
+    snapshot[base + SNAPSHOT_FLAGS] = getFlags(char)
+  })
+  return snapshot
+}
+
+// Packed walk-target search input (see targetSearch.js), STATE_FIELDS numbers per character:
+// x, z, targetX, targetZ (NaN while a character has no target)
+
+export const STATE_FIELDS = 4
+
+// Pack simulated characters in order - index i in the result is characters[i]
+export const packCharacterStates = (characters) => {
+  const states = new Float32Array(characters.length * STATE_FIELDS)
+  characters.forEach((char, i) => {
+    const path = char.path
+    const base = i * STATE_FIELDS
+    states[base] = path.x !== undefined ? path.x : char.group.position.x
+    states[base + 1] = path.z !== undefined ? path.z : char.group.position.z
+    states[base + 2] = path.targetX !== undefined ? path.targetX : NaN
+    states[base + 3] = path.targetZ !== undefined ? path.targetZ : NaN
+  })
+  return states
+}
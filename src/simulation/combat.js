@@ -0,0 +1,358 @@
+// Combat - characters pick fights with each other (more often the higher the aggressiveness slider
+// is), and whoever gets hit fights back or runs away. Clicking a character hits it too.
+
+import { ANIMATION_STATES } from './animations'
+
+// Decide whether to pick a fight, walk up to the target and hit it, and run away from whoever hit us
+export const updateCombat = (char, tick) => {
+  const { deltaTime, characterGrid, hitTargetCounts } = tick
+  const path = char.path
+  const group = char.group
+
+  // Decide to hit based on aggressiveness
+  // Skip if in formation mode
+  if (!char.formationMode && !char.hitTargetPlayer && !char.isHitting && char.animationState !== ANIMATION_STATES.RUN) {
+    if (!char.hitDecisionTimer) {
+      // Timer scales with aggressiveness: 5s (low) to 0.5s (max)
+      const currentAggressiveness = tick.aggressiveness
+      char.hitDecisionTimer = 5.0 - (currentAggressiveness * 4.5)
+    }
+    char.hitDecisionTimer -= deltaTime
+    if (char.hitDecisionTimer <= 0) {
+      const currentAggressiveness = tick.aggressiveness
+      char.hitDecisionTimer = 5.0 - (currentAggressiveness * 4.5) // Reset timer based on current aggressiveness
+
+      // Base chance 0.8% (0.008). Max chance 100% (1.0)
+      // If aggressiveness is 0.5 (default), chance should be ~0.008 to match legacy behavior
+      let hitChance = 0.008
+      if (currentAggressiveness > 0.5) {
+          // Scale from 0.008 to 1.0 as aggressiveness goes from 0.5 to 1.0
+          hitChance = 0.008 + (currentAggressiveness - 0.5) * 2 * 0.992
+      } else {
+          // Scale from 0 (at 0) to 0.008 (at 0.5)
+          hitChance = currentAggressiveness * 2 * 0.008
+      }
+
+      if (Math.random() < hitChance) {
+        // Find a nearby player to target
+        let closestPlayer = null
+        let closestDist = Infinity
+
+        // Throttle optimization: Don't check every frame if not necessary, 
+        // but here we are already inside a timer so it's fine.
+        // Only target players within reasonable range (50-400 units - increased range)
+        // At max aggressiveness, range is global (infinity)
+        const maxSearchDist = currentAggressiveness > 0.9 ? Infinity : 400
+        characterGrid.forEachNear(path.x, path.z, maxSearchDist, (otherChar) => {
+          if (otherChar === char) return
+          if (otherChar.animationState === ANIMATION_STATES.RUN) return // Don't target running players
+          if (otherChar.isDying) return // Don't target dying players
+
+          // Check if this player is already being targeted by someone else
+          const isAlreadyTargeted = hitTargetCounts.get(otherChar) > (char.hitTargetPlayer === otherChar ? 1 : 0)
+          if (isAlreadyTargeted && currentAggressiveness < 0.9) return // Only allow swarming at max aggressiveness
+
+          const otherPath = otherChar.path
+          const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
+          const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
+
+          const distX = path.x - otherX
+          const distZ = path.z - otherZ
+          const dist = Math.sqrt(distX * distX + distZ * distZ)
+
+          if (dist >= 20 && dist <= maxSearchDist && dist < closestDist) {
+            closestDist = dist
+            closestPlayer = otherChar
+          }
+        })
+
+        if (closestPlayer) {
+          // Set this player as the target to hit
+          char.hitTargetPlayer = closestPlayer
+          hitTargetCounts.set(closestPlayer, (hitTargetCounts.get(closestPlayer) || 0) + 1)
+          // Set path target to walk towards them
+          const targetPath = closestPlayer.path
+          const targetX = targetPath.x !== undefined ? targetPath.x : closestPlayer.group.position.x
+          const targetZ = targetPath.z !== undefined ? targetPath.z : closestPlayer.group.position.z
+          path.targetX = targetX
+          path.targetZ = targetZ
+          path.changeTargetTime = 999 // Don't change target until we hit or give up
+        }
+      }
+    }
+  }
+
+  // If we have a hit target, walk towards them and check if we're close enough to hit
+  if (char.hitTargetPlayer && !char.isHitting) {
+    const targetPath = char.hitTargetPlayer.path
+    const targetX = targetPath.x !== undefined ? targetPath.x : char.hitTargetPlayer.group.position.x
+    const targetZ = targetPath.z !== undefined ? targetPath.z : char.hitTargetPlayer.group.position.z
+
+    // Update path target to follow the player
+    path.targetX = targetX
+    path.targetZ = targetZ
+
+    // Check distance to target
+    const distX = path.x - targetX
+    const distZ = path.z - targetZ
+    const dist = Math.sqrt(distX * distX + distZ * distZ)
+
+    // If VERY close (within 5 units) AND facing the target, hit them!
+    // Check if we're facing the target (within 30 degrees for stricter requirement)
+    const currentRot = group.rotation.y
+    const targetRotation = Math.atan2(distX, distZ)
+    let rotDiff = Math.abs(targetRotation - currentRot)
+    // Normalize to -PI to PI range
+    while (rotDiff > Math.PI) rotDiff -= Math.PI * 2
+    rotDiff = Math.abs(rotDiff)
+
+    // Only hit if VERY close (within 12 units - increased from 4) AND facing the target (within 30 degrees = PI/6)
+    if (dist < 12 && dist > 0.5 && rotDiff < Math.PI / 6) {
+      // Trigger hit animation
+      char.isHitting = true
+      char.hitAnimationTimer = 0.5 // Hit animation duration
+
+      // Apply hit to the target character
+      const targetChar = char.hitTargetPlayer
+
+      // Verify target is still valid and close
+      if (targetChar && targetChar.path) {
+        targetChar.isBeingHit = true
+        targetChar.hitTimer = 0.6 // Red overlay duration
+
+        // Increment hit count
+        targetChar.hitCount = (targetChar.hitCount || 0) + 1
+
+        // Apply red overlay to hit character
+        targetChar.tinted = true
+
+        // Check for death (3 hits)
+        if (targetChar.hitCount >= 3) {
+            console.log(`💀 ${targetChar.username} died! (Hits: ${targetChar.hitCount})`)
+
+            // Reset hit count
+            targetChar.hitCount = 0
+
+            // Apply knockback (fly away then respawn?)
+            // For now, instant respawn logic with effects
+
+            // Teleport to random location
+             const maxTargetDistance = 450
+             const angle = Math.random() * Math.PI * 2
+             const radius = (maxTargetDistance * 0.5) + Math.random() * (maxTargetDistance * 0.5)
+             const respawnX = Math.cos(angle) * radius
+             const respawnZ = Math.sin(angle) * radius
+
+             targetChar.group.position.x = respawnX
+             targetChar.group.position.z = respawnZ
+             targetChar.path.x = respawnX
+             targetChar.path.z = respawnZ
+             targetChar.path.targetX = respawnX // Stop moving
+             targetChar.path.targetZ = respawnZ
+
+             // Reset states
+             targetChar.animationState = ANIMATION_STATES.IDLE
+             targetChar.isHitting = false
+             targetChar.hitTargetPlayer = null
+             targetChar.runAwayTimer = undefined
+             targetChar.shouldRunAway = false
+             targetChar.knockbackVelocity = null
+
+             // Clear hitter's target
+             char.hitTargetPlayer = null
+             path.changeTargetTime = 0
+        } else {
+            // Normal Hit Logic (Knockback + Run/Fight)
+
+            // Apply knockback to hit character (away from hitter)
+            const knockbackDirection = { x: distX / dist, y: 0, z: distZ / dist }
+            const knockbackUp = 18
+            const knockbackBack = 15
+
+            targetChar.knockbackVelocity = {
+              x: knockbackDirection.x * knockbackBack,
+              y: knockbackUp,
+              z: knockbackDirection.z * knockbackBack
+            }
+            targetChar.gravity = 0.5
+            targetChar.knockbackStartTime = Date.now()
+            targetChar.knockbackMinDuration = 0.8
+
+            // Decide whether to Run Away or Fight Back based on aggressiveness
+            const currentAggressiveness = tick.aggressiveness
+            // If aggressiveness is 1.0, they almost always fight back
+            // If 0, they almost always run
+            if (Math.random() < currentAggressiveness) {
+                // Fight Back!
+                console.log(`⚔️ ${targetChar.username} is fighting back against ${char.username}!`)
+                targetChar.runAwayTimer = undefined
+                targetChar.shouldRunAway = false
+                targetChar.hitTargetPlayer = char // Target the hitter
+                targetChar.path.changeTargetTime = 999
+                targetChar.wasHitByPlayer = true
+            } else {
+                // Run Away
+                targetChar.runAwayTimer = 6.0 + Math.random() * 4.0
+
+                const runAwayX = targetX - knockbackDirection.x * 180
+                const runAwayZ = targetZ - knockbackDirection.z * 180
+                const centerBias = 0.1
+                targetChar.runAwayTarget = {
+                  x: runAwayX * (1 - centerBias) + 0 * centerBias,
+                  z: runAwayZ * (1 - centerBias) + 0 * centerBias
+                }
+                targetChar.runAwayFrom = char
+                targetChar.shouldRunAway = true
+                targetChar.wasHitByPlayer = true
+            }
+        }
+
+        // Clear hit target - we've hit them
+        char.hitTargetPlayer = null
+        path.changeTargetTime = 0 // Allow new target selection
+      } else {
+        // Target invalid - clear hit target
+        char.hitTargetPlayer = null
+        path.changeTargetTime = 0
+      }
+    } else if (dist > 600) { // Increased from 250 to 600 to match search range
+      // Target got too far away, give up
+      char.hitTargetPlayer = null
+      path.changeTargetTime = 0 // Allow new target selection
+    }
+  }
+
+  // Handle hit animation timer (when character is hitting another)
+  // Hit animation should play once, then return to walking
+  if (char.isHitting && char.hitAnimationTimer !== undefined) {
+    char.hitAnimationTimer -= deltaTime
+    if (char.hitAnimationTimer <= 0) {
+      // Hit animation complete - idle for a few seconds before pathing
+      char.isHitting = false
+      char.hitAnimationTimer = undefined
+      char.animationState = ANIMATION_STATES.IDLE
+      char.idleDuration = 2.0 + Math.random() * 2.0 // Idle for 2-4 seconds after hitting
+      char.animProgress = 0 // Reset animation progress
+    }
+  }
+
+  // Handle run away timer (when character is running away after being hit)
+  if (char.runAwayTimer !== undefined && char.runAwayTimer > 0) {
+    char.runAwayTimer -= deltaTime
+
+    // Update run away target to keep running from the hitter
+    // Only update if hitter is still valid and exists
+    if (char.runAwayFrom && char.runAwayFrom.path && char.runAwayFrom.group) {
+      const hitterX = char.runAwayFrom.path.x
+      const hitterZ = char.runAwayFrom.path.z
+      const runAwayDirX = path.x - hitterX
+      const runAwayDirZ = path.z - hitterZ
+      const runAwayDist = Math.sqrt(runAwayDirX * runAwayDirX + runAwayDirZ * runAwayDirZ)
+
+      // Only continue running away if hitter is still reasonably close (within 300 units)
+      // If hitter moved too far or was removed, stop running away
+      if (runAwayDist > 0 && runAwayDist < 300) {
+        // Keep running away from the hitter, but bias slightly towards center
+        const pureRunAwayX = path.x + (runAwayDirX / runAwayDist) * 180 // Increased from 100 to 180 units
+        const pureRunAwayZ = path.z + (runAwayDirZ / runAwayDist) * 180 // Increased from 100 to 180 units
+        // Bias towards center: blend 90% away direction, 10% center direction
+        const centerBias = 0.1
+        char.runAwayTarget = {
+          x: pureRunAwayX * (1 - centerBias) + 0 * centerBias, // Slight bias towards center (x=0)
+          z: pureRunAwayZ * (1 - centerBias) + 0 * centerBias  // Slight bias towards center (z=0)
+        }
+      } else {
+        // Hitter is too far away or invalid - stop running away
+        char.animationState = ANIMATION_STATES.WALK
+        char.runAwayTimer = undefined
+        char.runAwayTarget = null
+        char.runAwayFrom = null
+      }
+    } else {
+      // Hitter reference is invalid - stop running away
+      char.animationState = ANIMATION_STATES.WALK
+      char.runAwayTimer = undefined
+      char.runAwayTarget = null
+      char.runAwayFrom = null
+    }
+
+    if (char.runAwayTimer <= 0) {
+      // Stop running, return to walking
+      char.animationState = ANIMATION_STATES.WALK
+      char.runAwayTimer = undefined
+      char.runAwayTarget = null
+      char.runAwayFrom = null
+    }
+  }
+}
+
+// Handle hit timer and red overlay removal (for character-to-character hits)
+export const updateHitRecovery = (char, tick) => {
+  if (char.isBeingHit && char.hitTimer !== undefined) {
+    char.hitTimer -= tick.deltaTime
+    if (char.hitTimer <= 0) {
+      // Remove red overlay
+      char.tinted = false
+      char.isBeingHit = false
+      char.hitTimer = undefined
+
+      // Start running away immediately after red overlay finishes
+      if (char.shouldRunAway && char.runAwayTimer !== undefined) {
+        char.animationState = ANIMATION_STATES.RUN
+        char.shouldRunAway = false // Clear flag
+      }
+    }
+  }
+}
+
+// Handle the hit timer of a clicked or dying character and remove its red overlay
+export const updateHitTimer = (char, tick) => {
+  if (char.isHit && char.hitTimer !== undefined) {
+    char.hitTimer -= tick.deltaTime
+    if (char.hitTimer <= 0) {
+      // Remove red overlay
+      char.tinted = false
+      char.isHit = false
+      char.hitTimer = undefined
+    }
+  } else if (char.isBeingHit && char.hitTimer !== undefined && !char.wasHitByPlayer) {
+    // This handles the "turn red when clicked" logic which was previously missing the turn-off logic
+    // because it shares the hitTimer but uses isBeingHit for player-to-player hits
+    // We need to make sure we clear the red tint for user clicks too
+    char.hitTimer -= tick.deltaTime
+    if (char.hitTimer <= 0) {
+      // Remove red overlay
+      char.tinted = false
+      char.isBeingHit = false
+      char.hitTimer = undefined
+    }
+  }
+}
+
+// Hit a character the user clicked or tapped - it turns red and flies back, away from the camera
+// cameraDirection: { x, z } of the direction the camera looks in
+export const hitByUser = (char, cameraDirection) => {
+  // Skip if already being hit
+  if (char.isHit) return
+
+  char.isHit = true
+  char.hitTimer = 0.6 // Red overlay duration (0.6 seconds - increased)
+  char.wasHitByPlayer = false // Mark as user-initiated hit (not player-to-player)
+
+  // Apply red overlay to all materials
+  char.tinted = true
+
+  // Knockback force: upward and away from camera (increased for more intensity)
+  const knockbackUp = 22 // Upward force (increased from 15)
+  const knockbackBack = 18 // Backward force (increased from 12)
+
+  char.knockbackVelocity = {
+    x: -cameraDirection.x * knockbackBack,
+    y: knockbackUp,
+    z: -cameraDirection.z * knockbackBack
+  }
+
+  char.gravity = 0.5 // Gravity strength
+  char.knockbackStartTime = Date.now() // Track when knockback started
+  char.knockbackMinDuration = 0.8 // Minimum knockback duration in seconds (ensures longer knockback)
+}
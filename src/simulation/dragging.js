@@ -0,0 +1,146 @@
+// Dragging - the user can pick a character up, carry it around and throw it or let it down gently.
+// The main thread works out where the pointer is on the ground and whether a press was a tap or a
+// drag; the simulation holds the character up, tilts it with the movement and throws it on release.
+
+import { ANIMATION_STATES } from './animations'
+import { hitByUser } from './combat'
+
+// Pick a character up - point: { x, z } on the ground under the pointer, time: Date.now() of the press
+// Returns the drag state the other functions take
+export const grab = (char, point, time) => {
+  // Switch to idle animation and start floating
+  char.animationState = ANIMATION_STATES.IDLE
+  char.isFloating = true
+  char.floatHeight = 3.0 // Float 3 units above ground
+  char.dropVelocity = 0 // Reset drop velocity
+  char.animProgress = 0 // Reset animation progress for idle
+  char.throwVelocity = { x: 0, z: 0, y: 0 } // Initialize throw velocity
+  char.isThrown = false // Track if character is being thrown
+  char.throwRotation = { x: 0, z: 0 } // Tilt rotation during drag/throw
+  return {
+    char,
+    moved: false, // Moved far enough to count as a drag rather than a tap
+    // Fallback to character's current position
+    lastPos: point ? { x: point.x, z: point.z } : { x: char.path.x, z: char.path.z },
+    lastTime: time,
+    velocity: { x: 0, z: 0 }
+  }
+}
+
+// Carry the character to point - moved: the pointer has gone past the tap threshold
+export const drag = (held, point, moved, time) => {
+  const char = held.char
+  if (moved) held.moved = true
+  const deltaTime = Math.max(0.001, (time - held.lastTime) / 1000) // Convert to seconds
+
+  // Calculate velocity based on movement
+  const dx = point.x - held.lastPos.x
+  const dz = point.z - held.lastPos.z
+  const velocityX = deltaTime > 0 ? dx / deltaTime : 0
+  const velocityZ = deltaTime > 0 ? dz / deltaTime : 0
+
+  // Smooth velocity with exponential moving average
+  const smoothing = 0.3
+  held.velocity.x = held.velocity.x * (1 - smoothing) + velocityX * smoothing
+  held.velocity.z = held.velocity.z * (1 - smoothing) + velocityZ * smoothing
+
+  // Calculate movement speed for tilt
+  const speed = Math.sqrt(held.velocity.x ** 2 + held.velocity.z ** 2)
+  const maxTilt = Math.min(speed * 0.15, 0.4) // Max tilt of 0.4 radians (~23 degrees)
+
+  // Initialize throw properties if not set
+  if (!char.throwRotation) {
+    char.throwRotation = { x: 0, z: 0 }
+  }
+
+  // Apply tilt based on movement direction
+  if (speed > 0.1) {
+    const tiltDirection = Math.atan2(held.velocity.x, held.velocity.z)
+    char.throwRotation.x = Math.sin(tiltDirection) * maxTilt // Tilt left/right
+    char.throwRotation.z = Math.cos(tiltDirection) * maxTilt * 0.5 // Slight forward tilt
+  } else {
+    // Gradually return to neutral when not moving
+    char.throwRotation.x *= 0.9
+    char.throwRotation.z *= 0.9
+  }
+
+  // Update path position directly
+  char.path.x = point.x
+  char.path.z = point.z
+
+  // Also update group position immediately (less lerp for dragging)
+  char.group.position.x = point.x
+  char.group.position.z = point.z
+
+  // Apply tilt rotation
+  char.group.rotation.x = char.throwRotation.x
+  char.group.rotation.z = char.throwRotation.z
+
+  // Keep character floating while dragging
+  if (char.isFloating) {
+    char.group.position.y = char.floatHeight || 3.0
+  }
+
+  // Update tracking
+  held.lastPos = { x: point.x, z: point.z }
+  held.lastTime = time
+}
+
+// Let go - a tap hits the character (cameraDirection: { x, z }, see hitByUser in combat.js), a drag
+// throws it if the pointer was moving fast enough and lets it down gently if not
+export const release = (held, { tap, cameraDirection }) => {
+  const draggedCharacter = held.char
+
+  // If it was a tap, hit the character
+  if (tap) {
+    hitByUser(draggedCharacter, cameraDirection)
+    // Reset floating state
+    draggedCharacter.isFloating = false
+    draggedCharacter.group.position.y = 0
+  } else if (held.moved) {
+    // Was dragging - check if thrown with force
+    const throwSpeed = Math.sqrt(held.velocity.x ** 2 + held.velocity.z ** 2)
+    const throwThreshold = 2.0 // Lower threshold - minimum speed to trigger throw (units per second)
+
+    // Always reset tilt immediately when released (tilt only during drag)
+    draggedCharacter.group.rotation.x = 0
+    draggedCharacter.group.rotation.z = 0
+    draggedCharacter.throwRotation = { x: 0, z: 0 }
+
+    if (throwSpeed > throwThreshold) {
+      // Character was thrown - apply inertia
+      draggedCharacter.isThrown = true
+      draggedCharacter.isFloating = true
+      // Use the raw velocity, scale it appropriately for visible effect
+      draggedCharacter.throwVelocity = {
+        x: held.velocity.x * 1.0, // Reduced from 1.5 to 1.0 for less intense inertia
+        z: held.velocity.z * 1.0,
+        y: Math.min(throwSpeed * 0.15, 12) // Reduced upward velocity further (was 0.2, 15)
+      }
+      draggedCharacter.dropVelocity = draggedCharacter.throwVelocity.y
+      draggedCharacter.animationState = ANIMATION_STATES.IDLE // Idle while flying
+      draggedCharacter.animProgress = 0 // Start the flying pose (and elytra) from folded
+
+      // Face the direction they're being thrown
+      const throwDirection = Math.atan2(draggedCharacter.throwVelocity.x, draggedCharacter.throwVelocity.z)
+      draggedCharacter.group.rotation.y = throwDirection
+
+      console.log(`🚀 Thrown ${draggedCharacter.username} with speed ${throwSpeed.toFixed(2)}, velocity=(${draggedCharacter.throwVelocity.x.toFixed(2)}, ${draggedCharacter.throwVelocity.z.toFixed(2)}, ${draggedCharacter.throwVelocity.y.toFixed(2)})`)
+    } else {
+      // Gentle drop - no throw, just gently lower to ground
+      if (draggedCharacter.group.position.y > 0) {
+        // Character is floating, gently drop them
+        draggedCharacter.isFloating = true
+        draggedCharacter.dropVelocity = -2.0 // Gentle downward velocity (much slower than gravity)
+        draggedCharacter.animationState = ANIMATION_STATES.IDLE // Idle while gently dropping
+        console.log(`📦 Gently dropping ${draggedCharacter.username} (speed ${throwSpeed.toFixed(2)} was below threshold ${throwThreshold})`)
+      } else {
+        // Already on ground, just reset
+        draggedCharacter.isFloating = false
+        draggedCharacter.dropVelocity = undefined
+        draggedCharacter.animationState = ANIMATION_STATES.WALK // Return to walking
+        console.log(`📦 Dropped ${draggedCharacter.username} (already on ground)`)
+      }
+    }
+  }
+}
@@ -0,0 +1,307 @@
+// Formation mode - picking a cluster in the settings menu lines its players up in a grid facing the
+// camera, while everyone else runs offscreen to the right and fades out
+
+import { ANIMATION_STATES, IdleAnimation, RunningAnimation, WalkingAnimationNoHeadBob } from './animations'
+import { stepLerpFactor } from './stepTiming'
+
+// Give every character its formation target - formation is { usernames, clusterId } for the picked cluster
+export const updateFormationTargets = (characters, formation) => {
+  const selectedClusterUsernames = formation.usernames
+  const clusterCharacters = characters.filter(char =>
+    selectedClusterUsernames.includes(char.username)
+  )
+  const nonClusterCharacters = characters.filter(char =>
+    !selectedClusterUsernames.includes(char.username)
+  )
+
+  // Log formation mode statistics (only once per activation)
+  const wasFormationModeActive = characters.some(char => char.formationMode)
+  if (!wasFormationModeActive) {
+    const clusterId = formation.clusterId || 'UNKNOWN'
+    const formationRows = Math.ceil(Math.sqrt(clusterCharacters.length))
+    const formationCols = Math.ceil(clusterCharacters.length / formationRows)
+    console.log(`🎯 Formation Mode Activated!`)
+    console.log(`   Cluster: ${clusterId}`)
+    console.log(`   📊 ${clusterCharacters.length} players will form up in military formation`)
+    console.log(`   🚶 ${nonClusterCharacters.length} players will walk offscreen and despawn`)
+    console.log(`   📐 Formation grid: ${formationRows} rows × ${formationCols} columns`)
+    console.log(`   ⏳ Waiting for players to reach formation positions...`)
+  }
+
+  // Calculate formation positions for cluster characters (military grid formation)
+  // Line up shoulder to shoulder facing camera
+  const formationRows = Math.ceil(Math.sqrt(clusterCharacters.length))
+  const formationCols = Math.ceil(clusterCharacters.length / formationRows)
+  const formationSpacing = 40 // Much more spacing between players in formation
+  const formationCenterX = 0 // Center of screen
+  const formationCenterZ = 0 // Center of screen
+
+  clusterCharacters.forEach((char, idx) => {
+    const row = Math.floor(idx / formationCols)
+    const col = idx % formationCols
+    const offsetX = (col - (formationCols - 1) / 2) * formationSpacing
+    const offsetZ = (row - (formationRows - 1) / 2) * formationSpacing
+
+    // Set formation target
+    char.path.targetX = formationCenterX + offsetX
+    char.path.targetZ = formationCenterZ + offsetZ
+    char.path.changeTargetTime = 999999 // Prevent random target changes
+    char.formationMode = true
+    // Stop all other actions
+    char.hitTargetPlayer = null
+    char.isHitting = false
+    char.runAwayTimer = undefined
+    char.runAwayTarget = null
+    char.runAwayFrom = null
+    char.shouldRunAway = false
+    char.animationState = ANIMATION_STATES.WALK // Will change to IDLE when in position
+  })
+
+  // Make non-cluster characters run offscreen (all go right)
+  nonClusterCharacters.forEach((char, idx) => {
+    // All characters go right (positive X)
+    const offscreenDistance = 600
+
+    // Stagger Z positions to avoid stacking (spread them out vertically)
+    const zOffset = (idx % 10) * 8 - 36 // Spread across Z axis (-36 to +36)
+
+    // Path to offscreen right only - keep Z staggered to avoid collisions
+    char.path.targetX = offscreenDistance
+    char.path.targetZ = zOffset // Staggered Z position to avoid stacking
+    char.path.changeTargetTime = 999999 // Prevent random target changes
+    char.formationMode = true
+    char.shouldDespawn = true // Mark for despawning
+    char.animationState = ANIMATION_STATES.RUN // Use run animation
+    char.fadeOutOpacity = 1.0 // Track opacity for fade out
+    char.isFadedOut = false // Track if character is faded out
+  })
+}
+
+// Walk a character in formation mode to its place in the grid, or run it offscreen and fade it out
+export const updateFormation = (char, tick) => {
+  const { deltaTime, stepScale, baseMoveSpeed, characterGrid, formation } = tick
+  const path = char.path
+  const group = char.group
+  const player = char.player
+
+  // Check if this is a cluster character (should form up) or non-cluster (should despawn)
+  const isClusterChar = Boolean(formation && formation.usernames.includes(char.username))
+
+  if (isClusterChar) {
+    // Cluster character - move to formation position
+    const dx = path.targetX - path.x
+    const dz = path.targetZ - path.z
+    const distance = Math.sqrt(dx * dx + dz * dz)
+
+    if (distance > 0.3) {
+      // Move towards formation position
+      const moveSpeed = baseMoveSpeed * 5.0 // Much faster movement in formation mode
+      const moveX = (dx / distance) * moveSpeed
+      const moveZ = (dz / distance) * moveSpeed
+
+      path.x += moveX * deltaTime
+      path.z += moveZ * deltaTime
+      group.position.x = path.x
+      group.position.z = path.z
+
+      // Face the direction they are walking (not camera)
+      if (Math.abs(dx) > 0.001 || Math.abs(dz) > 0.001) {
+        const targetRotation = Math.atan2(dx, dz)
+        let currentRot = group.rotation.y
+        while (currentRot > Math.PI) currentRot -= Math.PI * 2
+        while (currentRot < -Math.PI) currentRot += Math.PI * 2
+        let targetRot = targetRotation
+        while (targetRot > Math.PI) targetRot -= Math.PI * 2
+        while (targetRot < -Math.PI) targetRot += Math.PI * 2
+        let diff = targetRot - currentRot
+        if (diff > Math.PI) diff -= Math.PI * 2
+        if (diff < -Math.PI) diff += Math.PI * 2
+        const rotationSpeed = 0.5
+        group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+      }
+
+      // Play walking animation (only if not already waving)
+      if (char.animationState !== ANIMATION_STATES.WAVE) {
+        char.animationState = ANIMATION_STATES.WALK
+        char.animProgress += deltaTime * char.animSpeed
+        try {
+          WalkingAnimationNoHeadBob(player, char.animProgress)
+        } catch (err) {
+          console.error('Animation error:', err)
+        }
+      }
+    } else {
+      // Reached formation position - idle and face camera
+      if (char.animationState === ANIMATION_STATES.WALK) {
+        // Mark that this character has reached formation position
+        char.reachedFormationPosition = true
+        char.animationState = ANIMATION_STATES.IDLE
+        char.animProgress = 0 // Reset animation progress for idle
+
+        // Count how many have reached formation
+        const clusterCharacters = tick.characters.filter(c =>
+          c.formationMode && !c.shouldDespawn && formation.usernames.includes(c.username)
+        )
+        const reachedCount = clusterCharacters.filter(c => c.reachedFormationPosition).length
+        const totalCount = clusterCharacters.length
+
+        if (reachedCount === totalCount && totalCount > 0) {
+          console.log(`   ✅ All ${totalCount} players have reached formation positions!`)
+        } else {
+          console.log(`   ✅ ${char.username} reached formation (${reachedCount}/${totalCount})`)
+        }
+      }
+
+      // Stop moving - character has reached formation position
+      // Don't update path.x or path.z - keep them at formation position
+
+      // Face camera
+      const cameraAngle = Math.PI / 4 // 45 degrees
+      let currentRot = group.rotation.y
+      while (currentRot > Math.PI) currentRot -= Math.PI * 2
+      while (currentRot < -Math.PI) currentRot += Math.PI * 2
+      let diff = cameraAngle - currentRot
+      if (diff > Math.PI) diff -= Math.PI * 2
+      if (diff < -Math.PI) diff += Math.PI * 2
+      const rotationSpeed = 0.5
+      group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+
+      // Idle animation
+      char.animProgress += deltaTime * char.animSpeed
+      try {
+        IdleAnimation(player, char.animProgress)
+      } catch (err) {
+        console.error('Animation error:', err)
+      }
+    }
+  } else {
+    // Non-cluster character - run offscreen and fade out (left/right only)
+    const dx = path.targetX - path.x
+    const targetZ = 0 // Always move to center Z for horizontal movement
+    const dz = targetZ - path.z
+
+    // Initialize fade out opacity if not set
+    if (char.fadeOutOpacity === undefined) {
+      char.fadeOutOpacity = 1.0
+      char.isFadedOut = false
+    }
+
+    // First, move to center Z if not already there (quickly)
+    if (Math.abs(dz) > 0.5) {
+      // Move towards center Z quickly
+      const zMoveSpeed = baseMoveSpeed * 10
+      const moveZ = (dz > 0 ? 1 : -1) * zMoveSpeed * deltaTime
+      path.z += moveZ
+      group.position.z = path.z
+    } else {
+      // At center Z, now move horizontally only
+      path.z = 0
+      group.position.z = 0
+    }
+
+    // Move horizontally (right only) with collision avoidance
+    if (Math.abs(dx) > 0.1 || Math.abs(dz) > 0.1) {
+      // Collision avoidance with other offscreen characters
+      const avoidanceRadius = 15
+      let avoidX = 0
+      let avoidZ = 0
+
+      characterGrid.forEachNear(path.x, path.z, avoidanceRadius, otherChar => {
+        if (otherChar === char || !otherChar.shouldDespawn) return
+
+        const otherX = otherChar.path.x
+        const otherZ = otherChar.path.z
+        const distX = path.x - otherX
+        const distZ = path.z - otherZ
+        const dist = Math.sqrt(distX * distX + distZ * distZ)
+
+        if (dist < avoidanceRadius && dist > 0) {
+          const strength = (avoidanceRadius - dist) / avoidanceRadius
+          avoidX += (distX / dist) * strength * 20
+          avoidZ += (distZ / dist) * strength * 20
+        }
+      })
+
+      // Apply avoidance
+      if (Math.abs(avoidX) > 0.01 || Math.abs(avoidZ) > 0.01) {
+        path.x += avoidX * deltaTime
+        path.z += avoidZ * deltaTime
+        group.position.x = path.x
+        group.position.z = path.z
+      }
+
+      // Move towards offscreen target (very fast, like running)
+      const moveSpeed = baseMoveSpeed * 25.0 // Much faster - all go right
+      const moveX = (dx > 0 ? 1 : -1) * moveSpeed * deltaTime
+      const moveZ = (dz > 0 ? 1 : -1) * moveSpeed * deltaTime
+
+      path.x += moveX
+      path.z += moveZ
+      group.position.x = path.x
+      group.position.z = path.z
+
+      // Face movement direction (right)
+      const targetRotation = Math.PI / 2 // Right = 90°
+      let currentRot = group.rotation.y
+      while (currentRot > Math.PI) currentRot -= Math.PI * 2
+      while (currentRot < -Math.PI) currentRot += Math.PI * 2
+      let diff = targetRotation - currentRot
+      if (diff > Math.PI) diff -= Math.PI * 2
+      if (diff < -Math.PI) diff += Math.PI * 2
+      const rotationSpeed = 0.6
+      group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+
+      // Play running animation
+      char.animationState = ANIMATION_STATES.RUN
+      char.animProgress += deltaTime * char.animSpeed
+      try {
+        RunningAnimation(player, char.animProgress)
+      } catch (err) {
+        console.error('Animation error:', err)
+      }
+    } else {
+      // Reached offscreen position - fade out
+      if (!char.isFadedOut) {
+        char.isFadedOut = true
+        console.log(`   👻 ${char.username} reached offscreen position - fading out`)
+      }
+
+      // Fade out gradually
+      if (char.fadeOutOpacity > 0) {
+        char.fadeOutOpacity = Math.max(0, char.fadeOutOpacity - deltaTime * 2) // Fade out over 0.5 seconds
+      }
+    }
+  }
+}
+
+// Fade characters that ran offscreen back in once formation mode is over
+export const updateFadeIn = (char, tick) => {
+  if (char.fadeOutOpacity !== undefined && char.fadeOutOpacity < 1.0 && !char.isFadedOut && !char.formationMode) {
+    char.fadeOutOpacity = Math.min(1.0, char.fadeOutOpacity + tick.deltaTime * 2) // Fade in over 0.5 seconds
+  }
+}
+
+// Leave formation mode - everyone goes back to walking around, and whoever ran offscreen fades back in
+export const endFormation = (characters) => {
+  characters.forEach(char => {
+    char.formationMode = false
+    char.shouldDespawn = false
+    if (char.path && char.path.changeTargetTime === 999999) {
+      char.path.changeTargetTime = Math.random() * 5 + 4 // Reset to normal
+    }
+
+    // Reset animation state - clear RUN state and return to WALK
+    if (char.animationState === ANIMATION_STATES.RUN || char.animationState === ANIMATION_STATES.WAVE) {
+      char.animationState = ANIMATION_STATES.WALK
+      char.animProgress = 0
+    }
+    char.reachedFormationPosition = false
+    char.waveDuration = undefined
+
+    // Fade back in if faded out
+    if (char.isFadedOut) {
+      char.isFadedOut = false
+      char.fadeOutOpacity = 0 // Start from 0 for fade in (will fade in during the simulation step)
+    }
+  })
+}
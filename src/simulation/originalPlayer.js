@@ -0,0 +1,116 @@
+// The viewer's own player model - it walks around on its own while nobody is online
+
+import { ANIMATION_STATES, WalkingAnimationNoHeadBob } from './animations'
+import { createBody } from './characterState'
+import { stepLerpFactor } from './stepTiming'
+
+// The original player's state, starting in pose (see packPose in characterState.js)
+export const createOriginalPlayer = (pose) => ({
+  player: createBody(pose),
+  animationState: ANIMATION_STATES.WALK,
+  animationStateTimer: Math.random() * 10 + 5,
+  animProgress: 0,
+  animSpeed: 0.6
+})
+
+// Walk towards random targets, keeping away from the middle
+export const updateOriginalPlayer = (charState, tick) => {
+  const { deltaTime, stepScale, baseMoveSpeed } = tick
+  const player = charState.player
+
+  // Create a temporary path object for the original player - random movement with collision avoidance
+  const path = {
+    x: player.position.x,
+    z: player.position.z,
+    angle: 0,
+    targetX: Math.random() * 400 - 200, // Larger movement area
+    targetZ: Math.random() * 400 - 200,
+    changeTargetTime: Math.random() * 3 + 2 // More frequent changes (2-5 seconds)
+  }
+
+  // Move towards random target
+  path.changeTargetTime -= deltaTime
+  if (path.changeTargetTime <= 0) {
+    path.targetX = Math.random() * 400 - 200
+    path.targetZ = Math.random() * 400 - 200
+    path.changeTargetTime = Math.random() * 3 + 2
+  }
+
+  let dx = path.targetX - path.x
+  let dz = path.targetZ - path.z
+  let distance = Math.sqrt(dx * dx + dz * dz)
+
+  if (distance < 15) {
+    // Use uniform distribution in a circle to avoid center bias
+    const angle = Math.random() * Math.PI * 2
+    const radius = 50 + Math.random() * 150 // Between 50 and 200 units from center
+    path.targetX = Math.cos(angle) * radius
+    path.targetZ = Math.sin(angle) * radius
+    path.changeTargetTime = Math.random() * 3 + 2
+    dx = path.targetX - path.x
+    dz = path.targetZ - path.z
+    distance = Math.sqrt(dx * dx + dz * dz)
+  }
+
+  // Center repulsion - gentle push away from center
+  let avoidX = 0
+  let avoidZ = 0
+  const centerDist = Math.sqrt(path.x ** 2 + path.z ** 2)
+  const centerRepulsionRadius = 60 // Start repelling from center when within 60 units (reduced)
+  if (centerDist < centerRepulsionRadius && centerDist > 0) {
+    const centerRepulsionStrength = (centerRepulsionRadius - centerDist) / centerRepulsionRadius
+    avoidX += (path.x / centerDist) * centerRepulsionStrength * 5 // Gentle push (reduced from 12)
+    avoidZ += (path.z / centerDist) * centerRepulsionStrength * 5
+  }
+
+  // Update animation state timer
+  charState.animationStateTimer -= deltaTime
+
+  // Always walking - no state changes needed
+  charState.animationState = ANIMATION_STATES.WALK
+
+  const moveSpeed = baseMoveSpeed
+  // Prioritize avoidance over target movement - if avoiding, reduce target movement
+  const avoidancePriority = Math.abs(avoidX) + Math.abs(avoidZ) > 0 ? 0.3 : 1.0 // Reduce target movement when avoiding
+  const moveX = ((dx / Math.max(distance, 0.1)) * moveSpeed * 5 * avoidancePriority) + avoidX * 2 // Avoidance is 2x stronger
+  const moveZ = ((dz / Math.max(distance, 0.1)) * moveSpeed * 5 * avoidancePriority) + avoidZ * 2
+
+  const forwardDistance = path.z + moveZ * stepScale
+  const sideDistance = path.x + moveX * stepScale
+
+  const newX = sideDistance
+  const newZ = forwardDistance
+
+  const lerpFactor = stepLerpFactor(0.25, stepScale)
+  player.position.x += (newX - player.position.x) * lerpFactor
+  player.position.z += (newZ - player.position.z) * lerpFactor
+
+  const rotDx = player.position.x - path.x
+  const rotDz = player.position.z - path.z
+
+  if (Math.abs(rotDx) > 0.001 || Math.abs(rotDz) > 0.001) {
+    const targetRotation = Math.atan2(rotDx, rotDz)
+    let currentRot = player.rotation.y
+    while (currentRot > Math.PI) currentRot -= Math.PI * 2
+    while (currentRot < -Math.PI) currentRot += Math.PI * 2
+    let targetRot = targetRotation
+    while (targetRot > Math.PI) targetRot -= Math.PI * 2
+    while (targetRot < -Math.PI) targetRot += Math.PI * 2
+    let diff = targetRot - currentRot
+    if (diff > Math.PI) diff -= Math.PI * 2
+    if (diff < -Math.PI) diff += Math.PI * 2
+    // Faster, smoother rotation for original character too
+    const rotationSpeed = Math.min(0.8, Math.abs(diff) * 2 + 0.3)
+    player.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+  }
+
+  // Apply animation based on state
+  charState.animProgress += deltaTime * charState.animSpeed
+
+  // Always walking
+  try {
+    WalkingAnimationNoHeadBob(player, charState.animProgress)
+  } catch (err) {
+    console.error('Animation error for original character:', err)
+  }
+}
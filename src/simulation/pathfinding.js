@@ -0,0 +1,501 @@
+// Pathfinding - characters wander between walk targets, stopping to idle once they reach one, and
+// find a way around crowds when they get stuck. Also turns them to face where they're going and
+// plays the animation that goes with what they're doing.
+
+import { ANIMATION_STATES, HitAnimation, IdleAnimation, RunningAnimation, WalkingAnimationNoHeadBob, WaveAnimation } from './animations'
+import { stepLerpFactor } from './stepTiming'
+
+// Switch between waving, walking, running and idling
+export const updateAnimationState = (char, tick, isBeingDragged) => {
+  const deltaTime = tick.deltaTime
+
+  // Don't change animation state if being dragged (keep idle) or hitting
+  if (!isBeingDragged && !char.isHitting) {
+    // Wave state logic - only wave on spawn or when hit by user
+    if (char.animationState === ANIMATION_STATES.WAVE) {
+      // Currently waving - count down duration
+      if (char.waveDuration !== undefined && char.waveDuration > 0) {
+        char.waveDuration -= deltaTime
+        if (char.waveDuration <= 0) {
+          // Wave finished, return to walking
+          char.animationState = ANIMATION_STATES.WALK
+          char.waveDuration = undefined
+        }
+      } else if (char.waveDuration === undefined) {
+        // No duration set, return to walking
+        char.animationState = ANIMATION_STATES.WALK
+      }
+    } else if (char.animationState === ANIMATION_STATES.RUN) {
+      // Running away - handled by runAwayTimer above
+      // Don't change state here - only used when running away after being hit
+    } else if (char.animationState === ANIMATION_STATES.IDLE) {
+      // Idle state - handled by idleDuration above
+      // Don't change state here
+    } else {
+      // Normal walking (only if not hitting and not running)
+      if (char.animationState !== ANIMATION_STATES.RUN) {
+        char.animationState = ANIMATION_STATES.WALK
+      }
+    }
+  }
+}
+
+// Idle at the target, pick new targets, and steer around anything in the way
+// Returns the heading { dx, dz, distance } - towards the target, or a waypoint on the way there
+export const updatePath = (char, tick) => {
+  const { deltaTime, characterGrid, targetGrid } = tick
+  const path = char.path
+
+  // Create a path that moves towards random targets, preferring less crowded areas
+  // Each character walks towards a target, then picks a new one
+  // Keep targets within screen bounds and ensure good distances
+  const maxTargetDistance = 450 // Keep targets within screen bounds (increased to allow further paths)
+  // New targets come from the walk target search (see targetSearch.js) at the start of a later
+  // step - until then the character keeps walking towards its current one
+  if (!path.changeTargetTime) {
+    path.changeTargetTime = Math.random() * 5 + 4 // Change targets every 4-9 seconds (longer paths)
+    tick.requestTarget(char)
+  }
+
+  // Move towards target - calculate distance first
+  let dx = path.targetX - path.x
+  let dz = path.targetZ - path.z
+  let distance = Math.sqrt(dx * dx + dz * dz)
+
+  // Idle behavior - idle when reaching target, then path somewhere else
+  // Check if character has reached their target
+  const reachedTarget = distance < 10 // Consider reached when within 10 units
+
+  // Handle idle state - characters stand still when idling
+  if (char.animationState === ANIMATION_STATES.IDLE) {
+    if (char.idleDuration !== undefined) {
+      char.idleDuration -= deltaTime
+      if (char.idleDuration <= 0) {
+        // Idle finished, return to walking and pick new target
+        char.animationState = ANIMATION_STATES.WALK
+        char.idleDuration = undefined
+        path.changeTargetTime = 0 // Force new target selection
+      }
+    } else {
+      // No duration set, return to walking
+      char.animationState = ANIMATION_STATES.WALK
+      path.changeTargetTime = 0 // Force new target selection
+    }
+  } else if (reachedTarget && char.animationState === ANIMATION_STATES.WALK && !char.hitTargetPlayer && !char.waypoint) {
+    // Reached target - enter idle animation
+    char.animationState = ANIMATION_STATES.IDLE
+    char.idleDuration = 2.0 + Math.random() * 3.0 // Idle for 2-5 seconds (random)
+  }
+
+  // Track progress to detect if stuck
+  const distToTarget = distance
+  if (!char.lastDistanceToTarget) {
+    char.lastDistanceToTarget = distToTarget
+    char.stuckTimer = 0
+  }
+
+  // Check if making progress towards target
+  const progressMade = char.lastDistanceToTarget - distToTarget
+  if (progressMade < 0.5 && distToTarget > 10) { // Not making progress and still far from target
+    char.stuckTimer += deltaTime
+  } else {
+    char.stuckTimer = 0 // Reset if making progress
+    char.lastDistanceToTarget = distToTarget
+  }
+
+  // Check if path is blocked by obstacles
+  char.pathBlockedCheckTimer = (char.pathBlockedCheckTimer || 0) + deltaTime
+  let isPathBlocked = false
+  if (char.pathBlockedCheckTimer > 0.5 && distToTarget > 15) { // Check every 0.5 seconds
+    char.pathBlockedCheckTimer = 0
+
+    // Sample points along the path to target to check for obstacles
+    const pathCheckPoints = 5
+    const stepSize = distToTarget / pathCheckPoints
+    const dirX = dx / distToTarget
+    const dirZ = dz / distToTarget
+
+    let blockedCount = 0
+    for (let i = 1; i <= pathCheckPoints; i++) {
+      const checkX = path.x + dirX * stepSize * i
+      const checkZ = path.z + dirZ * stepSize * i
+      const checkRadius = 40 // Check radius for obstacles
+
+      // Check if any character is blocking this point
+      characterGrid.forEachNear(checkX, checkZ, checkRadius, (otherChar) => {
+        if (otherChar === char) return
+
+        const otherPath = otherChar.path
+        const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
+        const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
+
+        const distToCheck = Math.sqrt((checkX - otherX) ** 2 + (checkZ - otherZ) ** 2)
+        if (distToCheck < checkRadius) {
+          blockedCount++
+        }
+      })
+    }
+
+    // If more than 30% of path is blocked, consider it blocked
+    isPathBlocked = blockedCount > pathCheckPoints * 0.3
+  }
+
+  // If stuck or path blocked, find alternative path
+  if ((char.stuckTimer > char.stuckThreshold || isPathBlocked) && !char.hitTargetPlayer && char.animationState !== ANIMATION_STATES.IDLE) {
+    // Try to find a path around obstacles using steering
+    const steeringRadius = 80 // How far to look for alternative paths
+    const steeringAngles = []
+
+    // Sample angles around the target direction
+    const targetAngle = Math.atan2(dx, dz)
+    for (let i = -3; i <= 3; i++) {
+      steeringAngles.push(targetAngle + (i * Math.PI / 6)) // ±90 degrees in 30-degree steps
+    }
+
+    let bestSteerAngle = null
+    let bestSteerScore = Infinity
+
+    steeringAngles.forEach(angle => {
+      const steerX = path.x + Math.cos(angle) * steeringRadius
+      const steerZ = path.z + Math.sin(angle) * steeringRadius
+
+      // Check if this steering direction avoids obstacles
+      let obstacleCount = 0
+      let totalDistToTarget = 0
+
+      characterGrid.forEachNear(steerX, steerZ, 50, (otherChar) => {
+        if (otherChar === char) return
+
+        const otherPath = otherChar.path
+        const otherX = otherPath.x !== undefined ? otherPath.x : otherChar.group.position.x
+        const otherZ = otherPath.z !== undefined ? otherPath.z : otherChar.group.position.z
+
+        const distToOther = Math.sqrt((steerX - otherX) ** 2 + (steerZ - otherZ) ** 2)
+        if (distToOther < 50) {
+          obstacleCount++
+        }
+      })
+
+      // Also check distance to other targets
+      targetGrid.forEachNear(steerX, steerZ, 80, (otherChar) => {
+        const otherPath = otherChar.path
+        if (otherChar === char || otherPath.targetX === undefined || otherPath.targetZ === undefined) return
+
+        const distToOtherTarget = Math.sqrt((steerX - otherPath.targetX) ** 2 + (steerZ - otherPath.targetZ) ** 2)
+        if (distToOtherTarget < 80) {
+          obstacleCount += 0.5
+        }
+      })
+
+      // Calculate distance from steer point to target
+      const distFromSteerToTarget = Math.sqrt((steerX - path.targetX) ** 2 + (steerZ - path.targetZ) ** 2)
+
+      // Score: lower is better (fewer obstacles, closer to target)
+      const score = obstacleCount * 10 + distFromSteerToTarget * 0.1
+
+      if (score < bestSteerScore) {
+        bestSteerScore = score
+        bestSteerAngle = angle
+      }
+    })
+
+    // If we found a good steering angle, set intermediate waypoint
+    if (bestSteerAngle !== null && bestSteerScore < 50) {
+      const waypointX = path.x + Math.cos(bestSteerAngle) * steeringRadius
+      const waypointZ = path.z + Math.sin(bestSteerAngle) * steeringRadius
+
+      // Clamp to screen bounds
+      const waypointDist = Math.sqrt(waypointX ** 2 + waypointZ ** 2)
+      if (waypointDist < maxTargetDistance) {
+        // Set intermediate waypoint (will path to this first, then continue to target)
+        if (!char.waypoint) {
+          char.waypoint = { x: waypointX, z: waypointZ }
+        } else {
+          // Update waypoint if we have a better one
+          char.waypoint.x = waypointX
+          char.waypoint.z = waypointZ
+        }
+
+        // Reset stuck timer
+        char.stuckTimer = 0
+        char.lastDistanceToTarget = distToTarget
+      }
+    } else {
+      // If no good steering found, pick completely new target
+      path.changeTargetTime = 0 // Force new target selection
+      char.stuckTimer = 0
+      char.lastDistanceToTarget = undefined
+    }
+  }
+
+  // Use waypoint if available (pathfinding around obstacles)
+  if (char.waypoint) {
+    const waypointDx = char.waypoint.x - path.x
+    const waypointDz = char.waypoint.z - path.z
+    const waypointDist = Math.sqrt(waypointDx * waypointDx + waypointDz * waypointDz)
+
+    if (waypointDist < 20) {
+      // Reached waypoint, clear it and continue to target
+      char.waypoint = null
+    } else {
+      // Path to waypoint instead of direct target
+      dx = waypointDx
+      dz = waypointDz
+      distance = waypointDist
+    }
+  }
+
+  // Check if it's time to change target
+  // Don't change target if we're walking towards a hit target, idling, or in formation mode
+  // Don't change target while idling - wait for idle to finish
+  if (!char.hitTargetPlayer && char.animationState !== ANIMATION_STATES.IDLE && !char.formationMode) {
+    path.changeTargetTime -= deltaTime
+  }
+  // Only change target if not idling and not in formation mode (idle will trigger new target when it finishes)
+  if ((path.changeTargetTime <= 0 || distance < 5) && !char.hitTargetPlayer && char.animationState !== ANIMATION_STATES.IDLE && !char.formationMode) {
+    // The search for a less crowded area runs after the step (see targetSearch.js)
+    tick.requestTarget(char)
+    path.changeTargetTime = Math.random() * 5 + 4 // Change targets every 4-9 seconds (longer paths)
+  }
+
+  return { dx, dz, distance }
+}
+
+// Movement for this step (moveX, moveZ per tuned step) towards the heading, nudged by avoidance
+// (see avoidance.js), and turn to face the right way
+export const steer = (char, tick, heading, avoidance) => {
+  const { stepScale, baseMoveSpeed } = tick
+  const { dx, dz, distance } = heading
+  const { avoidX, avoidZ } = avoidance
+  const path = char.path
+  const group = char.group
+
+  // Increase speed by 10% when seeking a hit target
+  // Reduce walk speed by 15% unless running or seeking a target
+  let moveSpeed = baseMoveSpeed
+  if (char.hitTargetPlayer) {
+    moveSpeed = baseMoveSpeed * 1.1 // 10% faster when seeking target
+  } else if (char.animationState !== ANIMATION_STATES.RUN) {
+    moveSpeed = baseMoveSpeed * 0.85 // 15% slower for normal walking
+  } else {
+    moveSpeed = baseMoveSpeed // Keep normal speed when running
+  }
+
+  // Update character position in 3D space
+  // Move in a path that goes away from camera
+  path.angle += moveSpeed * 0.15 * stepScale
+
+  // Normal movement towards target - minimal avoidance influence (just enough to prevent stacking)
+  // Per tuned step - scaled by stepScale where it moves the character
+  const moveX = (dx / Math.max(distance, 0.1)) * moveSpeed + avoidX * 0.2
+  const moveZ = (dz / Math.max(distance, 0.1)) * moveSpeed + avoidZ * 0.2
+
+  // Calculate movement direction for rotation BEFORE moving
+  // Use the intended movement direction, not the actual movement
+  const totalMoveX = moveX
+  const totalMoveZ = moveZ
+  const moveDistance = Math.sqrt(totalMoveX * totalMoveX + totalMoveZ * totalMoveZ)
+
+  // Rotate to face movement direction or camera (if waving or idle/dragged)
+  // Priority: Hit target > Wave/Idle > Run away > Normal movement
+  if (char.hitTargetPlayer && !char.isHitting) {
+    // Face the hit target when seeking them
+    const targetPath = char.hitTargetPlayer.path
+    const targetX = targetPath.x !== undefined ? targetPath.x : char.hitTargetPlayer.group.position.x
+    const targetZ = targetPath.z !== undefined ? targetPath.z : char.hitTargetPlayer.group.position.z
+
+    const targetDirX = targetX - path.x
+    const targetDirZ = targetZ - path.z
+    const targetDist = Math.sqrt(targetDirX * targetDirX + targetDirZ * targetDirZ)
+
+    if (targetDist > 0.001) {
+      const targetRotation = Math.atan2(targetDirX, targetDirZ)
+      let currentRot = group.rotation.y
+
+      // Normalize angles
+      while (currentRot > Math.PI) currentRot -= Math.PI * 2
+      while (currentRot < -Math.PI) currentRot += Math.PI * 2
+
+      let targetRot = targetRotation
+      while (targetRot > Math.PI) targetRot -= Math.PI * 2
+      while (targetRot < -Math.PI) targetRot += Math.PI * 2
+
+      let diff = targetRot - currentRot
+      if (diff > Math.PI) diff -= Math.PI * 2
+      if (diff < -Math.PI) diff += Math.PI * 2
+
+      // Fast rotation to face target (faster when close)
+      const rotationSpeed = targetDist < 20 ? 0.5 : 0.3 // Faster rotation when close
+      group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+    }
+  } else if (char.animationState === ANIMATION_STATES.WAVE || char.animationState === ANIMATION_STATES.IDLE) {
+    // Face camera when waving or idle (being dragged) - camera is at 45 degree angle looking down
+    // Camera position: (sin(45)*500, cos(45)*500, cos(45)*500)
+    // Character needs to face towards camera position from origin
+    // Rotation angle in XZ plane: atan2(cameraX, cameraZ) = atan2(sin(45), cos(45)) = PI/4
+    const cameraAngle = Math.PI / 4 // 45 degrees
+    const targetRotation = cameraAngle // Face towards camera (PI/4 radians)
+    let currentRot = group.rotation.y
+
+    // Normalize angles
+    while (currentRot > Math.PI) currentRot -= Math.PI * 2
+    while (currentRot < -Math.PI) currentRot += Math.PI * 2
+
+    let targetRot = targetRotation
+    while (targetRot > Math.PI) targetRot -= Math.PI * 2
+    while (targetRot < -Math.PI) targetRot += Math.PI * 2
+
+    let diff = targetRot - currentRot
+    if (diff > Math.PI) diff -= Math.PI * 2
+    if (diff < -Math.PI) diff += Math.PI * 2
+
+    // Smooth rotation to face camera (faster rotation)
+    const rotationSpeed = 0.2
+    group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+  } else if (char.animationState === ANIMATION_STATES.RUN && char.runAwayTarget) {
+    // When running away, face the direction of movement
+    const runAwayDx = char.runAwayTarget.x - path.x
+    const runAwayDz = char.runAwayTarget.z - path.z
+    const runAwayDist = Math.sqrt(runAwayDx * runAwayDx + runAwayDz * runAwayDz)
+
+    if (runAwayDist > 0.001) {
+      const targetRotation = Math.atan2(runAwayDx, runAwayDz)
+      let currentRot = group.rotation.y
+
+      // Normalize angles
+      while (currentRot > Math.PI) currentRot -= Math.PI * 2
+      while (currentRot < -Math.PI) currentRot += Math.PI * 2
+
+      let targetRot = targetRotation
+      while (targetRot > Math.PI) targetRot -= Math.PI * 2
+      while (targetRot < -Math.PI) targetRot += Math.PI * 2
+
+      let diff = targetRot - currentRot
+      if (diff > Math.PI) diff -= Math.PI * 2
+      if (diff < -Math.PI) diff += Math.PI * 2
+
+      // Fast rotation when running away
+      const rotationSpeed = 0.3
+      group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+    }
+  } else if (moveDistance > 0.001) {
+    // Normal movement rotation
+    const targetRotation = Math.atan2(totalMoveX, totalMoveZ)
+    let currentRot = group.rotation.y
+
+    // Normalize angles
+    while (currentRot > Math.PI) currentRot -= Math.PI * 2
+    while (currentRot < -Math.PI) currentRot += Math.PI * 2
+
+    let targetRot = targetRotation
+    while (targetRot > Math.PI) targetRot -= Math.PI * 2
+    while (targetRot < -Math.PI) targetRot += Math.PI * 2
+
+    let diff = targetRot - currentRot
+    if (diff > Math.PI) diff -= Math.PI * 2
+    if (diff < -Math.PI) diff += Math.PI * 2
+
+    // Clamp turn speed to prevent flip-flopping
+    const maxRotationSpeed = 0.15 // Maximum radians per frame (prevents rapid back-and-forth)
+    const baseRotationSpeed = 0.08 // Base rotation speed
+    const rotationSpeed = Math.min(maxRotationSpeed, Math.abs(diff) * 0.5 + baseRotationSpeed)
+    const rotationDelta = Math.sign(diff) * Math.min(Math.abs(diff * rotationSpeed), maxRotationSpeed)
+    group.rotation.y += Math.sign(diff) * Math.min(Math.abs(diff), Math.abs(rotationDelta) * stepScale)
+  }
+
+  return { moveX, moveZ }
+}
+
+// Move the character - walking, running away, or staying put while idling, waving, knocked back or dragged
+export const updatePosition = (char, tick, movement, isBeingDragged) => {
+  const { stepScale, baseMoveSpeed } = tick
+  const { moveX, moveZ } = movement
+  const path = char.path
+  const group = char.group
+
+  // Update position (only if not waving, not being knocked back, not being dragged, and not idling)
+  let newX = path.x
+  let newZ = path.z
+
+  // Safety check for RUN state without target
+  if (char.animationState === ANIMATION_STATES.RUN && !char.runAwayTarget && !char.knockbackVelocity) {
+    char.animationState = ANIMATION_STATES.WALK
+  }
+
+  // Handle running away movement (faster than normal walking)
+  if (char.animationState === ANIMATION_STATES.RUN && char.runAwayTarget && !char.knockbackVelocity) {
+    // Move towards run away target at faster speed
+    const runAwayDx = char.runAwayTarget.x - path.x
+    const runAwayDz = char.runAwayTarget.z - path.z
+    const runAwayDist = Math.sqrt(runAwayDx * runAwayDx + runAwayDz * runAwayDz)
+
+    if (runAwayDist > 0.1) {
+      const runSpeed = baseMoveSpeed * 2.5 // Run 2.5x faster than walking
+      const runMoveX = (runAwayDx / runAwayDist) * runSpeed * stepScale
+      const runMoveZ = (runAwayDz / runAwayDist) * runSpeed * stepScale
+      newX = path.x + runMoveX
+      newZ = path.z + runMoveZ
+    } else {
+      // Reached target, continue normal movement
+      const forwardDistance = path.z + moveZ * stepScale
+      const sideDistance = path.x + moveX * stepScale
+      newX = sideDistance
+      newZ = forwardDistance
+    }
+  } else if (char.animationState === ANIMATION_STATES.IDLE) {
+    // Stand still when idling - don't move
+    newX = path.x
+    newZ = path.z
+  } else if (char.animationState !== ANIMATION_STATES.WAVE && !char.knockbackVelocity && !isBeingDragged) {
+    // Only move when not waving, not being knocked back, not being dragged, and not idling
+    const forwardDistance = path.z + moveZ * stepScale
+    const sideDistance = path.x + moveX * stepScale
+    newX = sideDistance
+    newZ = forwardDistance
+  } else if (char.knockbackVelocity) {
+    // Use knockback position
+    newX = path.x
+    newZ = path.z
+  } else if (isBeingDragged) {
+    // Use dragged position (already set by drag() in dragging.js)
+    newX = path.x
+    newZ = path.z
+  }
+
+  // Smoother interpolation for position - faster movement
+  const lerpFactor = stepLerpFactor(0.35, stepScale) // Increased from 0.25 for faster, more responsive movement
+  group.position.x += (newX - group.position.x) * lerpFactor
+  group.position.z += (newZ - group.position.z) * lerpFactor
+
+  // Update path reference
+  path.x = group.position.x
+  path.z = group.position.z
+}
+
+// Pose the character for what it's doing
+export const playAnimation = (char, tick) => {
+  const player = char.player
+  if (!char.animProgress) char.animProgress = 0
+  if (!char.animSpeed) char.animSpeed = 0.87285
+
+  char.animProgress += tick.deltaTime * char.animSpeed // Accumulate progress with deltaTime
+
+  // Apply animation based on state
+  try {
+    // Hit animation takes priority - plays once when hitting, then returns to walking
+    if (char.isHitting && char.hitAnimationTimer !== undefined) {
+      HitAnimation(player, char.animProgress)
+    } else if (char.animationState === ANIMATION_STATES.WAVE) {
+      WaveAnimation(player, char.animProgress, char.waveArm || 'left')
+    } else if (char.animationState === ANIMATION_STATES.IDLE) {
+      IdleAnimation(player, char.animProgress)
+    } else if (char.animationState === ANIMATION_STATES.RUN) {
+      // Run animation only used when running away after being hit
+      RunningAnimation(player, char.animProgress)
+    } else {
+      WalkingAnimationNoHeadBob(player, char.animProgress)
+    }
+  } catch (err) {
+    console.error('Animation error:', err)
+  }
+}
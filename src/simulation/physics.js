@@ -0,0 +1,415 @@
+// Physics - dying and respawning, flying after a throw, dropping back to the ground and being
+// knocked back by a hit
+
+import { ANIMATION_STATES, FlyingAnimation, IdleAnimation } from './animations'
+import { stepLerpFactor } from './stepTiming'
+
+// Fall over and fade out, then respawn somewhere else - the main thread plays the death sound
+export const updateDeath = (char, tick) => {
+  const { deltaTime, stepScale } = tick
+  const path = char.path
+  const group = char.group
+  const player = char.player
+
+  // Play death sound on first frame of death (if not already played)
+  if (!char.deathSoundPlayed) {
+    tick.emit({ type: 'death', username: char.username })
+    char.deathSoundPlayed = true
+  }
+
+  char.deathTimer -= deltaTime
+
+  // Keep character stopped (no movement during death)
+  if (char.throwVelocity) {
+    char.throwVelocity.x = 0
+    char.throwVelocity.z = 0
+  }
+  if (char.dropVelocity !== undefined) {
+    char.dropVelocity = 0
+  }
+
+  // Stop pathing and movement completely
+  char.path.targetX = char.path.x
+  char.path.targetZ = char.path.z
+  char.path.changeTargetTime = Infinity
+  group.position.x = char.path.x // Lock position
+  group.position.z = char.path.z
+
+  // Stop any other movement states
+  char.shouldRunAway = false
+  char.runAwayTimer = undefined
+  char.runAwayTarget = undefined
+  char.runAwayFrom = undefined
+  char.hitTargetPlayer = undefined
+  char.isHitting = false
+
+  // Smooth rotation to fall over
+  if (char.fallRotation) {
+    const rotationSpeed = 0.15 // Rotation speed per frame
+    const targetX = char.fallRotation.targetX
+    const targetZ = char.fallRotation.targetZ
+    let currentX = char.fallRotation.currentX
+    let currentZ = char.fallRotation.currentZ
+
+    // Smoothly rotate towards target
+    const diffX = targetX - currentX
+    const diffZ = targetZ - currentZ
+    currentX += diffX * stepLerpFactor(rotationSpeed, stepScale)
+    currentZ += diffZ * stepLerpFactor(rotationSpeed, stepScale)
+
+    // Update rotation
+    group.rotation.x = currentX
+    group.rotation.z = currentZ
+
+    // Update stored values
+    char.fallRotation.currentX = currentX
+    char.fallRotation.currentZ = currentZ
+
+    // If close enough to target, snap to it
+    if (Math.abs(diffX) < 0.01 && Math.abs(diffZ) < 0.01) {
+      group.rotation.x = targetX
+      group.rotation.z = targetZ
+      char.fallRotation = undefined // Clear after reaching target
+    }
+  } else {
+    // Initialize fall rotation if not already set
+    char.fallRotation = {
+      targetX: Math.PI / 2, // Fall forward
+      targetZ: (Math.random() - 0.5) * 0.3, // Slight random tilt
+      currentX: group.rotation.x || 0,
+      currentZ: group.rotation.z || 0
+    }
+  }
+
+  // Fade out
+  const fadeProgress = 1 - (char.deathTimer / 1.2)
+  char.deathFade = 1 - fadeProgress
+
+  // Respawn when fade complete
+  if (char.deathTimer <= 0) {
+    // Respawn at new random location
+    const spacing = 120
+    const angle = Math.random() * Math.PI * 2
+    const radius = 50 + Math.random() * 150
+    const newX = Math.cos(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
+    const newZ = Math.sin(angle) * radius + (Math.random() - 0.5) * spacing * 0.5
+
+    // Reset position
+    path.x = newX
+    path.z = newZ
+    group.position.x = newX
+    group.position.y = 0
+    group.position.z = newZ
+    group.rotation.y = Math.random() * Math.PI * 2
+
+    // Reset all states
+    char.isThrown = false
+    char.isFloating = false
+    char.isDying = false
+    char.deathSoundPlayed = false // Reset sound flag
+    char.throwVelocity = null
+    char.dropVelocity = undefined
+    char.isHit = false
+    char.hitTimer = undefined
+    char.animationState = ANIMATION_STATES.WAVE // Wave on respawn
+    char.waveDuration = 4.0 + Math.random() * 2.0 // Wave for 4-6 seconds (same as spawn)
+    char.waveArm = Math.random() > 0.5 ? 'left' : 'right'
+    char.animProgress = 0 // Reset animation progress for wave
+
+    // Reset pathing
+    char.path.changeTargetTime = Date.now() + Math.random() * 2000 + 1000
+
+    // Reset all rotations (including fall-over rotation)
+    group.rotation.x = 0
+    group.rotation.z = 0
+    char.throwRotation = { x: 0, z: 0 }
+    char.fallRotation = undefined // Clear fall rotation
+    player.rotation.x = 0
+    player.rotation.z = 0
+    player.skin.head.rotation.x = 0
+    player.skin.leftArm.rotation.z = 0
+    player.skin.rightArm.rotation.z = 0
+
+    // Remove the red tint and fade back in
+    char.tinted = false
+    char.deathFade = 1
+
+    console.log(`✨ ${char.username} respawned at (${newX.toFixed(1)}, ${newZ.toFixed(1)})`)
+  }
+}
+
+// Fly after a throw until landing - killing anyone in the way, and dying at the screen edge
+export const updateThrown = (char, tick) => {
+  const { deltaTime, stepScale, characterGrid } = tick
+  const path = char.path
+  const group = char.group
+  const player = char.player
+
+  // Check if character hit screen edge (death condition)
+  const distFromCenter = Math.sqrt(path.x ** 2 + path.z ** 2)
+  const screenEdgeDistance = 500 // Screen edge distance (increased from 450)
+
+  if (distFromCenter > screenEdgeDistance && !char.isDying) {
+    // Character hit screen edge - start death sequence
+    char.isDying = true
+    char.deathTimer = 1.2 // Fade out over 1.2 seconds (increased from 0.3)
+    char.deathSoundPlayed = false // Reset sound flag for new death
+    char.isHit = true
+    char.hitTimer = 1.2 // Red overlay duration (matches fade out)
+
+    // Stop all movement immediately
+    char.throwVelocity.x = 0
+    char.throwVelocity.z = 0
+    char.dropVelocity = 0
+
+    // Apply red overlay
+    char.tinted = true
+
+    console.log(`💀 ${char.username} hit screen edge and died!`)
+  } else if (!char.isDying) {
+    // Normal flying behavior (not dying)
+    // Check for collisions with other characters while flying
+    // Use infinite vertical collision (like a pole) - only check horizontal distance
+    const horizontalCollisionRadius = 10.0 // Horizontal collision radius (increased from 8.0)
+    const thrownCharPos = {
+      x: path.x,
+      z: path.z
+    }
+
+    characterGrid.forEachNear(thrownCharPos.x, thrownCharPos.z, horizontalCollisionRadius, (otherChar) => {
+      // Skip self, already dying characters, and other thrown characters
+      if (otherChar === char || otherChar.isDying || otherChar.isThrown) return
+
+      // Skip characters in formation mode
+      if (otherChar.formationMode) return
+
+      const otherPath = otherChar.path
+
+      // Calculate horizontal distance only (infinite vertical collision - like a pole)
+      const dx = thrownCharPos.x - otherPath.x
+      const dz = thrownCharPos.z - otherPath.z
+      const horizontalDist = Math.sqrt(dx * dx + dz * dz)
+
+      // Collision detected if within horizontal radius (ignoring vertical distance completely)
+      if (horizontalDist < horizontalCollisionRadius && !otherChar.isDying) {
+        // Hit character dies
+        otherChar.isDying = true
+        otherChar.deathTimer = 1.2 // Fade out over 1.2 seconds
+        otherChar.deathSoundPlayed = false // Reset sound flag for new death
+        otherChar.isHit = true
+        otherChar.hitTimer = 1.2
+
+        // Stop the hit character's movement immediately
+        otherChar.path.targetX = otherPath.x
+        otherChar.path.targetZ = otherPath.z
+        otherChar.path.x = otherPath.x // Stop at current position
+        otherChar.path.z = otherPath.z
+        otherChar.path.changeTargetTime = Infinity // Prevent new path
+        otherChar.animationState = ANIMATION_STATES.IDLE
+        otherChar.group.position.x = otherPath.x // Stop movement immediately
+        otherChar.group.position.z = otherPath.z
+
+        // Stop any running away or other movement states
+        otherChar.shouldRunAway = false
+        otherChar.runAwayTimer = undefined
+        otherChar.runAwayTarget = undefined
+        otherChar.runAwayFrom = undefined
+        otherChar.hitTargetPlayer = undefined
+        otherChar.isHitting = false
+
+        // Apply red overlay to hit character
+        otherChar.tinted = true
+
+        // Initialize smooth rotation for falling over
+        otherChar.fallRotation = {
+          targetX: Math.PI / 2, // Fall forward
+          targetZ: (Math.random() - 0.5) * 0.3, // Slight random tilt
+          currentX: otherChar.group.rotation.x || 0,
+          currentZ: otherChar.group.rotation.z || 0
+        }
+
+        console.log(`💥 ${char.username} hit ${otherChar.username} while flying!`)
+      }
+    })
+
+    // Apply horizontal throw velocity
+    const moveX = char.throwVelocity.x * deltaTime
+    const moveZ = char.throwVelocity.z * deltaTime
+    path.x += moveX
+    path.z += moveZ
+    group.position.x = path.x
+    group.position.z = path.z
+
+    // Apply vertical velocity (but keep height lower)
+    group.position.y += char.dropVelocity * deltaTime
+
+    // Clamp maximum height to keep characters lower
+    const maxHeight = 8.0 // Maximum height while flying (reduced from unlimited)
+    if (group.position.y > maxHeight) {
+      group.position.y = maxHeight
+      char.dropVelocity = 0 // Stop upward movement at max height
+    }
+
+    // Apply gravity
+    char.dropVelocity -= 9.8 * deltaTime // Gravity (units per second squared)
+
+    // Apply air resistance to horizontal velocity (gradual slowdown)
+    char.throwVelocity.x *= (1 - deltaTime * 2) // Slow down over time
+    char.throwVelocity.z *= (1 - deltaTime * 2)
+
+    // Stop horizontal movement when velocity is very small
+    if (Math.abs(char.throwVelocity.x) < 0.1) char.throwVelocity.x = 0
+    if (Math.abs(char.throwVelocity.z) < 0.1) char.throwVelocity.z = 0
+
+    // Keep rotation neutral while flying (no tilt)
+    group.rotation.x = 0
+    group.rotation.z = 0
+
+    // Face the direction of movement while flying
+    const horizontalSpeed = Math.sqrt(char.throwVelocity.x ** 2 + char.throwVelocity.z ** 2)
+    if (horizontalSpeed > 0.1) {
+      const flyDirection = Math.atan2(char.throwVelocity.x, char.throwVelocity.z)
+      let currentRot = group.rotation.y
+      // Normalize angles
+      while (currentRot > Math.PI) currentRot -= Math.PI * 2
+      while (currentRot < -Math.PI) currentRot += Math.PI * 2
+      let targetRot = flyDirection
+      while (targetRot > Math.PI) targetRot -= Math.PI * 2
+      while (targetRot < -Math.PI) targetRot += Math.PI * 2
+      let diff = targetRot - currentRot
+      if (diff > Math.PI) diff -= Math.PI * 2
+      if (diff < -Math.PI) diff += Math.PI * 2
+      // Smooth rotation to face throw direction
+      const rotationSpeed = 0.3
+      group.rotation.y += diff * stepLerpFactor(rotationSpeed, stepScale)
+    }
+
+    // Play flying animation while thrown
+    char.animProgress += deltaTime * char.animSpeed
+    try {
+      FlyingAnimation(player, char.animProgress)
+    } catch (err) {
+      console.error('Animation error:', err)
+    }
+  }
+
+  // Stop when character hits ground (only if not dying)
+  if (!char.isDying && group.position.y <= 0) {
+    group.position.y = 0
+    char.isThrown = false
+    char.isFloating = false
+    char.throwVelocity = null
+    char.dropVelocity = undefined
+    char.animationState = ANIMATION_STATES.WALK // Return to walking
+    // Reset all rotations to upright position
+    group.rotation.x = 0
+    group.rotation.z = 0
+    char.throwRotation = { x: 0, z: 0 }
+    // Reset player body rotation (from flying animation)
+    player.rotation.x = 0
+    player.rotation.z = 0
+    // Reset head rotation
+    player.skin.head.rotation.x = 0
+    // Reset arm rotations
+    player.skin.leftArm.rotation.z = 0
+    player.skin.rightArm.rotation.z = 0
+    console.log(`🏁 ${char.username} landed after throw`)
+  }
+}
+
+// Float gently down after being let go without a throw
+export const updateGentleDrop = (char, tick) => {
+  const deltaTime = tick.deltaTime
+  const group = char.group
+
+  // Apply gentle downward velocity
+  group.position.y += char.dropVelocity * deltaTime
+
+  // Gentle gravity (much lighter than thrown gravity)
+  char.dropVelocity -= 2.0 * deltaTime // Light gravity
+
+  // Play idle animation while gently dropping
+  char.animProgress += deltaTime * char.animSpeed
+  try {
+    IdleAnimation(char.player, char.animProgress)
+  } catch (err) {
+    console.error('Animation error:', err)
+  }
+
+  // Stop when character hits ground
+  if (group.position.y <= 0) {
+    group.position.y = 0
+    char.isFloating = false
+    char.dropVelocity = undefined
+    char.animationState = ANIMATION_STATES.WALK // Return to walking
+    console.log(`🏁 ${char.username} gently landed`)
+  }
+}
+
+// Handle normal drop physics (when released from drag without throw)
+export const updateDrop = (char, tick) => {
+  const group = char.group
+  if (!char.isFloating && char.dropVelocity !== undefined && group.position.y > 0) {
+    // Apply drop velocity
+    group.position.y += char.dropVelocity * tick.deltaTime
+
+    // Apply gravity
+    char.dropVelocity -= 0.5 * tick.stepScale // Gravity
+
+    // Stop dropping when character hits ground
+    if (group.position.y <= 0) {
+      group.position.y = 0
+      char.dropVelocity = undefined
+    }
+  }
+}
+
+// Fly back from a hit, then wave at the camera (after a click) or get on with running away
+export const updateKnockback = (char, tick) => {
+  if (!char.knockbackVelocity) return
+  const { deltaTime, stepScale } = tick
+  const path = char.path
+  const group = char.group
+
+  // Check minimum duration - ensure knockback lasts at least a certain time
+  const knockbackElapsed = char.knockbackStartTime ? (Date.now() - char.knockbackStartTime) / 1000 : Infinity
+  const minDuration = char.knockbackMinDuration || 0
+
+  // Apply knockback velocity
+  path.x += char.knockbackVelocity.x * deltaTime
+  path.z += char.knockbackVelocity.z * deltaTime
+  group.position.y += char.knockbackVelocity.y * deltaTime
+
+  // Apply gravity
+  char.knockbackVelocity.y -= (char.gravity || 0.5) * stepScale
+
+  // Stop knockback when character hits ground AND minimum duration has passed
+  if (group.position.y <= 0 && knockbackElapsed >= minDuration) {
+    group.position.y = 0
+    char.knockbackVelocity = null
+    char.knockbackStartTime = undefined
+    char.knockbackMinDuration = undefined
+
+    // If running away, continue running (don't wave or change state)
+    if (char.animationState === ANIMATION_STATES.RUN) {
+      // Already running away - continue running
+      char.wasHitByPlayer = false // Clear flag
+    } else if (!char.wasHitByPlayer) {
+      // Only wave if this was NOT a player-to-player hit (i.e., user clicked them)
+      char.animationState = ANIMATION_STATES.WAVE
+      char.waveDuration = 4.0 + Math.random() * 2.0 // Wave for 4-6 seconds
+      char.waveArm = Math.random() > 0.5 ? 'left' : 'right' // Randomly choose arm
+      char.animProgress = 0 // Reset animation progress for wave
+    } else {
+      // Was hit by player but not running away yet (will start when red overlay finishes)
+      // Don't change state here - run-away will start when red overlay finishes
+      char.wasHitByPlayer = false // Clear flag
+    }
+  } else if (group.position.y <= 0) {
+    // Hit ground but minimum duration not met - keep on ground but continue knockback timer
+    group.position.y = 0
+    // Still apply horizontal knockback
+    path.x += char.knockbackVelocity.x * deltaTime
+    path.z += char.knockbackVelocity.z * deltaTime
+  }
+}
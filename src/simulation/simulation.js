@@ -0,0 +1,284 @@
+// Character simulation - every character's plain-data state (see characterState.js) and the fixed
+// steps that move it: login and logout effects, dying, formation mode, throws and drops, combat,
+// pathfinding and avoidance. Runs in simulationWorker.js (or on the main thread if workers fail),
+// driven by the messages simulationClient.js sends:
+//   add { username, state, transform, pose }   remove { username }
+//   login { username, effect }   logout { username }   cancelLogout { username }
+//   grab { username, point, time }   drag { point, moved, time }   release { tap, cameraDirection }
+//   cancelDrag   hit { username, cameraDirection }
+//   options { aggressiveness }   formation { formation }   endFormation   original { pose }
+//   step { steps, deltaTime } - answered with { usernames, previous, current, original, events }:
+//     snapshots (see packSnapshot) from before and after the last step, the original player's
+//     pose before and after it (while nobody is online), and what happened that the main thread
+//     has to play (death sounds, landing puffs, finished logouts)
+
+import { createSpatialGrid } from '../components/spatialGrid'
+import { ANIMATION_STATES } from './animations'
+import { avoidCrowds } from './avoidance'
+import { createCharacterState, getPoseParts, packCharacterStates, packSnapshot, POSE_FIELDS, TRANSFORM_FIELDS, writeTransform } from './characterState'
+import { hitByUser, updateCombat, updateHitRecovery, updateHitTimer } from './combat'
+import { drag, grab, release } from './dragging'
+import { endFormation, updateFadeIn, updateFormation, updateFormationTargets } from './formation'
+import { createOriginalPlayer, updateOriginalPlayer } from './originalPlayer'
+import { playAnimation, steer, updateAnimationState, updatePath, updatePosition } from './pathfinding'
+import { updateDeath, updateDrop, updateGentleDrop, updateKnockback, updateThrown } from './physics'
+import { TUNED_STEP_RATE } from './stepTiming'
+import { pickTargets } from './targetSearch'
+import { beginLogin, beginLogout, cancelLogout, updateTransition } from './transitions'
+
+const BASE_MOVE_SPEED = 2.0 // Base movement speed - adjusted based on animation state
+const NEIGHBOR_CELL_SIZE = 50 // Cell size of the spatial grids for neighbour lookups
+
+const packOriginalPose = (original) => {
+  const pose = new Float32Array(POSE_FIELDS)
+  getPoseParts(original.player).forEach((part, i) => writeTransform(pose, i * TRANSFORM_FIELDS, part))
+  return pose
+}
+
+// One step of one character - whatever it's busy with decides what else it gets to do
+const stepCharacter = (char, tick) => {
+  // Login and logout effects take over the character until they finish
+  if ((char.entering || char.leaving) && updateTransition(char, tick)) return
+
+  // Handle death sequence FIRST (for all dying characters - thrown or hit)
+  if (char.isDying) {
+    updateDeath(char, tick)
+    return
+  }
+
+  // Skip normal movement logic if in formation mode
+  if (char.formationMode) {
+    updateFormation(char, tick)
+    return
+  }
+
+  // Fade back in after running offscreen in formation mode
+  updateFadeIn(char, tick)
+
+  // Handle thrown characters before anything else they might be doing
+  if (char.isThrown && char.throwVelocity) {
+    updateThrown(char, tick)
+    return
+  }
+
+  // Handle gentle drop (not thrown, but was floating)
+  if (char.isFloating && char.dropVelocity !== undefined && !char.isThrown && char.dropVelocity < 0) {
+    updateGentleDrop(char, tick)
+    return
+  }
+
+  // Check if this character is being dragged (used in multiple places)
+  const isBeingDragged = tick.isBeingDragged(char)
+
+  // Update animation state timer
+  if (!char.animationStateTimer) char.animationStateTimer = Math.random() * 10 + 5
+  char.animationStateTimer -= tick.deltaTime
+
+  // Initialize wave arm if not exists
+  if (char.waveArm === undefined) {
+    char.waveArm = Math.random() > 0.5 ? 'left' : 'right'
+  }
+
+  updateCombat(char, tick)
+  updateAnimationState(char, tick, isBeingDragged)
+  const heading = updatePath(char, tick)
+  const avoidance = avoidCrowds(char, tick, heading)
+  const movement = steer(char, tick, heading, avoidance)
+  updateDrop(char, tick)
+  updateHitRecovery(char, tick)
+  updateKnockback(char, tick)
+  updatePosition(char, tick, movement, isBeingDragged)
+  updateHitTimer(char, tick)
+  playAnimation(char, tick)
+}
+
+// Returns { handle } - handle(message) applies a message and returns the answer to a step
+export const createSimulation = () => {
+  const characters = []
+  const byUsername = new Map()
+  let aggressiveness = 0.5
+  let formation = null // { usernames, clusterId } of the cluster lining up, or null
+  let held = null // The character being dragged (see dragging.js)
+  let original = null // The viewer's own player model (see originalPlayer.js)
+  let events = []
+
+  // Neighbour lookups for the behaviour code - where characters are and where they're headed
+  const characterGrid = createSpatialGrid(NEIGHBOR_CELL_SIZE)
+  const targetGrid = createSpatialGrid(NEIGHBOR_CELL_SIZE)
+  const hitTargetCounts = new Map() // Character -> how many others are out to hit them
+
+  // Walk target searches (see targetSearch.js): characters ask during a step, the search runs after
+  // it and the answers are handed out at the start of the next one
+  const requested = new Set() // Characters waiting for a target
+  let targetRequests = []
+  let pickedTargets = null // { chars, targets }
+
+  const requestTarget = (char) => {
+    if (requested.has(char)) return
+    requested.add(char)
+    targetRequests.push(char)
+  }
+
+  const searchTargets = () => {
+    if (targetRequests.length === 0) return
+    const indices = new Map(characters.map((char, index) => [char, index]))
+    const chars = targetRequests.filter(char => indices.has(char))
+    targetRequests = []
+    if (chars.length === 0) return
+    const requests = Int32Array.from(chars.map(char => indices.get(char)))
+    pickedTargets = { chars, targets: pickTargets(packCharacterStates(characters), requests) }
+  }
+
+  // New walk targets - unless the character has found something better to do since it asked
+  const applyTargets = () => {
+    if (!pickedTargets) return
+    const { chars, targets } = pickedTargets
+    pickedTargets = null
+    chars.forEach((char, i) => {
+      requested.delete(char)
+      if (char.hitTargetPlayer || char.formationMode || char.animationState === ANIMATION_STATES.IDLE) return
+      char.path.targetX = targets[i * 2]
+      char.path.targetZ = targets[i * 2 + 1]
+    })
+  }
+
+  const tick = {
+    deltaTime: 0,
+    stepScale: 1,
+    baseMoveSpeed: BASE_MOVE_SPEED,
+    characters,
+    characterGrid,
+    targetGrid,
+    hitTargetCounts,
+    aggressiveness,
+    formation,
+    isBeingDragged: (char) => Boolean(held && held.char === char && held.moved),
+    requestTarget,
+    emit: (event) => events.push(event)
+  }
+
+  const step = (deltaTime) => {
+    tick.deltaTime = deltaTime
+    tick.stepScale = deltaTime * TUNED_STEP_RATE // 1 at the default rate - for amounts tuned per step
+    tick.aggressiveness = aggressiveness
+    tick.formation = formation
+
+    // If nobody is online, the original player walks around instead
+    if (characters.length === 0) {
+      if (original) updateOriginalPlayer(original, tick)
+      return
+    }
+
+    if (formation) updateFormationTargets(characters, formation)
+    applyTargets()
+
+    // Rebuild the spatial grids - every neighbour scan goes through them
+    characterGrid.clear()
+    targetGrid.clear()
+    hitTargetCounts.clear()
+    characters.forEach(char => {
+      characterGrid.insert(char, char.path.x, char.path.z)
+      if (char.path.targetX !== undefined && char.path.targetZ !== undefined) {
+        targetGrid.insert(char, char.path.targetX, char.path.targetZ)
+      }
+      if (char.hitTargetPlayer) {
+        hitTargetCounts.set(char.hitTargetPlayer, (hitTargetCounts.get(char.hitTargetPlayer) || 0) + 1)
+      }
+    })
+
+    characters.forEach(char => stepCharacter(char, tick))
+    searchTargets()
+  }
+
+  const add = ({ username, state, transform, pose }) => {
+    const char = createCharacterState(username, state, transform, pose)
+    characters.push(char)
+    byUsername.set(username, char)
+  }
+
+  const remove = (username) => {
+    const char = byUsername.get(username)
+    if (!char) return
+    byUsername.delete(username)
+    characters.splice(characters.indexOf(char), 1)
+    requested.delete(char)
+    if (held && held.char === char) held = null
+  }
+
+  const handle = (message) => {
+    const char = message.username !== undefined ? byUsername.get(message.username) : null
+    switch (message.type) {
+      case 'add':
+        if (!char) add(message)
+        return
+      case 'remove':
+        remove(message.username)
+        return
+      case 'login':
+        if (char) beginLogin(char, message.effect)
+        return
+      case 'logout':
+        if (char) beginLogout(char)
+        return
+      case 'cancelLogout':
+        if (char) cancelLogout(char)
+        return
+      case 'grab':
+        held = char ? grab(char, message.point, message.time) : null
+        return
+      case 'drag':
+        if (held) drag(held, message.point, message.moved, message.time)
+        return
+      case 'release':
+        if (held) release(held, message)
+        held = null
+        return
+      case 'cancelDrag':
+        held = null
+        return
+      case 'hit':
+        if (char) hitByUser(char, message.cameraDirection)
+        return
+      case 'options':
+        aggressiveness = message.aggressiveness
+        return
+      case 'formation':
+        formation = message.formation
+        return
+      case 'endFormation':
+        formation = null
+        endFormation(characters)
+        return
+      case 'original':
+        original = message.pose ? createOriginalPlayer(message.pose) : null
+        return
+      case 'step': {
+        // Everyone as they were before the last step, and after it
+        let previous = null
+        let previousOriginal = null
+        for (let i = 0; i < message.steps; i++) {
+          if (i === message.steps - 1) {
+            previous = packSnapshot(characters)
+            previousOriginal = original && characters.length === 0 ? packOriginalPose(original) : null
+          }
+          step(message.deltaTime)
+        }
+        const current = packSnapshot(characters)
+        const showOriginal = original && characters.length === 0 && previousOriginal
+        const reply = {
+          usernames: characters.map(c => c.username),
+          previous: previous || current,
+          current,
+          original: showOriginal ? { previous: previousOriginal, current: packOriginalPose(original) } : null,
+          events
+        }
+        events = []
+        return reply
+      }
+      default:
+        console.warn('Unknown simulation message:', message.type)
+    }
+  }
+
+  return { handle }
+}
@@ -0,0 +1,225 @@
+// Simulation client - runs the character simulation (simulation.js) in a Web Worker
+// (simulationWorker.js), so walking, fighting and pathfinding don't eat into the frame budget
+//
+// The main thread tells the simulation what happened (characters coming and going, pointer input,
+// settings) and asks for steps; the answer to a step is a snapshot of where every character is and
+// how it's posed, which draw() puts on the Three.js models. One step is in flight at a time - steps
+// asked for meanwhile are sent together once it's back.
+// Where workers aren't available, or the worker fails, the same simulation runs on the main thread.
+
+import { FLAGS, getPoseParts, packPose, SNAPSHOT_FADE, SNAPSHOT_FIELDS, SNAPSHOT_FLAGS, TRANSFORM_FIELDS } from './characterState'
+import { createSimulation } from './simulation'
+
+// Most simulation time that can queue up behind a slow step - the rest is dropped, like a long frame
+const MAX_PENDING_TIME = 0.25
+
+const lerp = (from, to, t) => from + (to - from) * t
+
+// Angles go the short way round
+const lerpAngle = (from, to, t) => {
+  let diff = (to - from) % (Math.PI * 2)
+  if (diff > Math.PI) diff -= Math.PI * 2
+  if (diff < -Math.PI) diff += Math.PI * 2
+  return from + diff * t
+}
+
+// Put object t (0-1) of the way between two packed transforms at offset
+const lerpTransform = (object, from, to, offset, t) => {
+  object.position.set(
+    lerp(from[offset], to[offset], t),
+    lerp(from[offset + 1], to[offset + 1], t),
+    lerp(from[offset + 2], to[offset + 2], t)
+  )
+  object.rotation.set(
+    lerpAngle(from[offset + 3], to[offset + 3], t),
+    lerpAngle(from[offset + 4], to[offset + 4], t),
+    lerpAngle(from[offset + 5], to[offset + 5], t)
+  )
+}
+
+const lerpPose = (player, from, to, offset, t) => {
+  getPoseParts(player).forEach((part, i) => {
+    if (part) lerpTransform(part, from, to, offset + i * TRANSFORM_FIELDS, t)
+  })
+}
+
+// onEvent(event) gets what happened during the steps: { type: 'death', username },
+// { type: 'poof', x, y, z, height } and { type: 'logoutFinished', username }
+// Returns { add, remove, login, logout, cancelLogout, grab, drag, cancelDrag, release, hit,
+// setOptions, setFormation, endFormation, setOriginal, step, draw, dispose }
+export const createSimulationClient = ({ onEvent }) => {
+  // What the simulation needs to start over on the main thread if the worker fails
+  const added = new Map() // Username -> add message
+  let options = null
+  let formation = null
+  let original = null
+
+  let latest = null // The last step's answer
+  let latestIndices = new Map() // Username -> index in its snapshots
+  let stepInFlight = false
+  let pendingSteps = 0
+  let pendingDeltaTime = 0
+  let local = null // The simulation, when it runs on the main thread
+
+  const receive = (reply) => {
+    stepInFlight = false
+    latest = reply
+    latestIndices = new Map(reply.usernames.map((username, i) => [username, i]))
+    reply.events.forEach(onEvent)
+    if (pendingSteps > 0) {
+      const steps = pendingSteps
+      pendingSteps = 0
+      step(steps, pendingDeltaTime)
+    }
+  }
+
+  const runLocally = (message) => {
+    const reply = local.handle(message)
+    if (reply) receive(reply)
+  }
+
+  const startLocally = () => {
+    local = createSimulation()
+    added.forEach(message => {
+      // Pick up from where the worker last had them
+      const i = latestIndices.get(message.username)
+      if (!latest || i === undefined) {
+        local.handle(message)
+        return
+      }
+      const base = i * SNAPSHOT_FIELDS
+      const current = latest.current
+      const transform = { x: current[base], y: current[base + 1], z: current[base + 2], rotationY: current[base + 4] }
+      local.handle({ ...message, transform })
+    })
+    if (options) local.handle(options)
+    if (formation) local.handle(formation)
+    if (original) local.handle(original)
+  }
+
+  let worker = null
+  if (typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' })
+      worker.addEventListener('message', ({ data }) => receive(data))
+      worker.addEventListener('error', (event) => {
+        console.warn('Simulation worker failed, running the simulation on the main thread:', event.message)
+        worker.terminate()
+        worker = null
+        startLocally()
+        stepInFlight = false
+      })
+    } catch (error) {
+      console.warn('Simulation worker unavailable, running the simulation on the main thread:', error.message)
+      worker = null
+    }
+  }
+  if (!worker) startLocally()
+
+  const post = (message) => {
+    if (worker) {
+      worker.postMessage(message)
+    } else if (local) {
+      runLocally(message)
+    }
+  }
+
+  // A new character: char is its main-thread character (username, group and player), state its
+  // initial behaviour state (path, animation state, timers - plain data only)
+  const add = (char, state) => {
+    const group = char.group
+    const message = {
+      type: 'add',
+      username: char.username,
+      state,
+      transform: { x: group.position.x, y: group.position.y, z: group.position.z, rotationY: group.rotation.y },
+      pose: packPose(char.player)
+    }
+    added.set(char.username, message)
+    post(message)
+  }
+
+  const remove = (username) => {
+    added.delete(username)
+    post({ type: 'remove', username })
+  }
+
+  // Run the simulation for steps fixed steps of deltaTime seconds each
+  const step = (steps, deltaTime) => {
+    if (steps <= 0) return
+    if (stepInFlight) {
+      pendingSteps = Math.min(pendingSteps + steps, Math.ceil(MAX_PENDING_TIME / deltaTime))
+      pendingDeltaTime = deltaTime
+      return
+    }
+    stepInFlight = true
+    post({ type: 'step', steps, deltaTime })
+  }
+
+  // Put the latest snapshot on the characters, alpha (0-1) of the way through its last step, and
+  // copy what the main thread shows for them: char.fade (0-1), char.tinted, char.isThrown,
+  // char.isDying and char.entering. originalPlayer is posed too while nobody is online.
+  const draw = (characters, alpha, originalPlayer) => {
+    if (!latest) return
+    const { previous, current } = latest
+    characters.forEach(char => {
+      const i = latestIndices.get(char.username)
+      if (i === undefined || !char.group || !char.player) return
+      const base = i * SNAPSHOT_FIELDS
+      lerpTransform(char.group, previous, current, base, alpha)
+      lerpPose(char.player, previous, current, base + TRANSFORM_FIELDS, alpha)
+      char.fade = current[base + SNAPSHOT_FADE]
+      const flags = current[base + SNAPSHOT_FLAGS]
+      char.tinted = Boolean(flags & FLAGS.TINTED)
+      char.isThrown = Boolean(flags & FLAGS.THROWN)
+      char.isDying = Boolean(flags & FLAGS.DYING)
+      char.entering = Boolean(flags & FLAGS.ENTERING)
+    })
+    if (latest.original && originalPlayer) {
+      lerpPose(originalPlayer, latest.original.previous, latest.original.current, 0, alpha)
+    }
+  }
+
+  const dispose = () => {
+    if (worker) worker.terminate()
+    worker = null
+    local = null
+    added.clear()
+    latest = null
+  }
+
+  return {
+    add,
+    remove,
+    login: (username, effect) => post({ type: 'login', username, effect }),
+    logout: (username) => post({ type: 'logout', username }),
+    cancelLogout: (username) => post({ type: 'cancelLogout', username }),
+    // Pointer input (see dragging.js) - points are { x, z } on the ground, times from Date.now()
+    grab: (username, point, time) => post({ type: 'grab', username, point, time }),
+    drag: (point, moved, time) => post({ type: 'drag', point, moved, time }),
+    cancelDrag: () => post({ type: 'cancelDrag' }),
+    release: (tap, cameraDirection) => post({ type: 'release', tap, cameraDirection }),
+    hit: (username, cameraDirection) => post({ type: 'hit', username, cameraDirection }),
+    setOptions: ({ aggressiveness }) => {
+      options = { type: 'options', aggressiveness }
+      post(options)
+    },
+    // formation: { usernames, clusterId } of the cluster to line up, or null
+    setFormation: (value) => {
+      formation = { type: 'formation', formation: value }
+      post(formation)
+    },
+    endFormation: () => {
+      formation = null
+      post({ type: 'endFormation' })
+    },
+    // The viewer's own player model walks around while nobody is online
+    setOriginal: (player) => {
+      original = { type: 'original', pose: player ? packPose(player) : null }
+      post(original)
+    },
+    step,
+    draw,
+    dispose
+  }
+}
@@ -0,0 +1,18 @@
+// Simulation worker - runs the character simulation (simulation.js) off the main thread
+// Messages in and out: see simulation.js
+
+import { createSimulation } from './simulation'
+
+const simulation = createSimulation()
+
+self.addEventListener('message', ({ data }) => {
+  const reply = simulation.handle(data)
+  if (!reply) return
+  // Hand the snapshots over instead of copying them
+  const buffers = new Set([reply.previous.buffer, reply.current.buffer])
+  if (reply.original) {
+    buffers.add(reply.original.previous.buffer)
+    buffers.add(reply.original.current.buffer)
+  }
+  self.postMessage(reply, Array.from(buffers))
+})
@@ -0,0 +1,8 @@
+// Step timing shared by the simulation and the animation loop that drives it
+
+// Steps a second the per-step amounts in the simulation (walking speed, turn and catch-up rates)
+// were tuned at - other simulationRates scale them, so everyone moves at the same real speed
+export const TUNED_STEP_RATE = 24
+
+// A per-step "move this share of the way" factor for a step stepScale times as long as the tuned one
+export const stepLerpFactor = (factor, stepScale) => 1 - Math.pow(1 - factor, stepScale)
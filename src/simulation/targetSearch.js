@@ -0,0 +1,128 @@
+// Walk target search - picks somewhere to walk to in the least crowded part of the field, away from
+// where everyone else is headed. Works on packed character states (see characterState.js) only,
+// so it runs the same in the simulation worker and on the main thread.
+
+import { createSpatialGrid } from '../components/spatialGrid'
+import { STATE_FIELDS } from './characterState'
+
+const MAX_TARGET_DISTANCE = 450 // Keep targets within screen bounds
+const MIN_TARGET_DISTANCE = 120 // Minimum distance from current position (ensures considerable movement)
+const DENSITY_RADIUS = 120 // How far around a candidate other characters count as crowding it
+const TARGET_AVOID_RADIUS = 100 // How far around a candidate other targets count against it
+const CANDIDATES = 25
+const GRID_CELL_SIZE = 50
+
+// Pick new targets for the characters at the given indices of states
+// Returns a Float32Array with x, z for each request, in order
+export const pickTargets = (states, requests) => {
+  const count = states.length / STATE_FIELDS
+  const characterGrid = createSpatialGrid(GRID_CELL_SIZE)
+  const targetGrid = createSpatialGrid(GRID_CELL_SIZE)
+  for (let i = 0; i < count; i++) {
+    const base = i * STATE_FIELDS
+    characterGrid.insert(i, states[base], states[base + 1])
+    if (!Number.isNaN(states[base + 2])) {
+      targetGrid.insert(i, states[base + 2], states[base + 3])
+    }
+  }
+
+  // Characters that got a new target earlier in this batch - later picks avoid those targets
+  // instead of the ones the grid has
+  const retargeted = []
+
+  const targetPenalty = (candidateX, candidateZ, other) => {
+    const base = other * STATE_FIELDS
+    const distToTarget = Math.sqrt((candidateX - states[base + 2]) ** 2 + (candidateZ - states[base + 3]) ** 2)
+    if (distToTarget < TARGET_AVOID_RADIUS && distToTarget > 0) {
+      // Heavy penalty - make it very undesirable to path near other targets
+      return (TARGET_AVOID_RADIUS - distToTarget) / TARGET_AVOID_RADIUS * 3.0
+    }
+    return 0
+  }
+
+  const pickTarget = (index) => {
+    const x = states[index * STATE_FIELDS]
+    const z = states[index * STATE_FIELDS + 1]
+    const candidates = []
+
+    // Sample many potential targets across the entire screen area
+    // Bias towards further distances to spread characters out
+    for (let attempt = 0; attempt < CANDIDATES; attempt++) {
+      const angle = Math.random() * Math.PI * 2
+      // Bias towards further distances: 60% chance to be in outer half, 40% in inner half
+      const distanceBias = Math.random() < 0.6 ? 0.5 : 0.0
+      const radius = (MAX_TARGET_DISTANCE * 0.3) + Math.random() * (MAX_TARGET_DISTANCE * (0.7 + distanceBias))
+      const candidateX = Math.cos(angle) * radius
+      const candidateZ = Math.sin(angle) * radius
+
+      // Ensure candidate is a good distance from current position
+      const distToCandidate = Math.sqrt((candidateX - x) ** 2 + (candidateZ - z) ** 2)
+      if (distToCandidate < MIN_TARGET_DISTANCE) continue
+
+      // Density at the candidate - nearby characters, and strongly other characters' targets
+      let candidateDensity = 0
+      characterGrid.forEachNear(candidateX, candidateZ, DENSITY_RADIUS, (other) => {
+        if (other === index) return
+        const base = other * STATE_FIELDS
+        const distToOther = Math.sqrt((candidateX - states[base]) ** 2 + (candidateZ - states[base + 1]) ** 2)
+        if (distToOther < DENSITY_RADIUS && distToOther > 0) {
+          candidateDensity += (DENSITY_RADIUS - distToOther) / DENSITY_RADIUS
+        }
+      })
+      targetGrid.forEachNear(candidateX, candidateZ, TARGET_AVOID_RADIUS, (other) => {
+        if (other === index || retargeted.includes(other)) return
+        candidateDensity += targetPenalty(candidateX, candidateZ, other)
+      })
+      retargeted.forEach(other => {
+        if (other !== index) candidateDensity += targetPenalty(candidateX, candidateZ, other)
+      })
+
+      // Prefer not to path to bottom of screen (negative Z) - up to 200% density penalty
+      let bottomPenalty = 0
+      if (candidateZ < 0) {
+        bottomPenalty = Math.abs(candidateZ) / MAX_TARGET_DISTANCE * 2.0
+      }
+
+      // Add randomness to prevent all characters choosing the exact same spot
+      const randomNoise = Math.random() * 0.2
+      candidates.push({
+        x: candidateX,
+        z: candidateZ,
+        density: (candidateDensity + bottomPenalty) * (1 + randomNoise)
+      })
+    }
+
+    if (candidates.length === 0) {
+      // Fallback to random target (further from center)
+      const angle = Math.random() * Math.PI * 2
+      const radius = (MAX_TARGET_DISTANCE * 0.5) + Math.random() * (MAX_TARGET_DISTANCE * 0.5)
+      return { x: Math.cos(angle) * radius, z: Math.sin(angle) * radius }
+    }
+
+    // Pick from the top 20% lowest density (most empty areas)
+    candidates.sort((a, b) => a.density - b.density)
+    const topCandidates = candidates.slice(0, Math.max(1, Math.floor(candidates.length * 0.2)))
+    // Among those within 10% of the lowest density, prefer ones far from the current position (70%)
+    // and far from the center (30%)
+    const densityThreshold = topCandidates[0].density * 1.1
+    const bestCandidates = topCandidates.filter(c => c.density <= densityThreshold)
+    bestCandidates.forEach(c => {
+      const distFromCurrent = Math.sqrt((c.x - x) ** 2 + (c.z - z) ** 2)
+      const distFromCenter = Math.sqrt(c.x ** 2 + c.z ** 2)
+      c.combinedDistance = distFromCurrent * 0.7 + distFromCenter * 0.3
+    })
+    bestCandidates.sort((a, b) => b.combinedDistance - a.combinedDistance)
+    return bestCandidates[0] || topCandidates[0]
+  }
+
+  const targets = new Float32Array(requests.length * 2)
+  requests.forEach((index, i) => {
+    const target = pickTarget(index)
+    targets[i * 2] = target.x
+    targets[i * 2 + 1] = target.z
+    states[index * STATE_FIELDS + 2] = target.x
+    states[index * STATE_FIELDS + 3] = target.z
+    retargeted.push(index)
+  })
+  return targets
+}
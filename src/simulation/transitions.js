@@ -0,0 +1,97 @@
+// Login and logout transitions (loginEffect / logoutEffect in the runtime config) - while one plays
+// it takes over the character. The main thread draws the portal; the landing puff is an event.
+
+import { ANIMATION_STATES, IdleAnimation, WalkingAnimationNoHeadBob, WaveAnimation } from './animations'
+
+const DROP_HEIGHT = 200 // Where dropping players start
+const DROP_GRAVITY = 400 // Units per second squared - a drop takes about a second
+export const PORTAL_OPEN_DELAY = 0.4 // Players step out once the portal has opened
+export const PORTAL_WALK_TIME = 1.2 // Seconds spent walking out of the portal
+const PORTAL_WALK_DISTANCE = 24
+const GOODBYE_WAVE_TIME = 1.5 // Seconds of waving before fading out
+const GOODBYE_FADE_TIME = 0.8
+
+// Start a new player's login effect - updateTransition plays it
+export const beginLogin = (char, effect) => {
+  if (effect === 'drop') {
+    char.entering = { effect, velocity: 0 }
+    char.group.position.y = DROP_HEIGHT
+  } else if (effect === 'portal') {
+    char.entering = { effect, timer: -PORTAL_OPEN_DELAY, startX: char.group.position.x, startZ: char.group.position.z }
+    char.transitionFade = 0
+  }
+}
+
+// Wave goodbye and fade out - the main thread removes the character once it's done
+export const beginLogout = (char) => {
+  // Still arriving - skip the rest of the login effect
+  if (char.entering) {
+    char.group.position.y = 0
+    char.transitionFade = 1
+    char.entering = null
+  }
+  char.leaving = { timer: 0 }
+  char.animProgress = 0
+}
+
+// The player logged back in while waving goodbye - keep the character
+export const cancelLogout = (char) => {
+  char.transitionFade = 1
+  char.leaving = null
+  char.animationState = ANIMATION_STATES.WAVE // Wave hello again
+  char.waveDuration = 2.0
+  char.animProgress = 0
+}
+
+// Play a character's login or logout effect - returns true while the effect is in control
+export const updateTransition = (char, tick) => {
+  const deltaTime = tick.deltaTime
+  const group = char.group
+  const player = char.player
+  char.animProgress += deltaTime * char.animSpeed
+
+  if (char.leaving) {
+    const leaving = char.leaving
+    leaving.timer += deltaTime
+    WaveAnimation(player, char.animProgress, char.waveArm || 'left')
+    if (leaving.timer > GOODBYE_WAVE_TIME) {
+      const progress = Math.min((leaving.timer - GOODBYE_WAVE_TIME) / GOODBYE_FADE_TIME, 1)
+      char.transitionFade = 1 - progress
+      if (progress >= 1 && !leaving.finished) {
+        leaving.finished = true
+        tick.emit({ type: 'logoutFinished', username: char.username })
+      }
+    }
+    return true
+  }
+
+  const entering = char.entering
+  if (entering.effect === 'drop') {
+    entering.velocity += DROP_GRAVITY * deltaTime
+    group.position.y = Math.max(0, group.position.y - entering.velocity * deltaTime)
+    IdleAnimation(player, char.animProgress)
+    if (group.position.y <= 0) {
+      // Landing puff
+      tick.emit({ type: 'poof', x: group.position.x, y: group.position.y, z: group.position.z, height: 6 })
+      char.entering = null
+    }
+    return true
+  }
+
+  // Portal: wait for it to open, then walk out of it while fading in
+  entering.timer += deltaTime
+  if (entering.timer < 0) return true
+  const walked = Math.min(entering.timer / PORTAL_WALK_TIME, 1)
+  group.position.x = entering.startX + Math.sin(group.rotation.y) * PORTAL_WALK_DISTANCE * walked
+  group.position.z = entering.startZ + Math.cos(group.rotation.y) * PORTAL_WALK_DISTANCE * walked
+  WalkingAnimationNoHeadBob(player, char.animProgress)
+  char.transitionFade = Math.min(entering.timer / (PORTAL_WALK_TIME / 2), 1)
+  if (walked >= 1) {
+    char.transitionFade = 1
+    char.path.x = group.position.x
+    char.path.z = group.position.z
+    char.lastPosition = { x: group.position.x, z: group.position.z }
+    char.entering = null
+  }
+  return true
+}
@@ -0,0 +1,36 @@
+// Default elytra - a plain grey elytra painted on a canvas, for players with an elytra but no cape
+// Cape textures carry the elytra too (the area right of the cape), so this is a 64x32 cape texture
+// with only the elytra part filled in - the cape itself stays transparent.
+
+let elytraUrl = null
+
+const paintElytra = () => {
+  const canvas = document.createElement('canvas')
+  canvas.width = 64
+  canvas.height = 32
+  const ctx = canvas.getContext('2d')
+
+  // Elytra wing: 10x20x2 box at (22, 0) - top/bottom strip above the four side faces
+  const paintArea = (x, y, width, height) => {
+    for (let px = x; px < x + width; px++) {
+      for (let py = y; py < y + height; py++) {
+        // Lighter towards the wing tip, with a little noise like the vanilla texture
+        const value = 120 + Math.round((py / 22) * 30 + (Math.random() - 0.5) * 14)
+        ctx.fillStyle = `rgb(${value}, ${value}, ${value + 10})`
+        ctx.fillRect(px, py, 1, 1)
+      }
+    }
+  }
+  paintArea(24, 0, 20, 2)
+  paintArea(22, 2, 24, 20)
+
+  return canvas.toDataURL('image/png')
+}
+
+// Data URL of the default elytra texture (painted once)
+export const getDefaultElytraUrl = () => {
+  if (!elytraUrl) {
+    elytraUrl = paintElytra()
+  }
+  return elytraUrl
+}
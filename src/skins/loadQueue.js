@@ -0,0 +1,52 @@
+// Load queue - runs at most a few skin loads at a time, in the order they were queued
+//
+// A server restart brings every player back at once; without a limit that's hundreds of
+// requests at the skin host in the same second. Loads that haven't started yet can be
+// cancelled, so players who leave again before their turn never cost a request.
+
+// getConcurrency() returns how many loads may run at once, so config changes apply straight away
+// Returns { add, cancel, clear, size }
+export const createLoadQueue = (getConcurrency) => {
+  const waiting = [] // { key, task, resolve, reject }
+  let running = 0
+
+  const next = () => {
+    while (running < Math.max(1, getConcurrency() || 1) && waiting.length > 0) {
+      const job = waiting.shift()
+      running++
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--
+          next()
+        })
+    }
+  }
+
+  // Queue task (a function returning a promise) under key - resolves or rejects like the task,
+  // or resolves to null if it's cancelled before it starts
+  const add = (key, task) => new Promise((resolve, reject) => {
+    waiting.push({ key, task, resolve, reject })
+    next()
+  })
+
+  // Drop the waiting loads queued under key - a load that already started runs to the end
+  const cancel = (key) => {
+    for (let i = waiting.length - 1; i >= 0; i--) {
+      if (waiting[i].key === key) {
+        waiting.splice(i, 1)[0].resolve(null)
+      }
+    }
+  }
+
+  // Drop every waiting load
+  const clear = () => {
+    waiting.splice(0).forEach(job => job.resolve(null))
+  }
+
+  // Loads waiting or running
+  const size = () => waiting.length + running
+
+  return { add, cancel, clear, size }
+}
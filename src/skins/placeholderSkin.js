@@ -0,0 +1,44 @@
+// Placeholder skin - a plain grey figure painted on a canvas, worn while a player's real skin
+// is still loading, so they show up straight away instead of after the download
+// The second layer stays transparent; the animation loop makes placeholders shimmer.
+
+let placeholderCanvas = null
+
+// Base layer of each body part on a 64x64 skin: where its box starts in the texture, its size,
+// and how light it's painted
+const BODY_PARTS = [
+  { u: 0, v: 0, width: 8, height: 8, depth: 8, shade: 190 }, // Head
+  { u: 16, v: 16, width: 8, height: 12, depth: 4, shade: 165 }, // Body
+  { u: 40, v: 16, width: 4, height: 12, depth: 4, shade: 175 }, // Right arm
+  { u: 32, v: 48, width: 4, height: 12, depth: 4, shade: 175 }, // Left arm
+  { u: 0, v: 16, width: 4, height: 12, depth: 4, shade: 150 }, // Right leg
+  { u: 16, v: 48, width: 4, height: 12, depth: 4, shade: 150 } // Left leg
+]
+
+const paintPlaceholder = () => {
+  const canvas = document.createElement('canvas')
+  canvas.width = 64
+  canvas.height = 64
+  const ctx = canvas.getContext('2d')
+
+  BODY_PARTS.forEach(({ u, v, width, height, depth, shade }) => {
+    const paintArea = (x, y, areaWidth, areaHeight, value) => {
+      ctx.fillStyle = `rgb(${value}, ${value}, ${value + 8})`
+      ctx.fillRect(x, y, areaWidth, areaHeight)
+    }
+    // Top and bottom, then the four sides - a little darker, so the shape still reads
+    paintArea(u + depth, v, width * 2, depth, shade + 10)
+    paintArea(u, v + depth, (width + depth) * 2, height, shade - 15)
+    paintArea(u + depth, v + depth, width, height, shade)
+  })
+
+  return canvas
+}
+
+// Canvas with the placeholder skin (painted once) - give each character its own CanvasTexture of it
+export const getPlaceholderSkin = () => {
+  if (!placeholderCanvas) {
+    placeholderCanvas = paintPlaceholder()
+  }
+  return placeholderCanvas
+}
@@ -0,0 +1,91 @@
+// Skin atlas - packs many skins into one texture, so distant characters can all be drawn with a
+// single material (see src/components/LodCrowd.js)
+//
+// 2048x2048 holds 1024 skins at 64x64 - HD skins are scaled down, nobody can tell at that distance.
+// Cells are shared by key (the skin's blob URL), so everyone on the same default skin uses one cell.
+// Uploading the atlas to the GPU isn't free, so new cells are collected and uploaded together by
+// flush(); a cell can only be drawn once isUploaded() says it has reached the GPU.
+
+import { CanvasTexture, NearestFilter } from 'three'
+
+const ATLAS_SIZE = 2048
+const CELL_SIZE = 64
+const CELLS_PER_ROW = ATLAS_SIZE / CELL_SIZE
+const MIN_UPLOAD_INTERVAL = 500 // Milliseconds between uploads while skins keep arriving
+
+// Returns { texture, cellSize, acquire, release, isUploaded, flush, dispose }
+// cellSize is the size of a cell in texture coordinates; each cell has an offset to go with it
+export const createSkinAtlas = () => {
+  const canvas = document.createElement('canvas')
+  canvas.width = ATLAS_SIZE
+  canvas.height = ATLAS_SIZE
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingEnabled = false
+
+  // Pixelated like the full model - and no mipmaps, they'd bleed neighbouring skins into each other
+  const texture = new CanvasTexture(canvas)
+  texture.magFilter = NearestFilter
+  texture.minFilter = NearestFilter
+  texture.generateMipmaps = false
+
+  const cellSize = CELL_SIZE / ATLAS_SIZE
+  const cells = new Map() // key -> { key, index, refs, version, offset }
+  const freeCells = []
+  let nextCell = 0
+  let version = 0
+  let uploadedVersion = 0
+  let lastUpload = -Infinity
+
+  // Get the cell for a skin, drawing it into the atlas if it isn't there yet
+  // image is the decoded skin (square); returns null when the atlas is full
+  const acquire = (key, image) => {
+    const existing = cells.get(key)
+    if (existing) {
+      existing.refs++
+      return existing
+    }
+
+    let index = freeCells.pop()
+    if (index === undefined) {
+      if (nextCell >= CELLS_PER_ROW * CELLS_PER_ROW) return null
+      index = nextCell++
+    }
+    const column = index % CELLS_PER_ROW
+    const row = Math.floor(index / CELLS_PER_ROW)
+    const imageSize = image.naturalWidth || image.width
+    ctx.clearRect(column * CELL_SIZE, row * CELL_SIZE, CELL_SIZE, CELL_SIZE)
+    ctx.drawImage(image, 0, 0, imageSize, imageSize, column * CELL_SIZE, row * CELL_SIZE, CELL_SIZE, CELL_SIZE)
+
+    version++
+    // Textures are flipped vertically, so row 0 is at the top (v = 1)
+    const cell = { key, index, refs: 1, version, offset: [column * cellSize, 1 - (row + 1) * cellSize] }
+    cells.set(key, cell)
+    return cell
+  }
+
+  // Give a cell back - it's reused once nobody wears that skin any more
+  const release = (cell) => {
+    if (!cell) return
+    cell.refs--
+    if (cell.refs > 0) return
+    cells.delete(cell.key)
+    freeCells.push(cell.index)
+  }
+
+  const isUploaded = (cell) => cell.version <= uploadedVersion
+
+  // Upload new cells, at most every MIN_UPLOAD_INTERVAL (now in milliseconds)
+  const flush = (now) => {
+    if (version === uploadedVersion || now - lastUpload < MIN_UPLOAD_INTERVAL) return
+    texture.needsUpdate = true
+    uploadedVersion = version
+    lastUpload = now
+  }
+
+  const dispose = () => {
+    texture.dispose()
+    cells.clear()
+  }
+
+  return { texture, cellSize, acquire, release, isUploaded, flush, dispose }
+}
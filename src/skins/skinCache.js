@@ -0,0 +1,199 @@
+// Skin cache - keeps downloaded skins in Cache Storage so returning players don't re-download them
+//
+// A cached skin is used as-is for skinCacheTtl (runtime config), then revalidated with its ETag.
+// A 304 just refreshes the timestamp; if the skin host is down, the stale copy is used instead.
+// Every copy of a skin gets a version (a hash of the image), so a changed skin is easy to spot.
+//
+// Blob URLs handed out by acquireSkinUrl() are reference counted - call releaseSkinUrl() when a
+// character using it is removed, and the URL is revoked once nobody uses it any more.
+
+import { getConfig } from '../config/runtimeConfig'
+
+const CACHE_NAME = 'skinview-skins-v1'
+const CACHED_AT_HEADER = 'X-Skin-Cached-At' // Last time the server confirmed the skin
+const VERSION_HEADER = 'X-Skin-Version' // Changes only when the skin itself changes
+const MAX_ENTRY_AGE = 7 * 24 * 60 * 60 * 1000 // Drop entries nobody has asked for in a week
+
+let cachePromise = null
+
+// Open the cache once (null where Cache Storage isn't available, e.g. plain http)
+const openCache = () => {
+  if (!cachePromise) {
+    cachePromise = (typeof caches === 'undefined' ? Promise.resolve(null) : caches.open(CACHE_NAME))
+      .then(cache => {
+        if (cache) pruneCache(cache)
+        return cache
+      })
+      .catch(error => {
+        console.warn('Skin cache unavailable:', error.message)
+        return null
+      })
+  }
+  return cachePromise
+}
+
+// Remove entries that haven't been revalidated for a long time
+const pruneCache = async (cache) => {
+  try {
+    const requests = await cache.keys()
+    const now = Date.now()
+    for (const request of requests) {
+      const response = await cache.match(request)
+      const cachedAt = Number(response && response.headers.get(CACHED_AT_HEADER))
+      if (!cachedAt || now - cachedAt > MAX_ENTRY_AGE) {
+        await cache.delete(request)
+      }
+    }
+  } catch (error) {
+    console.warn('Skin cache cleanup failed:', error.message)
+  }
+}
+
+// FNV-1a over the image bytes - identical skins get the same version, whatever the host's ETag says
+const hashBlob = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  let hash = 0x811c9dc5
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i]
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return `${(hash >>> 0).toString(16)}-${bytes.length}`
+}
+
+const readBlob = async (response) => {
+  const blob = await response.blob()
+  // Static hosts with an SPA fallback answer missing files with index.html
+  if (blob.type.startsWith('text/')) {
+    throw new Error(`Not an image: ${blob.type}`)
+  }
+  return blob
+}
+
+const storeSkin = async (cache, url, blob, etag, version) => {
+  const headers = {
+    'Content-Type': blob.type || 'image/png',
+    [CACHED_AT_HEADER]: String(Date.now()),
+    [VERSION_HEADER]: version
+  }
+  if (etag) headers.ETag = etag
+  try {
+    await cache.put(url, new Response(blob, { headers }))
+  } catch (error) {
+    // Storage full or blocked - the skin still works, it just isn't cached
+    console.warn('Could not cache skin:', error.message)
+  }
+}
+
+// Only http(s) requests can go in Cache Storage (not data: or blob: URLs)
+const isCacheable = (url) => /^https?:$/.test(new URL(url, window.location.href).protocol)
+
+// Fetch with If-None-Match - if the host doesn't allow that header cross-origin,
+// the preflight fails and we retry with a plain request
+const revalidate = async (url, etag, signal) => {
+  const options = { mode: 'cors', cache: 'no-store', signal }
+  if (!etag) return fetch(url, options)
+  try {
+    return await fetch(url, { ...options, headers: { 'If-None-Match': etag } })
+  } catch (error) {
+    if (signal.aborted) throw error
+    return fetch(url, options)
+  }
+}
+
+const loadSkinBlob = async (url, forceRevalidate, signal) => {
+  const cache = isCacheable(url) ? await openCache() : null
+  if (!cache) {
+    const response = await fetch(url, { mode: 'cors', cache: 'no-cache', signal })
+    if (!response.ok) {
+      throw new Error(`Skin fetch failed: ${response.status}`)
+    }
+    const blob = await readBlob(response)
+    return { blob, version: await hashBlob(blob) }
+  }
+
+  const cached = await cache.match(url)
+  const cachedAt = cached ? Number(cached.headers.get(CACHED_AT_HEADER)) : 0
+  const etag = cached ? cached.headers.get('ETag') : null
+  const version = cached ? cached.headers.get(VERSION_HEADER) : null
+
+  if (cached && !forceRevalidate && Date.now() - cachedAt < getConfig().skinCacheTtl) {
+    return { blob: await cached.blob(), version }
+  }
+
+  let response
+  try {
+    response = await revalidate(url, etag, signal)
+  } catch (error) {
+    if (cached) return { blob: await cached.blob(), version } // Host down - stale beats nothing
+    throw error
+  }
+
+  if (response.status === 304 && cached) {
+    const blob = await cached.blob()
+    await storeSkin(cache, url, blob, etag, version)
+    return { blob, version }
+  }
+  if (!response.ok) {
+    if (cached) return { blob: await cached.blob(), version }
+    throw new Error(`Skin fetch failed: ${response.status}`)
+  }
+
+  const blob = await readBlob(response)
+  const newVersion = await hashBlob(blob)
+  await storeSkin(cache, url, blob, response.headers.get('ETag'), newVersion)
+  return { blob, version: newVersion }
+}
+
+// Fetch a skin through the cache
+// Resolves to { blob, version } - version identifies this copy of the skin
+// With revalidate, the cached copy is checked with the host even if it's still within the TTL
+// A download that takes longer than skinFetchTimeout is aborted and rejects (a cached copy is used
+// instead if there is one), so a hanging host can't hold a load queue slot forever
+export const fetchSkinBlob = async (url, { revalidate: forceRevalidate = false } = {}) => {
+  const timeout = getConfig().skinFetchTimeout
+  const controller = new AbortController()
+  const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null
+  try {
+    return await loadSkinBlob(url, forceRevalidate, controller.signal)
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Skin fetch timed out after ${timeout}ms`)
+    }
+    throw error
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Reference counted blob URLs
+const entriesByObjectUrl = new Map() // objectUrl -> { objectUrl, source, version, refs }
+const currentBySource = new Map() // skin URL -> latest entry, so characters with the same skin share it
+
+// Get a blob URL for a skin, reusing the existing one if it's the same copy of the skin
+export const acquireSkinUrl = (source, version, blob) => {
+  const current = currentBySource.get(source)
+  if (current && version && current.version === version) {
+    current.refs++
+    return current.objectUrl
+  }
+
+  const entry = { objectUrl: URL.createObjectURL(blob), source, version, refs: 1 }
+  entriesByObjectUrl.set(entry.objectUrl, entry)
+  currentBySource.set(source, entry)
+  return entry.objectUrl
+}
+
+// Release a blob URL from acquireSkinUrl() - anything else (data: URLs) is ignored
+export const releaseSkinUrl = (objectUrl) => {
+  const entry = entriesByObjectUrl.get(objectUrl)
+  if (!entry) return
+
+  entry.refs--
+  if (entry.refs > 0) return
+
+  URL.revokeObjectURL(entry.objectUrl)
+  entriesByObjectUrl.delete(entry.objectUrl)
+  if (currentBySource.get(entry.source) === entry) {
+    currentBySource.delete(entry.source)
+  }
+}
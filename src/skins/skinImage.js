@@ -0,0 +1,92 @@
+// Skin image validation - decodes a downloaded skin and makes sure it's something we can render
+//
+// Accepted: 64x64 skins, legacy 64x32 skins, and HD versions of both (any multiple of 64 up to 1024).
+// Legacy skins are converted to the 64x64 layout the model expects: the left arm and leg
+// didn't have their own texture back then, so they're mirrored from the right ones.
+// Anything else - the wrong size, or not an image at all - is rejected, so the provider chain
+// can move on instead of rendering garbage.
+
+const MAX_SKIN_WIDTH = 1024
+
+// Legacy layout: [sourceX, sourceY, width, height, targetX, targetY] on a 64px-wide skin,
+// each face copied mirrored from the right limb to the left one
+const LEGACY_LIMB_FACES = [
+  [4, 16, 4, 4, 20, 48], // Leg top
+  [8, 16, 4, 4, 24, 48], // Leg bottom
+  [0, 20, 4, 12, 24, 52], // Leg outside
+  [4, 20, 4, 12, 20, 52], // Leg front
+  [8, 20, 4, 12, 16, 52], // Leg inside
+  [12, 20, 4, 12, 28, 52], // Leg back
+  [44, 16, 4, 4, 36, 48], // Arm top
+  [48, 16, 4, 4, 40, 48], // Arm bottom
+  [40, 20, 4, 12, 40, 52], // Arm outside
+  [44, 20, 4, 12, 36, 52], // Arm front
+  [48, 20, 4, 12, 32, 52], // Arm inside
+  [52, 20, 4, 12, 44, 52] // Arm back
+]
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image()
+  image.crossOrigin = 'anonymous'
+  image.onload = () => resolve(image)
+  image.onerror = () => reject(new Error('Not a valid image'))
+  image.src = url
+})
+
+// Size check - throws with the reason if this can't be a skin
+const validateSize = (width, height) => {
+  if (!width || !height) {
+    throw new Error('Empty image')
+  }
+  if (width % 64 !== 0 || width > MAX_SKIN_WIDTH) {
+    throw new Error(`Unsupported skin size ${width}x${height}`)
+  }
+  if (height !== width && height !== width / 2) {
+    throw new Error(`Unsupported skin size ${width}x${height}`)
+  }
+}
+
+// Old skins often have an opaque hat layer (usually solid black), which would hide the face.
+// Like the game, a hat layer without a single transparent pixel is cleared.
+const clearOpaqueHat = (ctx, scale) => {
+  const hat = ctx.getImageData(32 * scale, 0, 32 * scale, 16 * scale).data
+  for (let i = 3; i < hat.length; i += 4) {
+    if (hat[i] < 128) return
+  }
+  ctx.clearRect(32 * scale, 0, 32 * scale, 16 * scale)
+}
+
+// Redraw a legacy 64x32 skin in the 64x64 layout
+const convertLegacySkin = (image, width) => {
+  const scale = width / 64
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = width
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.imageSmoothingEnabled = false
+  ctx.drawImage(image, 0, 0)
+  clearOpaqueHat(ctx, scale)
+
+  LEGACY_LIMB_FACES.forEach(([sx, sy, w, h, tx, ty]) => {
+    ctx.save()
+    ctx.translate((tx + w) * scale, ty * scale)
+    ctx.scale(-1, 1)
+    ctx.drawImage(image, sx * scale, sy * scale, w * scale, h * scale, 0, 0, w * scale, h * scale)
+    ctx.restore()
+  })
+  return canvas
+}
+
+// Decode and validate a skin URL (blob: or data: URLs from the skin cache)
+// Resolves to { image, legacy } - image is ready for a three.js Texture. Rejects if it isn't a usable skin.
+export const decodeSkin = async (url) => {
+  const image = await loadImage(url)
+  const width = image.naturalWidth
+  const height = image.naturalHeight
+  validateSize(width, height)
+
+  if (height === width / 2) {
+    return { image: convertLegacySkin(image, width), legacy: true }
+  }
+  return { image, legacy: false }
+}
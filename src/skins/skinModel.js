@@ -0,0 +1,61 @@
+// Arm model detection - slim (Alex, 3px arms) or classic (Steve, 4px arms)
+//
+// Slim skins leave a 1px-wide strip of each arm's texture unused:
+//   right arm: (50,16) 2x4 and (54,20) 2x12    left arm: (42,48) 2x4 and (46,52) 2x12
+// The base layer isn't allowed to be transparent, so any transparent pixel there means
+// the skin was drawn for slim arms. Some editors fill the unused strips with black instead.
+// Same check skinview-utils uses, without pulling in its image processing.
+
+const SLIM_ONLY_AREAS = [
+  [50, 16, 2, 4],
+  [54, 20, 2, 12],
+  [42, 48, 2, 4],
+  [46, 52, 2, 12]
+]
+
+// Detect the model of a loaded skin image - returns 'slim' or 'classic'
+export const detectSkinModel = (image) => {
+  const width = image.naturalWidth || image.width
+  const height = image.naturalHeight || image.height
+  // Legacy 64x32 skins predate slim arms
+  if (!width || height !== width) return 'classic'
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  if (!ctx) return 'classic'
+  ctx.drawImage(image, 0, 0)
+
+  const scale = width / 64
+  const areas = SLIM_ONLY_AREAS.map(([x, y, w, h]) =>
+    ctx.getImageData(x * scale, y * scale, w * scale, h * scale).data
+  )
+
+  const hasTransparency = (data) => {
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] !== 255) return true
+    }
+    return false
+  }
+  const isBlack = (data) => {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 0 || data[i + 3] !== 255) return false
+    }
+    return true
+  }
+
+  if (areas.some(hasTransparency) || areas.every(isBlack)) {
+    return 'slim'
+  }
+  return 'classic'
+}
+
+// Pick the model for a character: a default skin's own model, then the model the player
+// source reported, then whatever the skin's pixels say (legacy skins are always classic)
+export const resolveSkinModel = (skin, player, image) => {
+  if (skin.isDefault && skin.model) return skin.model
+  if (skin.legacy) return 'classic'
+  if (player.model) return player.model
+  return detectSkinModel(image)
+}
@@ -0,0 +1,200 @@
+// Skin provider chain - tries each skin source in turn so a player always shows up
+//
+//   1. The player's own skinUrl, if the source sent one
+//   2. Every template in skinProviders from the runtime config, in order
+//      ({username} and {uuid} are filled in; templates using {uuid} are skipped for players without one)
+//   3. The player's default skin, from the set bundled in public/skins/default/ (same names and
+//      picking as vanilla's, with our own artwork - Mojang's files can be dropped in instead)
+//   4. The placeholder skin, if even the default skin can't be loaded
+//
+// A skin only counts once it decodes as a valid skin image (see skinImage.js) - a provider
+// returning a broken image or the wrong size is skipped like one that's down.
+// Players who end up on a default skin are reported - in the console, and to the viewer's settings
+// menu through subscribeSkinFallbacks().
+//
+// Capes only go through steps 1 and 2, with the player's capeUrl and the capeProviders templates -
+// there's no default cape, most players simply don't have one.
+
+import { getConfig } from '../config/runtimeConfig'
+import { getDefaultElytraUrl } from './defaultElytra'
+import { acquireSkinUrl, fetchSkinBlob, releaseSkinUrl } from './skinCache'
+import { getPlaceholderSkin } from './placeholderSkin'
+import { decodeSkin } from './skinImage'
+
+// Vanilla default skins in the order the game picks from: the 9 slim variants, then the 9 wide ones
+const DEFAULT_SKIN_NAMES = ['alex', 'ari', 'efe', 'kai', 'makena', 'noor', 'steve', 'sunny', 'zuri']
+
+// Where the default skins are, e.g. /skins/default/steve_wide.png
+export const DEFAULT_SKIN_PATH = '/skins/default/{name}_{variant}.png'
+
+// Java's String.hashCode()
+const hashString = (text) => {
+  let hash = 0
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(31, hash) + text.charCodeAt(i)) | 0
+  }
+  return hash
+}
+
+// Java's UUID.hashCode(), or null if this isn't a valid UUID
+const hashUuid = (uuid) => {
+  const hex = String(uuid).replace(/-/g, '')
+  if (!/^[0-9a-f]{32}$/i.test(hex)) return null
+  const most = BigInt.asIntN(64, BigInt(`0x${hex.slice(0, 16)}`))
+  const least = BigInt.asIntN(64, BigInt(`0x${hex.slice(16)}`))
+  const hilo = most ^ least
+  return Number(BigInt.asIntN(32, (hilo >> 32n) ^ hilo))
+}
+
+// Pick the player's default skin the way vanilla does - from the UUID hash, or the username
+// hash for players without a UUID - so the same player always gets the same skin
+export const getDefaultSkin = (player) => {
+  const uuidHash = player.uuid ? hashUuid(player.uuid) : null
+  const hash = uuidHash !== null ? uuidHash : hashString(player.username)
+  const count = DEFAULT_SKIN_NAMES.length * 2
+  const index = ((hash % count) + count) % count
+  const slim = index < DEFAULT_SKIN_NAMES.length
+  return {
+    index,
+    name: DEFAULT_SKIN_NAMES[index % DEFAULT_SKIN_NAMES.length],
+    model: slim ? 'slim' : 'classic',
+    url: DEFAULT_SKIN_PATH
+      .replace('{name}', DEFAULT_SKIN_NAMES[index % DEFAULT_SKIN_NAMES.length])
+      .replace('{variant}', slim ? 'slim' : 'wide')
+  }
+}
+
+// Fill in {username} and {uuid} for every template that can be used for this player
+const fillTemplates = (templates, player) => {
+  const uuid = player.uuid ? String(player.uuid).replace(/-/g, '') : null
+  return templates
+    .filter(template => uuid || !template.includes('{uuid}'))
+    .map(template => template
+      .replace('{username}', encodeURIComponent(player.username))
+      .replace('{uuid}', uuid))
+}
+
+// Skin URLs to try for a player, in order
+export const getSkinUrls = (player) => {
+  const urls = []
+  if (player.skinUrl) {
+    urls.push(player.skinUrl)
+  }
+  return urls.concat(fillTemplates(getConfig().skinProviders, player))
+}
+
+// Cape URLs to try for a player, in order: the player's own capeUrl, then the capeProviders templates
+export const getCapeUrls = (player) => {
+  const urls = player.capeUrl ? [player.capeUrl] : []
+  return urls.concat(fillTemplates(getConfig().capeProviders, player))
+}
+
+// Fetch a skin (through the skin cache) and return a blob URL for it
+// The same copy of a skin always gets the same blob URL, so an unchanged skin is easy to spot
+const fetchSkin = async (url, options) => {
+  const { blob, version } = await fetchSkinBlob(url, options)
+  return acquireSkinUrl(url, version, blob)
+}
+
+// Fetch a skin and check it's usable - resolves to { url, image, legacy }
+const fetchValidSkin = async (url, options) => {
+  const objectUrl = await fetchSkin(url, options)
+  try {
+    return { url: objectUrl, ...await decodeSkin(objectUrl) }
+  } catch (error) {
+    releaseSkinUrl(objectUrl)
+    throw error
+  }
+}
+
+// Players currently on a default skin: username -> reason their own skin wasn't used
+const fallbacks = new Map()
+const fallbackListeners = new Set()
+let pendingReport = []
+let reportTimer = null
+
+const notifyFallbackListeners = () => {
+  fallbackListeners.forEach(listener => listener())
+}
+
+// Collect fallbacks for a moment and log them together - a sync can bring in dozens at once
+const reportFallback = (username, reason) => {
+  const isNew = !fallbacks.has(username)
+  const changed = fallbacks.get(username) !== reason
+  fallbacks.set(username, reason)
+  if (changed) notifyFallbackListeners()
+  if (!isNew) return
+
+  pendingReport.push(username)
+  if (reportTimer) return
+  reportTimer = setTimeout(() => {
+    console.warn(`Default skins used for ${pendingReport.length} player(s): ${pendingReport.join(', ')}`)
+    pendingReport = []
+    reportTimer = null
+  }, 2000)
+}
+
+// Players whose own skin couldn't be used, as a Map of username -> reason
+export const getSkinFallbacks = () => new Map(fallbacks)
+
+// Call listener() whenever getSkinFallbacks() changes - returns an unsubscribe function
+export const subscribeSkinFallbacks = (listener) => {
+  fallbackListeners.add(listener)
+  return () => fallbackListeners.delete(listener)
+}
+
+// Forget a player who has left
+export const clearSkinFallback = (username) => {
+  if (fallbacks.delete(username)) notifyFallbackListeners()
+}
+
+// Load a player's skin from the first provider that has a valid one
+// Resolves to { url, image, provider, isDefault, legacy, model } - image is the decoded skin
+// (legacy 64x32 skins already converted), model is only set for default skins, where we know
+// which arm width the skin was drawn for. Never rejects.
+// Pass url to releaseSkinUrl() (src/skins/skinCache.js) once the skin is no longer used.
+// options.revalidate checks cached skins with their host even if they're still fresh.
+export const loadSkin = async (player, options = {}) => {
+  let reason = 'No skin providers'
+  for (const url of getSkinUrls(player)) {
+    try {
+      const skin = await fetchValidSkin(url, options)
+      clearSkinFallback(player.username)
+      return { ...skin, provider: url, isDefault: false }
+    } catch (error) {
+      reason = error.message
+      console.warn(`Skin provider failed for ${player.username} (${url}):`, error.message)
+    }
+  }
+  reportFallback(player.username, reason)
+
+  const defaultSkin = getDefaultSkin(player)
+  try {
+    const skin = await fetchValidSkin(defaultSkin.url, options)
+    return { ...skin, provider: 'default', isDefault: true, model: defaultSkin.model }
+  } catch (error) {
+    // Default skins missing from the deployment - the placeholder still gets the player on screen
+    console.warn(`Default skin ${defaultSkin.url} not available, using the placeholder skin for ${player.username}`)
+    const url = getPlaceholderSkin().toDataURL('image/png')
+    const skin = await decodeSkin(url)
+    return { url, ...skin, provider: 'placeholder', isDefault: true, model: 'classic' }
+  }
+}
+
+// Load a player's cape from the first cape provider that has one
+// Resolves to { url, provider, isDefault }, or null for players without a cape. Never rejects.
+// Players with an elytra but no cape get the plain default elytra (isDefault, nothing to show as a cape).
+// Pass url to releaseSkinUrl() once the cape is no longer used, like skins.
+export const loadCape = async (player, options = {}) => {
+  for (const url of getCapeUrls(player)) {
+    try {
+      return { url: await fetchSkin(url, options), provider: url, isDefault: false }
+    } catch (error) {
+      // Most players don't have a cape - a missing one isn't worth a warning
+    }
+  }
+  if (player.elytra) {
+    return { url: getDefaultElytraUrl(), provider: 'default', isDefault: true }
+  }
+  return null
+}
@@ -0,0 +1,156 @@
+// Voxel outer layer - turns the skin's second layer (hat, jacket, sleeves, trousers) into real
+// 3D pixels standing out from the body, like the "3D skin layers" mods, instead of flat boxes
+//
+// Each body part gets one merged mesh coloured per vertex, so a character is six extra draw
+// calls. Only the outside of each pixel is built, plus its edges where the neighbouring pixel
+// is empty - the faces in between can never be seen.
+
+import { BufferGeometry, Float32BufferAttribute, Mesh, MeshStandardMaterial } from 'three'
+
+const VOXEL_DEPTH = 1 // How far a pixel sticks out, in skin pixels
+const SURFACE_GAP = 0.05 // Between the body and its voxels, against z-fighting
+
+// Second layer of each body part: where it starts in the texture and the size of the box it
+// wraps (arms are 3 wide on slim skins) - same layout skinview3d uses for the flat layer
+const PART_LAYOUTS = {
+  head: { u: 32, v: 0, width: 8, height: 8, depth: 8 },
+  body: { u: 16, v: 32, width: 8, height: 12, depth: 4 },
+  rightArm: { u: 40, v: 32, width: 4, slimWidth: 3, height: 12, depth: 4 },
+  leftArm: { u: 48, v: 48, width: 4, slimWidth: 3, height: 12, depth: 4 },
+  rightLeg: { u: 0, v: 32, width: 4, height: 12, depth: 4 },
+  leftLeg: { u: 0, v: 48, width: 4, height: 12, depth: 4 }
+}
+
+// The six faces of a box: texture rectangle [x, y, width, height], the 3D corner where the
+// rectangle's top-left pixel sits, which way its columns and rows run, and the outward normal
+const getFaces = (u, v, w, h, d) => [
+  { rect: [u, v + d, d, h], corner: [-w / 2, h / 2, -d / 2], across: [0, 0, 1], down: [0, -1, 0], normal: [-1, 0, 0] },
+  { rect: [u + d, v + d, w, h], corner: [-w / 2, h / 2, d / 2], across: [1, 0, 0], down: [0, -1, 0], normal: [0, 0, 1] },
+  { rect: [u + d + w, v + d, d, h], corner: [w / 2, h / 2, d / 2], across: [0, 0, -1], down: [0, -1, 0], normal: [1, 0, 0] },
+  { rect: [u + d * 2 + w, v + d, w, h], corner: [w / 2, h / 2, -d / 2], across: [-1, 0, 0], down: [0, -1, 0], normal: [0, 0, -1] },
+  { rect: [u + d, v, w, d], corner: [-w / 2, h / 2, -d / 2], across: [1, 0, 0], down: [0, 0, 1], normal: [0, 1, 0] },
+  { rect: [u + d + w, v, w, d], corner: [-w / 2, -h / 2, -d / 2], across: [1, 0, 0], down: [0, 0, 1], normal: [0, -1, 0] }
+]
+
+const scaled = (vector, amount) => vector.map(value => value * amount)
+const negated = (vector) => vector.map(value => -value)
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+
+// Add one face of a voxel: direction is the face's normal, sideA/sideB the half extents along it
+const addQuad = (buffers, center, direction, halfDepth, sideA, sideB, color) => {
+  // Wind counter-clockwise as seen from outside
+  const [a, b] = dot(cross(sideA, sideB), direction) > 0 ? [sideA, sideB] : [sideB, sideA]
+  const middle = center.map((value, i) => value + direction[i] * halfDepth)
+  const corners = [
+    middle.map((value, i) => value - a[i] - b[i]),
+    middle.map((value, i) => value + a[i] - b[i]),
+    middle.map((value, i) => value + a[i] + b[i]),
+    middle.map((value, i) => value - a[i] + b[i])
+  ]
+  const start = buffers.positions.length / 3
+  corners.forEach(corner => {
+    buffers.positions.push(...corner)
+    buffers.normals.push(...direction)
+    buffers.colors.push(...color)
+  })
+  buffers.indices.push(start, start + 1, start + 2, start, start + 2, start + 3)
+}
+
+// Build the voxels for one body part, or null if its second layer is empty
+const buildPartGeometry = (pixels, imageWidth, scale, layout, width) => {
+  const buffers = { positions: [], normals: [], colors: [], indices: [] }
+  const size = 1 / scale // One texture pixel, in skin pixels
+  const halfDepth = VOXEL_DEPTH / 2
+
+  getFaces(layout.u, layout.v, width, layout.height, layout.depth).forEach(face => {
+    const [rectX, rectY, rectWidth, rectHeight] = face.rect.map(value => value * scale)
+    const alphaAt = (column, row) => {
+      if (column < 0 || row < 0 || column >= rectWidth || row >= rectHeight) return 0
+      return pixels[((rectY + row) * imageWidth + rectX + column) * 4 + 3]
+    }
+    const halfAcross = scaled(face.across, size / 2)
+    const halfDown = scaled(face.down, size / 2)
+    const halfNormal = scaled(face.normal, halfDepth)
+
+    for (let row = 0; row < rectHeight; row++) {
+      for (let column = 0; column < rectWidth; column++) {
+        if (!alphaAt(column, row)) continue
+
+        const index = ((rectY + row) * imageWidth + rectX + column) * 4
+        const color = [pixels[index] / 255, pixels[index + 1] / 255, pixels[index + 2] / 255]
+        const center = face.corner.map((value, i) =>
+          value +
+          face.across[i] * (column + 0.5) * size +
+          face.down[i] * (row + 0.5) * size +
+          face.normal[i] * (SURFACE_GAP + halfDepth))
+
+        addQuad(buffers, center, face.normal, halfDepth, halfAcross, halfDown, color)
+        if (!alphaAt(column - 1, row)) addQuad(buffers, center, negated(face.across), size / 2, halfDown, halfNormal, color)
+        if (!alphaAt(column + 1, row)) addQuad(buffers, center, face.across, size / 2, halfDown, halfNormal, color)
+        if (!alphaAt(column, row - 1)) addQuad(buffers, center, negated(face.down), size / 2, halfAcross, halfNormal, color)
+        if (!alphaAt(column, row + 1)) addQuad(buffers, center, face.down, size / 2, halfAcross, halfNormal, color)
+      }
+    }
+  })
+
+  if (buffers.indices.length === 0) return null
+  const geometry = new BufferGeometry()
+  geometry.setAttribute('position', new Float32BufferAttribute(buffers.positions, 3))
+  geometry.setAttribute('normal', new Float32BufferAttribute(buffers.normals, 3))
+  geometry.setAttribute('color', new Float32BufferAttribute(buffers.colors, 3))
+  geometry.setIndex(buffers.indices)
+  return geometry
+}
+
+// Replace the flat second layer of a skinview3d SkinObject with voxels built from its skin image
+// (the decoded 64x64 image, or an HD multiple). Returns { image, model, dispose() } -
+// dispose() removes the voxels and brings the flat layer back.
+export const createVoxelLayer = (skin, image) => {
+  const imageWidth = image.naturalWidth || image.width
+  const canvas = document.createElement('canvas')
+  canvas.width = imageWidth
+  canvas.height = imageWidth
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(image, 0, 0)
+  const pixels = ctx.getImageData(0, 0, imageWidth, imageWidth).data
+  const scale = imageWidth / 64
+
+  // One material per character, so hover glow, red tint and fading only touch this one
+  const material = new MeshStandardMaterial({ vertexColors: true })
+  const meshes = []
+  const flatLayers = []
+
+  Object.keys(PART_LAYOUTS).forEach(partName => {
+    const part = skin[partName]
+    const layout = PART_LAYOUTS[partName]
+    const width = skin.modelType === 'slim' && layout.slimWidth ? layout.slimWidth : layout.width
+    const geometry = buildPartGeometry(pixels, imageWidth, scale, layout, width)
+
+    part.outerLayer.visible = false
+    flatLayers.push(part.outerLayer)
+    if (!geometry) return
+
+    // Sits next to the flat layer, so it moves with the limb and its pivot
+    const mesh = new Mesh(geometry, material)
+    mesh.name = 'voxels'
+    mesh.position.copy(part.outerLayer.position)
+    part.outerLayer.parent.add(mesh)
+    meshes.push(mesh)
+  })
+
+  return {
+    image,
+    model: skin.modelType,
+    dispose: () => {
+      meshes.forEach(mesh => {
+        mesh.parent.remove(mesh)
+        mesh.geometry.dispose()
+      })
+      material.dispose()
+      flatLayers.forEach(layer => {
+        layer.visible = true
+      })
+    }
+  }
+}
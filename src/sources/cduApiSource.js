@@ -0,0 +1,108 @@
+// Craft Down Under query API source
+// The API returns an array of servers: [{ clusterId, onlinePlayerList: [{ name, uuid, ... }] }]
+// Player fields beyond `name` are optional and passed through as player metadata
+
+import { createFetchError, getPollDelayHint } from './httpHints'
+
+// FNV-1a - cheap enough to run on every response, only used to spot identical payloads
+const hashText = (text) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Extract all players with their clusterId from a CDU API response
+// Exported so custom sources talking to a CDU-style API can reuse it
+export const parseCduServers = (data) => {
+  const playersWithCluster = []
+  if (Array.isArray(data)) {
+    data.forEach(server => {
+      const clusterId = server.clusterId || 'UNKNOWN'
+      if (server.onlinePlayerList && Array.isArray(server.onlinePlayerList)) {
+        server.onlinePlayerList.forEach(player => {
+          if (player.name) {
+            playersWithCluster.push({
+              username: player.name,
+              clusterId: clusterId,
+              uuid: player.uuid || player.id,
+              displayName: player.displayName,
+              rank: player.rank,
+              ping: player.ping,
+              world: player.world || server.world,
+              skinUrl: player.skinUrl,
+              capeUrl: player.capeUrl,
+              elytra: player.elytra,
+              model: player.model,
+              afk: player.afk,
+              joinedAt: player.joinedAt
+            })
+          }
+        })
+      }
+    })
+  }
+  return playersWithCluster
+}
+
+// Plain polls after a failed conditional request before the validators are tried again - a
+// network blip looks just like a rejected preflight, so plain requests aren't made permanent
+const PLAIN_POLLS = 20
+
+// Fetch with the validators - they aren't CORS-safelisted headers, so if the conditional request
+// fails but a plain one works (the API doesn't answer the preflight), poll without them for a while
+const fetchWithValidators = async (url, headers, state) => {
+  // no-store: we revalidate ourselves, so the browser must hand us the 304 instead of its cached copy
+  const options = { mode: 'cors', cache: 'no-store' }
+  if (state.plainPollsLeft > 0) {
+    state.plainPollsLeft--
+    return fetch(url, options)
+  }
+  if (Object.keys(headers).length === 0) return fetch(url, options)
+  try {
+    return await fetch(url, { ...options, headers })
+  } catch (error) {
+    const response = await fetch(url, options) // Rejects too if the API is simply down
+    state.plainPollsLeft = PLAIN_POLLS
+    return response
+  }
+}
+
+// Fetch the player list, revalidating with If-None-Match/If-Modified-Since
+// Resolves to { notModified: true } when the server answers 304 or sends the same body again
+// state is the feed's per-source state - it remembers the last response (validators and a hash of the body)
+export const fetchCduPlayers = async ({ url }, state = {}) => {
+  const last = state.lastResponse
+  const headers = {}
+  if (last && last.etag) headers['If-None-Match'] = last.etag
+  if (last && last.lastModified) headers['If-Modified-Since'] = last.lastModified
+
+  const response = await fetchWithValidators(url, headers, state)
+  const retryAfter = getPollDelayHint(response)
+  
+  if (response.status === 304 && last) {
+    return { notModified: true, retryAfter }
+  }
+  if (!response.ok) {
+    throw createFetchError(`API fetch failed: ${response.status}`, response)
+  }
+  
+  const text = await response.text()
+  const hash = hashText(text)
+  const unchanged = last && last.hash === hash
+  state.lastResponse = {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified'),
+    hash
+  }
+  if (unchanged) {
+    return { notModified: true, retryAfter }
+  }
+  
+  return {
+    players: parseCduServers(JSON.parse(text)),
+    retryAfter
+  }
+}
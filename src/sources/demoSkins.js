@@ -0,0 +1,102 @@
+// Demo skins - a set of simple skins painted on a canvas, so the demo source works with no network
+// Each variant mixes a skin tone, hair, shirt and trousers; data URLs are cached after the first paint
+
+export const DEMO_SKIN_COUNT = 32
+
+const SKIN_TONES = ['#f1c7a5', '#e0ac83', '#c68a5e', '#8d5a3b', '#5c3a24']
+const HAIR_COLORS = ['#2b1d0e', '#6b4423', '#d8b25a', '#a33b1e', '#1c1c1c', '#8e8e8e']
+const SHIRT_COLORS = ['#3b7dd8', '#d83b3b', '#3bb54a', '#e0a526', '#8e44ad', '#16a5a5', '#eeeeee', '#333333']
+const PANTS_COLORS = ['#2c3e78', '#4a4a4a', '#6b4e2e', '#1f5f3a', '#222222']
+const SHOE_COLOR = '#3a3a3a'
+const EYE_COLOR = '#3b5fc0'
+
+const skinCache = new Map()
+
+// Small deterministic PRNG so each variant always paints the same shading
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+const shade = (hex, amount) => {
+  const value = parseInt(hex.slice(1), 16)
+  const channel = (shift) => Math.max(0, Math.min(255, ((value >> shift) & 255) + amount))
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`
+}
+
+// Fill a rectangle pixel by pixel with a little noise, like hand-drawn skins
+const fillNoisy = (ctx, random, color, x, y, width, height) => {
+  for (let px = x; px < x + width; px++) {
+    for (let py = y; py < y + height; py++) {
+      ctx.fillStyle = shade(color, Math.round((random() - 0.5) * 16))
+      ctx.fillRect(px, py, 1, 1)
+    }
+  }
+}
+
+// Fill every face of a box in the skin layout: top/bottom strip above the four side faces
+const fillBox = (ctx, random, color, x, y, width, height, depth) => {
+  fillNoisy(ctx, random, color, x + depth, y, width * 2, depth)
+  fillNoisy(ctx, random, color, x, y + depth, (width + depth) * 2, height)
+}
+
+const paintSkin = (variant) => {
+  const random = createRandom(variant * 7919 + 1)
+  const skin = SKIN_TONES[variant % SKIN_TONES.length]
+  const hair = HAIR_COLORS[Math.floor(variant / 2) % HAIR_COLORS.length]
+  const shirt = SHIRT_COLORS[(variant * 3) % SHIRT_COLORS.length]
+  const pants = PANTS_COLORS[(variant * 5) % PANTS_COLORS.length]
+
+  const canvas = document.createElement('canvas')
+  canvas.width = 64
+  canvas.height = 64
+  const ctx = canvas.getContext('2d')
+
+  // Head with hair on top, at the back and a fringe around the sides
+  fillBox(ctx, random, skin, 0, 0, 8, 8, 8)
+  fillNoisy(ctx, random, hair, 8, 0, 8, 8)
+  fillNoisy(ctx, random, hair, 0, 8, 32, 2)
+  fillNoisy(ctx, random, hair, 24, 8, 8, 8)
+  fillNoisy(ctx, random, hair, 0, 10, 8, 3)
+  fillNoisy(ctx, random, hair, 16, 10, 8, 3)
+
+  // Face
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(9, 12, 1, 1)
+  ctx.fillRect(14, 12, 1, 1)
+  ctx.fillStyle = EYE_COLOR
+  ctx.fillRect(10, 12, 1, 1)
+  ctx.fillRect(13, 12, 1, 1)
+  ctx.fillStyle = shade(skin, -60)
+  ctx.fillRect(11, 14, 2, 1)
+
+  // Body and arms (short sleeves)
+  fillBox(ctx, random, shirt, 16, 16, 8, 12, 4)
+  const arms = [[40, 16], [32, 48]]
+  arms.forEach(([x, y]) => {
+    fillBox(ctx, random, skin, x, y, 4, 12, 4)
+    fillNoisy(ctx, random, shirt, x + 4, y, 4, 4)
+    fillNoisy(ctx, random, shirt, x, y + 4, 16, 4)
+  })
+
+  // Legs with shoes
+  const legs = [[0, 16], [16, 48]]
+  legs.forEach(([x, y]) => {
+    fillBox(ctx, random, pants, x, y, 4, 12, 4)
+    fillNoisy(ctx, random, SHOE_COLOR, x + 8, y, 4, 4)
+    fillNoisy(ctx, random, SHOE_COLOR, x, y + 13, 16, 3)
+  })
+
+  return canvas.toDataURL('image/png')
+}
+
+// Data URL of a demo skin (any integer works, it wraps around DEMO_SKIN_COUNT)
+export const getDemoSkinUrl = (variant) => {
+  const index = ((variant % DEMO_SKIN_COUNT) + DEMO_SKIN_COUNT) % DEMO_SKIN_COUNT
+  if (!skinCache.has(index)) {
+    skinCache.set(index, paintSkin(index))
+  }
+  return skinCache.get(index)
+}
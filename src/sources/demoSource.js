@@ -0,0 +1,176 @@
+// Demo source - a simulated server population for local development, kiosks and stress tests
+// Runs fully offline: players are generated locally and use the bundled demo skins.
+//
+// Options (the `demo` object in the runtime config, or on a source entry):
+//   population     Average players online at the busiest hour (default 60)
+//   offPeakRatio   Share of the peak population still online at the quietest hour (default 0.3)
+//   peakHour       Busiest hour of the day, local time (default 20 = 8pm)
+//   sessionMinutes Average time a player stays online (default 30)
+//   switchesPerHour How often a player moves to another cluster (default 1)
+//   clusters       Cluster IDs players are spread across
+//   timeScale      Simulated minutes per real minute - raise it to watch a whole day go by (default 1)
+//   seed           Seed for reproducible runs (default: random)
+//
+// Joins and leaves follow the population curve: players arrive at population / sessionMinutes
+// per minute and each leaves with an exponentially distributed session length, so the
+// number online settles around the curve with natural ups and downs.
+
+import { getDemoSkinUrl } from './demoSkins'
+
+const DEFAULT_OPTIONS = {
+  population: 60,
+  offPeakRatio: 0.3,
+  peakHour: 20,
+  sessionMinutes: 30,
+  switchesPerHour: 1,
+  clusters: ['SURVIVAL', 'CREATIVE', 'SKYBLOCK', 'MINIGAMES'],
+  timeScale: 1,
+  seed: null
+}
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const MAX_CATCH_UP = 6 * HOUR // Simulated time to catch up on after the tab was hidden
+const STEP = MINUTE // Simulated time per simulation step
+
+const NAME_PREFIXES = [
+  'Shadow', 'Pixel', 'Creeper', 'Diamond', 'Red', 'Night', 'Sky', 'Block', 'Ender', 'Frost',
+  'Lava', 'Iron', 'Gold', 'Storm', 'Wolf', 'Fox', 'Dragon', 'Emerald', 'Nether', 'Cobble'
+]
+const NAME_SUFFIXES = [
+  'Miner', 'Crafter', 'Builder', 'Hunter', 'King', 'Queen', 'Wizard', 'Knight',
+  'Slayer', 'Runner', 'Fan', 'Lord', 'Pro', 'Walker', 'Smith', 'Cat'
+]
+const RANKS = ['Member', 'Member', 'Member', 'Member', 'VIP', 'VIP', 'Moderator', 'Admin']
+
+// mulberry32 - seeded so a stress test can be replayed with the same players
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+// Number of arrivals in a step with the given expected count
+const samplePoisson = (random, expected) => {
+  if (expected > 30) {
+    // Normal approximation - Knuth's method gets slow for large counts
+    const normal = Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random())
+    return Math.max(0, Math.round(expected + normal * Math.sqrt(expected)))
+  }
+  const limit = Math.exp(-expected)
+  let count = 0
+  let product = random()
+  while (product > limit) {
+    count++
+    product *= random()
+  }
+  return count
+}
+
+const createSimulation = (options) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options }
+  const timeScale = settings.timeScale > 0 ? settings.timeScale : 1
+  const random = createRandom(settings.seed === null || settings.seed === undefined
+    ? Math.floor(Math.random() * 2 ** 32)
+    : Number(settings.seed))
+  const clusters = settings.clusters.length > 0 ? settings.clusters : DEFAULT_OPTIONS.clusters
+  const online = new Map()
+  let simTime = Date.now()
+  let lastRealTime = Date.now()
+
+  const pick = (list) => list[Math.floor(random() * list.length)]
+
+  // Expected population at a point in time - a smooth daily curve peaking at peakHour
+  const targetPopulation = (time) => {
+    const hour = new Date(time).getHours() + new Date(time).getMinutes() / 60
+    const curve = (1 + Math.cos(((hour - settings.peakHour) / 24) * 2 * Math.PI)) / 2
+    return settings.population * (settings.offPeakRatio + (1 - settings.offPeakRatio) * curve)
+  }
+
+  const createUsername = () => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      let name = pick(NAME_PREFIXES) + pick(NAME_SUFFIXES)
+      if (random() < 0.6) name += Math.floor(random() * 1000)
+      if (random() < 0.15) name = `_${name}`
+      name = name.slice(0, 16)
+      if (!online.has(name)) return name
+    }
+    return `Player${Math.floor(random() * 1e6)}`
+  }
+
+  const spawnPlayer = (joinedAt) => {
+    const username = createUsername()
+    online.set(username, {
+      username,
+      clusterId: pick(clusters),
+      rank: pick(RANKS),
+      ping: Math.round(20 + random() * 180),
+      skinUrl: getDemoSkinUrl(Math.floor(random() * 1000)),
+      elytra: random() < 0.2, // Shown with the default elytra when thrown - there are no demo capes
+      afk: false,
+      joinedAt
+    })
+  }
+
+  // Advance the simulation by one step (simulated milliseconds)
+  const step = (duration) => {
+    const sessionLength = settings.sessionMinutes * MINUTE
+    const leaveChance = 1 - Math.exp(-duration / sessionLength)
+    const switchChance = 1 - Math.exp(-duration * settings.switchesPerHour / HOUR)
+
+    online.forEach((player, username) => {
+      if (random() < leaveChance) {
+        online.delete(username)
+        return
+      }
+      if (clusters.length > 1 && random() < switchChance) {
+        player.clusterId = pick(clusters.filter(cluster => cluster !== player.clusterId))
+      }
+      if (random() < 0.05) {
+        player.afk = !player.afk
+      }
+    })
+
+    simTime += duration
+    const arrivals = samplePoisson(random, targetPopulation(simTime) * duration / sessionLength)
+    for (let i = 0; i < arrivals; i++) {
+      spawnPlayer(simTime)
+    }
+  }
+
+  // Start out already at the expected population, with players part way through their sessions
+  const initialCount = samplePoisson(random, targetPopulation(simTime))
+  for (let i = 0; i < initialCount; i++) {
+    spawnPlayer(simTime - random() * settings.sessionMinutes * MINUTE)
+  }
+
+  return {
+    // Catch up with real time and return everyone online
+    advance: () => {
+      const now = Date.now()
+      let remaining = Math.min((now - lastRealTime) * timeScale, MAX_CATCH_UP)
+      lastRealTime = now
+      while (remaining > 0) {
+        const duration = Math.min(remaining, STEP)
+        step(duration)
+        remaining -= duration
+      }
+      return Array.from(online.values()).map(player => ({
+        ...player,
+        // Real timestamps, so "joined x minutes ago" still makes sense with a sped-up clock
+        joinedAt: Math.round(now - (simTime - player.joinedAt) / timeScale)
+      }))
+    }
+  }
+}
+
+// One simulation per source entry, created on the first fetch
+const simulations = new WeakMap()
+
+export const fetchDemoPlayers = async (options) => {
+  if (!simulations.has(options)) {
+    simulations.set(options, createSimulation(options))
+  }
+  return simulations.get(options).advance()
+}
@@ -0,0 +1,31 @@
+// Polling hints from HTTP response headers
+// Lets a server slow viewers down with Retry-After (e.g. on a 429/503) or Cache-Control max-age
+
+// Parse Retry-After - either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return undefined
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined
+}
+
+const parseMaxAge = (cacheControl) => {
+  if (!cacheControl) return undefined
+  const match = /(?:^|,)\s*max-age=(\d+)/i.exec(cacheControl)
+  return match ? Number(match[1]) * 1000 : undefined
+}
+
+// How long the server would like us to wait before asking again (milliseconds), if it said
+export const getPollDelayHint = (response) => {
+  const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+  if (retryAfter !== undefined) return retryAfter
+  return parseMaxAge(response.headers.get('Cache-Control'))
+}
+
+// Error for a failed fetch that carries the server's Retry-After hint along to the scheduler
+export const createFetchError = (message, response) => {
+  const error = new Error(message)
+  error.retryAfter = getPollDelayHint(response)
+  return error
+}
@@ -0,0 +1,173 @@
+// Player feed - runs every configured source at once and merges their players
+//
+// Sources listed first win when the same player shows up in several feeds.
+// A source entry with a `clusterId` puts all of its players in that cluster.
+
+import { getSourceAdapter } from './registry'
+import { normalizePlayer } from './playerSchema'
+
+const normalizeUuid = (uuid) => String(uuid).replace(/-/g, '').toLowerCase()
+
+// Merge several player lists, dropping anyone whose username or UUID was already seen
+export const mergePlayerLists = (lists) => {
+  const merged = []
+  const seenUsernames = new Set()
+  const seenUuids = new Set()
+
+  lists.forEach(players => {
+    players.forEach(player => {
+      if (!player || !player.username) return
+
+      const usernameKey = player.username.toLowerCase()
+      const uuidKey = player.uuid ? normalizeUuid(player.uuid) : null
+      if (seenUsernames.has(usernameKey) || (uuidKey && seenUuids.has(uuidKey))) return
+
+      seenUsernames.add(usernameKey)
+      if (uuidKey) seenUuids.add(uuidKey)
+      merged.push(player)
+    })
+  })
+
+  return merged
+}
+
+// Create a feed for the given source entries
+// handlers.onChange(players, { quiet }) is called whenever a push source changes the merged list.
+// quiet is true for a push source's first snapshot, and its first one after a dropped connection,
+// so players who were already online (or who came and went while it was down) aren't announced
+// as a burst of logins and logouts.
+// handlers.onStatusChange(failures) reports the worst run of consecutive failures
+// (failed polls or dropped connections) across all sources, 0 when everything is healthy.
+export const createPlayerFeed = (sourceConfigs, { onChange, onStatusChange }) => {
+  const sources = []
+  sourceConfigs.forEach(config => {
+    const adapter = getSourceAdapter(config.type)
+    if (!adapter) {
+      console.error(`Unknown player source type: ${config.type}`)
+      return
+    }
+    sources.push({ config, adapter, state: {}, players: new Map(), failures: 0, signature: null })
+  })
+
+  let lastReportedFailures = 0
+  const reportStatus = () => {
+    const failures = Math.max(0, ...sources.map(source => source.failures))
+    if (failures !== lastReportedFailures && onStatusChange) {
+      onStatusChange(failures)
+    }
+    lastReportedFailures = failures
+  }
+
+  // Normalize a player from the source and apply the source's own cluster tag, if it has one
+  const preparePlayer = (source, player) => {
+    const normalized = normalizePlayer(player)
+    if (normalized && source.config.clusterId) {
+      normalized.clusterId = source.config.clusterId
+    }
+    return normalized
+  }
+
+  const setSourcePlayers = (source, players) => {
+    source.players = new Map()
+    players.forEach(player => {
+      const prepared = preparePlayer(source, player)
+      if (prepared) {
+        source.players.set(prepared.username, prepared)
+      }
+    })
+  }
+
+  const getPlayers = () => mergePlayerLists(sources.map(source => Array.from(source.players.values())))
+
+  // Connect push sources - they keep their own player map up to date
+  const disconnects = []
+  sources.filter(source => source.adapter.connect).forEach(source => {
+    let quietSnapshot = true // Until the first snapshot, and again after the connection drops
+    const notify = (quiet = false) => onChange(getPlayers(), { quiet })
+
+    disconnects.push(source.adapter.connect(source.config, {
+      onSnapshot: (players) => {
+        setSourcePlayers(source, players)
+        notify(quietSnapshot)
+        quietSnapshot = false
+      },
+      onJoin: (player) => {
+        const prepared = preparePlayer(source, player)
+        if (!prepared) return
+        source.players.set(prepared.username, prepared)
+        notify()
+      },
+      onLeave: (username) => {
+        if (source.players.delete(username)) {
+          notify()
+        }
+      },
+      onSwitch: (username, clusterId) => {
+        const player = source.players.get(username)
+        if (!player) return
+        source.players.set(username, preparePlayer(source, { ...player, clusterId }))
+        notify()
+      },
+      onConnectionChange: (connected) => {
+        source.failures = connected ? 0 : source.failures + 1
+        if (!connected) quietSnapshot = true
+        reportStatus()
+      }
+    }))
+  })
+
+  const pollSources = sources.filter(source => source.adapter.fetchPlayers)
+
+  // Fetch every polling source and return the merged list of all sources
+  // A source that fails keeps its last known players - a failed fetch doesn't mean everyone logged out
+  // Returns { players, changed, updated, failed, retryAfter } - whether any polling source's players
+  // changed, the number of polling sources that succeeded/failed and the longest wait any of them
+  // asked for (milliseconds)
+  const poll = async () => {
+    let changed = false
+    let updated = 0
+    let failed = 0
+    let retryAfter
+    const noteRetryAfter = (hint) => {
+      if (hint !== undefined && (retryAfter === undefined || hint > retryAfter)) {
+        retryAfter = hint
+      }
+    }
+
+    await Promise.all(pollSources.map(async (source) => {
+      try {
+        const result = await source.adapter.fetchPlayers(source.config, source.state)
+        noteRetryAfter(result && result.retryAfter)
+        if (!result || !result.notModified) {
+          // Adapters return either a player array or { players, retryAfter }
+          const players = Array.isArray(result) ? result : result && result.players
+          setSourcePlayers(source, Array.isArray(players) ? players : [])
+
+          const signature = JSON.stringify(Array.from(source.players.values()))
+          if (signature !== source.signature) {
+            source.signature = signature
+            changed = true
+          }
+        }
+        source.failures = 0
+        updated += 1
+      } catch (error) {
+        console.error(`Error fetching online players (${source.config.type}):`, error)
+        noteRetryAfter(error.retryAfter)
+        source.failures += 1
+        failed += 1
+      }
+    }))
+    reportStatus()
+    return { players: getPlayers(), changed, updated, failed, retryAfter }
+  }
+
+  return {
+    poll,
+    getPlayers,
+    hasPollSources: pollSources.length > 0,
+    close: () => {
+      disconnects.forEach(disconnect => disconnect())
+    }
+  }
+}
@@ -0,0 +1,101 @@
+// Player schema shared by every source
+//
+//   username     (required) Minecraft username
+//   clusterId    Cluster/server identifier for grouping
+//   uuid         Minecraft UUID, with or without dashes
+//   displayName  Name shown on the nametag (defaults to username)
+//   rank         Rank or group name, e.g. 'Admin'
+//   ping         Latency in milliseconds
+//   world        World the player is in
+//   skinUrl      Skin PNG URL (skips the skin URL template)
+//   capeUrl      Cape PNG URL
+//   elytra       Whether the player wears an elytra (shown while flying, with the cape's design)
+//   model        Arm model: 'slim' (Alex) or 'classic' (Steve)
+//   afk          Whether the player is AFK
+//   joinedAt     When the player joined, as a millisecond timestamp
+
+// Optional fields carried from the source onto each character and refreshed on every sync
+export const PLAYER_METADATA_FIELDS = [
+  'uuid',
+  'displayName',
+  'rank',
+  'ping',
+  'world',
+  'skinUrl',
+  'capeUrl',
+  'elytra',
+  'model',
+  'afk',
+  'joinedAt'
+]
+
+const optionalString = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+  return String(value)
+}
+
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+// Accepts a millisecond timestamp, a Date or an ISO date string
+const optionalTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value)
+  return Number.isFinite(time) ? time : undefined
+}
+
+// Text sources (CSV, JSONL) send flags as strings - "false" and "0" mean false, not true
+const TRUE_STRINGS = ['true', '1', 'yes', 'y', 'on']
+const FALSE_STRINGS = ['false', '0', 'no', 'n', 'off']
+
+const optionalBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase()
+    if (TRUE_STRINGS.includes(text)) return true
+    if (FALSE_STRINGS.includes(text)) return false
+    return undefined
+  }
+  return Boolean(value)
+}
+
+const optionalModel = (value) => {
+  if (value === undefined || value === null) return undefined
+  const model = String(value).toLowerCase()
+  if (model === 'slim' || model === 'alex') return 'slim'
+  if (model === 'classic' || model === 'default' || model === 'steve') return 'classic'
+  return undefined
+}
+
+// Clean up a player object from any source: coerce types and drop unknown or empty fields
+// Returns null if the player has no username
+export const normalizePlayer = (player) => {
+  if (!player || !player.username) return null
+
+  const normalized = {
+    username: String(player.username).trim(),
+    clusterId: optionalString(player.clusterId),
+    uuid: optionalString(player.uuid),
+    displayName: optionalString(player.displayName),
+    rank: optionalString(player.rank),
+    ping: optionalNumber(player.ping),
+    world: optionalString(player.world),
+    skinUrl: optionalString(player.skinUrl),
+    capeUrl: optionalString(player.capeUrl),
+    elytra: optionalBoolean(player.elytra),
+    model: optionalModel(player.model),
+    afk: optionalBoolean(player.afk),
+    joinedAt: optionalTimestamp(player.joinedAt)
+  }
+
+  Object.keys(normalized).forEach(key => {
+    if (normalized[key] === undefined) {
+      delete normalized[key]
+    }
+  })
+
+  return normalized.username ? normalized : null
+}
@@ -0,0 +1,62 @@
+// Player source adapter registry
+//
+// Each source type maps to an adapter of one of two kinds:
+//   Polling: { fetchPlayers: async (options, state) => [{ username, clusterId }] }
+//            (or { players, retryAfter } to ask the scheduler to wait retryAfter ms before the next poll,
+//            or { notModified: true } to keep the players from the last fetch)
+//   Push:    { connect: (options, handlers) => disconnect }
+//            handlers: onSnapshot(players), onJoin(player), onLeave(username), onSwitch(username, clusterId)
+//
+// `options` is the source entry from PLAYER_SOURCES (see src/config/playerSource.js).
+// `state` is an empty object per source that lives as long as the player feed - keep things like
+// conditional request validators there rather than in module scope, so a new feed starts fresh.
+// Register your own adapter (e.g. from main.jsx) to add a new type without editing the viewer.
+
+import { fetchCustomPlayers } from '../config/playerSource'
+import { fetchCduPlayers } from './cduApiSource'
+import { fetchTextFilePlayers } from './textFileSource'
+import { connectWebSocketSource } from './websocketSource'
+import { connectSseSource } from './sseSource'
+import { fetchDemoPlayers } from './demoSource'
+import { connectReplaySource } from './replaySource'
+
+const sourceAdapters = new Map()
+
+export const registerSourceAdapter = (type, adapter) => {
+  if (!adapter || (typeof adapter.fetchPlayers !== 'function' && typeof adapter.connect !== 'function')) {
+    throw new Error(`Source adapter "${type}" must provide fetchPlayers() or connect()`)
+  }
+  sourceAdapters.set(type, adapter)
+}
+
+export const getSourceAdapter = (type) => sourceAdapters.get(type)
+
+// Built-in adapters
+registerSourceAdapter('cdu_api', {
+  fetchPlayers: fetchCduPlayers
+})
+
+registerSourceAdapter('text_file', {
+  fetchPlayers: fetchTextFilePlayers
+})
+
+registerSourceAdapter('custom', {
+  // A source entry can bring its own fetchPlayers, otherwise use fetchCustomPlayers
+  fetchPlayers: (options, state) => (options.fetchPlayers || fetchCustomPlayers)(options, state)
+})
+
+registerSourceAdapter('demo', {
+  fetchPlayers: fetchDemoPlayers
+})
+
+registerSourceAdapter('websocket', {
+  connect: (options, handlers) => connectWebSocketSource(options.url, handlers)
+})
+
+registerSourceAdapter('sse', {
+  connect: (options, handlers) => connectSseSource(options.url, handlers)
+})
+
+registerSourceAdapter('replay', {
+  connect: connectReplaySource
+})
@@ -0,0 +1,63 @@
+// Replay source - plays back a recording made with the session recorder (src/sources/sessionRecorder.js)
+// Each frame is sent as a snapshot, so logins and logouts show up in the chatbox just like they did live.
+//
+// Options (the `replay` object in the runtime config, or on a source entry):
+//   url    Where to load the recording from (default /recording.json, i.e. public/recording.json)
+//   speed  Playback speed, 1 to 60 (default 1)
+//   loop   Start over after the last frame (default true)
+
+const MIN_SPEED = 1
+const MAX_SPEED = 60
+const LOOP_PAUSE = 5000 // Wait before starting over (milliseconds, not scaled by speed)
+
+export const connectReplaySource = ({ url, speed = 1, loop = true }, handlers) => {
+  const playbackSpeed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, Number(speed) || MIN_SPEED))
+  let timer = null
+  let closed = false
+
+  const play = (frames, index) => {
+    if (closed) return
+    handlers.onSnapshot(Array.isArray(frames[index].players) ? frames[index].players : [])
+
+    const next = index + 1
+    if (next < frames.length) {
+      const delay = Math.max(0, frames[next].time - frames[index].time) / playbackSpeed
+      timer = setTimeout(() => play(frames, next), delay)
+    } else if (loop) {
+      timer = setTimeout(() => play(frames, 0), LOOP_PAUSE)
+    } else {
+      console.log('Replay finished')
+    }
+  }
+
+  fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Recording fetch failed: ${response.status}`)
+      }
+      return response.json()
+    })
+    .then(recording => {
+      if (!recording || !Array.isArray(recording.frames) || recording.frames.length === 0) {
+        throw new Error('Recording has no frames')
+      }
+      console.log(`Replaying ${recording.frames.length} frames at ${playbackSpeed}x`)
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(true)
+      }
+      play(recording.frames, 0)
+    })
+    .catch(error => {
+      console.error('Error loading recording:', error)
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(false)
+      }
+    })
+
+  return () => {
+    closed = true
+    if (timer) {
+      clearTimeout(timer)
+    }
+  }
+}
@@ -0,0 +1,73 @@
+// Session recorder - captures every applied player list with timestamps
+// Download the result and play it back with the `replay` source (see src/sources/replaySource.js)
+//
+// Recording format:
+//   { "version": 1, "startedAt": <ms timestamp>, "frames": [{ "time": <ms since start>, "players": [...] }] }
+// A frame is only added when the player list actually changed.
+
+export const RECORDING_VERSION = 1
+
+const MAX_FRAMES = 50000 // Stop adding frames after this many, so a forgotten recording can't eat all memory
+
+// Generated skins (the demo source) are inlined as data URLs - far too big to repeat in every frame
+const stripInlineSkin = (player) => {
+  if (!player.skinUrl || !player.skinUrl.startsWith('data:')) return player
+  const { skinUrl, ...rest } = player
+  return rest
+}
+
+export const createSessionRecorder = () => {
+  let recording = null
+  let lastFrameKey = null
+
+  return {
+    isRecording: () => recording !== null,
+
+    frameCount: () => (recording ? recording.frames.length : 0),
+
+    start: () => {
+      recording = { version: RECORDING_VERSION, startedAt: Date.now(), frames: [] }
+      lastFrameKey = null
+    },
+
+    // Add a frame - returns true if it was recorded
+    record: (players) => {
+      if (!recording) return false
+      const frame = players.map(stripInlineSkin)
+      const key = JSON.stringify(frame)
+      if (key === lastFrameKey) return false
+      if (recording.frames.length >= MAX_FRAMES) {
+        console.warn(`Recording is full (${MAX_FRAMES} frames), no longer recording`)
+        return false
+      }
+      lastFrameKey = key
+      recording.frames.push({ time: Date.now() - recording.startedAt, players: frame })
+      return true
+    },
+
+    // Stop recording and return the finished recording (null if nothing was recording)
+    stop: () => {
+      const finished = recording
+      recording = null
+      lastFrameKey = null
+      return finished
+    }
+  }
+}
+
+// Save a recording as a JSON file
+export const downloadRecording = (recording) => {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const timestamp = new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-')
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `skinview-session-${timestamp}.json`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Give the browser a moment to start the download before freeing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,132 @@
+// Server-Sent Events push source - same idea as the WebSocket source, but over plain HTTP
+// so it works behind CDNs that don't proxy WebSockets
+//
+// Expected events (data is JSON, every event should carry an `id:` for resuming):
+//   event: snapshot  data: { "players": [{ "username", "clusterId" }] }  Full player list
+//   event: join      data: { "username", "clusterId" }                  Player logged in
+//   event: leave     data: { "username" }                                Player logged out
+//   event: switch    data: { "username", "clusterId" }                  Player moved to another server
+//
+// On resume (Last-Event-ID header, or ?lastEventId= after a manual reconnect) the server should
+// replay the events that were missed, or send a fresh snapshot if it can't.
+
+const INITIAL_RECONNECT_DELAY = 1000 // 1 second
+const MAX_RECONNECT_DELAY = 30000 // Cap backoff at 30 seconds
+
+// Connect to an SSE player feed and forward its events to the handlers:
+// onSnapshot(players), onJoin(player), onLeave(username), onSwitch(username, clusterId)
+// and optionally onConnectionChange(connected) when the feed comes up or drops
+// Returns a function that closes the stream and stops reconnecting
+export const connectSseSource = (url, handlers) => {
+  let eventSource = null
+  let reconnectTimer = null
+  let reconnectDelay = INITIAL_RECONNECT_DELAY
+  let lastEventId = null
+  let hasSnapshot = false
+  let closed = false
+
+  // Parse an event's JSON payload and remember its id for resuming
+  const readEvent = (event) => {
+    if (event.lastEventId) {
+      lastEventId = event.lastEventId
+    }
+    try {
+      return JSON.parse(event.data)
+    } catch (error) {
+      console.error(`Invalid SSE ${event.type} event:`, event.data)
+      return null
+    }
+  }
+
+  const scheduleReconnect = () => {
+    const delay = reconnectDelay + Math.random() * reconnectDelay * 0.3
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY)
+    console.log(`SSE stream closed, reconnecting in ${(delay / 1000).toFixed(1)}s`)
+    reconnectTimer = setTimeout(connect, delay)
+  }
+
+  function connect() {
+    reconnectTimer = null
+
+    // EventSource only sends Last-Event-ID on its own retries - pass it along
+    // as a query parameter when we have to open a brand new stream
+    let streamUrl = url
+    if (lastEventId) {
+      const resumeUrl = new URL(url, window.location.href)
+      resumeUrl.searchParams.set('lastEventId', lastEventId)
+      streamUrl = resumeUrl.toString()
+    }
+
+    try {
+      eventSource = new EventSource(streamUrl)
+    } catch (error) {
+      console.error('SSE connection failed:', error)
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(false)
+      }
+      scheduleReconnect()
+      return
+    }
+
+    eventSource.onopen = () => {
+      reconnectDelay = INITIAL_RECONNECT_DELAY
+      console.log(`SSE connected: ${url}`)
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(true)
+      }
+    }
+
+    eventSource.addEventListener('snapshot', (event) => {
+      const data = readEvent(event)
+      if (!data) return
+      hasSnapshot = true
+      handlers.onSnapshot(Array.isArray(data.players) ? data.players : [])
+    })
+
+    // Deltas are ignored until the first snapshot; replayed deltas after a resume are
+    // safe to apply because join/leave handlers ignore players they already know about
+    eventSource.addEventListener('join', (event) => {
+      const data = readEvent(event)
+      if (!hasSnapshot || !data || !data.username) return
+      handlers.onJoin(data)
+    })
+
+    eventSource.addEventListener('leave', (event) => {
+      const data = readEvent(event)
+      if (!hasSnapshot || !data || !data.username) return
+      handlers.onLeave(data.username)
+    })
+
+    eventSource.addEventListener('switch', (event) => {
+      const data = readEvent(event)
+      if (!hasSnapshot || !data || !data.username) return
+      handlers.onSwitch(data.username, data.clusterId)
+    })
+
+    eventSource.onerror = () => {
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(false)
+      }
+      // While CONNECTING the browser retries on its own (sending Last-Event-ID),
+      // once CLOSED (e.g. non-200 response) we have to reopen the stream ourselves
+      if (eventSource && eventSource.readyState === EventSource.CLOSED) {
+        eventSource = null
+        if (!closed) {
+          scheduleReconnect()
+        }
+      }
+    }
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer)
+    }
+    if (eventSource) {
+      eventSource.close()
+    }
+  }
+}
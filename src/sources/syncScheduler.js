@@ -0,0 +1,101 @@
+// Sync scheduler - decides when polling sources are fetched next
+//
+//   - Paused while the tab is hidden, with an immediate resync when it becomes visible again
+//   - Backs off exponentially while every polling source is failing
+//   - Slows down after several polls in a row with no changes, and speeds straight back up on a change
+//   - Never polls sooner than the server asked for (Retry-After / Cache-Control max-age)
+
+const IDLE_POLLS_BEFORE_BACKOFF = 3 // Unchanged polls before slowing down
+const MAX_FAILURE_BACKOFF = 60000 // Longest wait while the source is down (1 minute)
+
+// sync() runs one poll and resolves to { changed, failed, retryAfter }
+// getIntervals() returns { syncInterval, maxSyncInterval } so config changes apply on the next poll
+// Returns { start, stop }
+export const createSyncScheduler = (sync, getIntervals) => {
+  let timer = null
+  let running = false
+  let resyncWhenDone = false
+  let stopped = true
+  let failures = 0
+  let unchangedPolls = 0
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer)
+      timer = null
+    }
+  }
+
+  const nextDelay = (retryAfter) => {
+    const { syncInterval, maxSyncInterval } = getIntervals()
+    let delay = syncInterval
+    if (failures > 0) {
+      delay = Math.min(syncInterval * 2 ** failures, MAX_FAILURE_BACKOFF)
+    } else if (unchangedPolls >= IDLE_POLLS_BEFORE_BACKOFF) {
+      const idleSteps = unchangedPolls - IDLE_POLLS_BEFORE_BACKOFF + 1
+      delay = Math.min(syncInterval * 2 ** idleSteps, Math.max(syncInterval, maxSyncInterval))
+    }
+    return retryAfter ? Math.max(delay, retryAfter) : delay
+  }
+
+  const schedule = (delay) => {
+    clearTimer()
+    if (stopped || document.hidden) return
+    timer = setTimeout(run, delay)
+  }
+
+  async function run() {
+    timer = null
+    if (running) {
+      resyncWhenDone = true
+      return
+    }
+
+    running = true
+    let retryAfter
+    try {
+      const result = await sync()
+      retryAfter = result.retryAfter
+      failures = result.failed ? failures + 1 : 0
+      unchangedPolls = result.changed || result.failed ? 0 : unchangedPolls + 1
+    } catch (error) {
+      console.error('Error syncing players:', error)
+      failures++
+    }
+    running = false
+
+    if (resyncWhenDone) {
+      resyncWhenDone = false
+      schedule(retryAfter || 0)
+    } else {
+      schedule(nextDelay(retryAfter))
+    }
+  }
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      clearTimer()
+      return
+    }
+    // Back from the background - the list is probably stale, so fetch it right away
+    unchangedPolls = 0
+    if (running) {
+      resyncWhenDone = true
+    } else {
+      schedule(0)
+    }
+  }
+
+  return {
+    start: () => {
+      stopped = false
+      document.addEventListener('visibilitychange', handleVisibilityChange)
+      schedule(0)
+    },
+    stop: () => {
+      stopped = true
+      clearTimer()
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }
+}
@@ -0,0 +1,144 @@
+// Text file source - a static list of players, no API needed
+//
+// Supported formats (blank lines and lines starting with # are ignored in all of them):
+//   lines  One username per line
+//   csv    username,cluster,rank - or any player fields if the first row is a header,
+//          e.g. username,clusterId,displayName,rank,uuid
+//   jsonl  One JSON object per line: { "username": "Player1", "clusterId": "SURVIVAL", ... }
+//
+// The format comes from the source's `format` option, then the file extension
+// (.txt, .csv, .jsonl/.ndjson), and is otherwise guessed from the first line.
+
+import { createFetchError, getPollDelayHint } from './httpHints'
+
+const DEFAULT_CLUSTER = 'DEFAULT'
+
+// Positional CSV columns when the file has no header row
+const CSV_COLUMNS = ['username', 'clusterId', 'rank']
+
+// Header names that mean the same thing as a player field
+const CSV_HEADER_ALIASES = {
+  name: 'username',
+  cluster: 'clusterId',
+  server: 'clusterId'
+}
+
+const formatFromPath = (path) => {
+  const extension = (path.split(/[?#]/)[0].split('.').pop() || '').toLowerCase()
+  if (extension === 'csv') return 'csv'
+  if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl'
+  return null
+}
+
+const detectFormat = (lines) => {
+  const first = lines[0] || ''
+  if (first.startsWith('{')) return 'jsonl'
+  if (first.includes(',')) return 'csv'
+  return 'lines'
+}
+
+// Split a CSV row, honouring "quoted, fields" and "" escapes
+const splitCsvRow = (row) => {
+  const fields = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i]
+    if (quoted) {
+      if (char === '"' && row[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      fields.push(field.trim())
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  fields.push(field.trim())
+  return fields
+}
+
+const parseCsv = (lines) => {
+  let columns = CSV_COLUMNS
+  let rows = lines
+  const header = splitCsvRow(lines[0] || '')
+  if (['username', 'name'].includes(header[0].toLowerCase())) {
+    columns = header.map(name => CSV_HEADER_ALIASES[name.toLowerCase()] || name)
+    rows = lines.slice(1)
+  }
+
+  return rows.map(row => {
+    const fields = splitCsvRow(row)
+    const player = {}
+    columns.forEach((column, index) => {
+      if (fields[index] !== undefined && fields[index] !== '') {
+        player[column] = fields[index]
+      }
+    })
+    return player
+  })
+}
+
+const parseJsonLines = (lines) => {
+  const players = []
+  lines.forEach(line => {
+    try {
+      const player = JSON.parse(line)
+      players.push({
+        ...player,
+        username: player.username || player.name,
+        clusterId: player.clusterId || player.cluster
+      })
+    } catch (error) {
+      console.warn('Skipping invalid JSON line in player list:', line)
+    }
+  })
+  return players
+}
+
+// Parse a player list in any supported format (null format = auto-detect)
+// Exported so custom sources reading a text file from elsewhere can reuse it
+export const parseTextPlayers = (text, format = null) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+
+  const resolvedFormat = format || detectFormat(lines)
+  let players
+  if (resolvedFormat === 'csv') {
+    players = parseCsv(lines)
+  } else if (resolvedFormat === 'jsonl') {
+    players = parseJsonLines(lines)
+  } else {
+    players = lines.map(username => ({ username }))
+  }
+
+  return players
+    .filter(player => player && player.username)
+    .map(player => ({
+      ...player,
+      clusterId: player.clusterId || DEFAULT_CLUSTER
+    }))
+}
+
+export const fetchTextFilePlayers = async ({ path, format }) => {
+  const response = await fetch(path)
+  if (!response.ok) {
+    throw createFetchError(`Text file fetch failed: ${response.status}`, response)
+  }
+  const text = await response.text()
+  const resolvedFormat = format && format !== 'auto' ? format : formatFromPath(path)
+  return {
+    players: parseTextPlayers(text, resolvedFormat),
+    retryAfter: getPollDelayHint(response)
+  }
+}
@@ -0,0 +1,109 @@
+// WebSocket push source - the server pushes player changes instead of us polling
+//
+// Expected messages (JSON, one object per message):
+//   { type: 'snapshot', players: [{ username, clusterId }] }  Full player list, sent on every (re)connect
+//   { type: 'join', player: { username, clusterId } }          Player logged in
+//   { type: 'leave', username }                                 Player logged out
+//   { type: 'switch', username, clusterId }                     Player moved to another server
+
+const INITIAL_RECONNECT_DELAY = 1000 // 1 second
+const MAX_RECONNECT_DELAY = 30000 // Cap backoff at 30 seconds
+
+// Connect to a WebSocket player feed and forward its events to the handlers:
+// onSnapshot(players), onJoin(player), onLeave(username), onSwitch(username, clusterId)
+// and optionally onConnectionChange(connected) when the feed comes up or drops
+// Returns a function that closes the connection and stops reconnecting
+export const connectWebSocketSource = (url, handlers) => {
+  let socket = null
+  let reconnectTimer = null
+  let reconnectDelay = INITIAL_RECONNECT_DELAY
+  let awaitingSnapshot = true
+  let closed = false
+
+  const handleMessage = (event) => {
+    let message
+    try {
+      message = JSON.parse(event.data)
+    } catch (error) {
+      console.error('Invalid WebSocket message:', event.data)
+      return
+    }
+
+    if (message.type === 'snapshot') {
+      if (awaitingSnapshot && handlers.onConnectionChange) {
+        handlers.onConnectionChange(true)
+      }
+      awaitingSnapshot = false
+      handlers.onSnapshot(Array.isArray(message.players) ? message.players : [])
+      return
+    }
+
+    // Deltas are meaningless until we have a snapshot to apply them to
+    if (awaitingSnapshot) return
+
+    if (message.type === 'join' && message.player && message.player.username) {
+      handlers.onJoin(message.player)
+    } else if (message.type === 'leave' && message.username) {
+      handlers.onLeave(message.username)
+    } else if (message.type === 'switch' && message.username) {
+      handlers.onSwitch(message.username, message.clusterId)
+    } else {
+      console.warn('Unknown WebSocket message:', message)
+    }
+  }
+
+  const scheduleReconnect = () => {
+    // Exponential backoff with jitter so every open tab doesn't reconnect at once
+    const delay = reconnectDelay + Math.random() * reconnectDelay * 0.3
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY)
+    console.log(`WebSocket disconnected, reconnecting in ${(delay / 1000).toFixed(1)}s`)
+    reconnectTimer = setTimeout(connect, delay)
+  }
+
+  function connect() {
+    reconnectTimer = null
+    awaitingSnapshot = true
+
+    try {
+      socket = new WebSocket(url)
+    } catch (error) {
+      console.error('WebSocket connection failed:', error)
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(false)
+      }
+      scheduleReconnect()
+      return
+    }
+
+    socket.onopen = () => {
+      reconnectDelay = INITIAL_RECONNECT_DELAY
+      console.log(`WebSocket connected: ${url}`)
+    }
+    socket.onmessage = handleMessage
+    socket.onerror = (error) => {
+      // onclose always follows onerror, reconnect is handled there
+      console.error('WebSocket error:', error)
+    }
+    socket.onclose = () => {
+      socket = null
+      if (!closed) {
+        if (handlers.onConnectionChange) {
+          handlers.onConnectionChange(false)
+        }
+        scheduleReconnect()
+      }
+    }
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer)
+    }
+    if (socket) {
+      socket.close()
+    }
+  }
+}